@@ -2,6 +2,19 @@ import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import passport from "passport";
 import User from "../models/User.js";
+import Monitor from "../models/Monitor.js";
+import CheckResult from "../models/CheckResult.js";
+import Incident from "../models/Incident.js";
+import MaintenanceWindow from "../models/MaintenanceWindow.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import NotificationChannel from "../models/NotificationChannel.js";
+import NotificationRule from "../models/NotificationRule.js";
+import EscalationPolicy from "../models/EscalationPolicy.js";
+import DigestEntry from "../models/DigestEntry.js";
+import ToolSnapshot from "../models/ToolSnapshot.js";
+import SecurityRule from "../models/SecurityRule.js";
+import FindingSuppression from "../models/FindingSuppression.js";
 import {
   sendVerificationEmail,
   sendPasswordResetEmail,
@@ -318,7 +331,14 @@ export const updateAlertPreferences = async (req, res) => {
       });
     }
 
-    const { emailAlertsEnabled, smsAlertsEnabled } = req.body;
+    const {
+      emailAlertsEnabled,
+      smsAlertsEnabled,
+      timezone,
+      quietHours,
+      digestFrequency,
+      digestHour,
+    } = req.body;
 
     // Update alert preferences if provided
     if (emailAlertsEnabled !== undefined) {
@@ -327,6 +347,28 @@ export const updateAlertPreferences = async (req, res) => {
     if (smsAlertsEnabled !== undefined) {
       user.smsAlertsEnabled = smsAlertsEnabled;
     }
+    if (timezone !== undefined) {
+      user.timezone = timezone;
+    }
+    if (quietHours !== undefined) {
+      const { enabled, start, end } = quietHours || {};
+      if (enabled !== undefined) user.quietHours.enabled = enabled;
+      if (start !== undefined) user.quietHours.start = start;
+      if (end !== undefined) user.quietHours.end = end;
+
+      if (user.quietHours.start === user.quietHours.end) {
+        return res.status(400).json({
+          success: false,
+          message: "Quiet hours start and end must be different",
+        });
+      }
+    }
+    if (digestFrequency !== undefined) {
+      user.digestFrequency = digestFrequency;
+    }
+    if (digestHour !== undefined) {
+      user.digestHour = digestHour;
+    }
 
     await user.save();
 
@@ -338,6 +380,13 @@ export const updateAlertPreferences = async (req, res) => {
       data: updatedUser,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: error.message,
@@ -480,12 +529,35 @@ export const deleteAccount = async (req, res) => {
     }
 
     // Delete all monitors associated with this user
-    const Monitor = (await import("../models/Monitor.js")).default;
     const deletedMonitors = await Monitor.deleteMany({ userId });
     console.log(
       `[Delete Account] Deleted ${deletedMonitors.deletedCount} monitors for user ${user.email}`,
     );
 
+    // Delete check history, incidents and maintenance windows for those monitors
+    await CheckResult.deleteMany({ userId });
+    await Incident.deleteMany({ userId });
+    await MaintenanceWindow.deleteMany({ userId });
+
+    // Delete webhooks and their delivery logs
+    await Webhook.deleteMany({ userId });
+    await WebhookDelivery.deleteMany({ userId });
+
+    // Delete notification channels, routing rules and escalation policies
+    await NotificationChannel.deleteMany({ userId });
+    await NotificationRule.deleteMany({ userId });
+    await EscalationPolicy.deleteMany({ userId });
+
+    // Delete pending digest entries
+    await DigestEntry.deleteMany({ userId });
+
+    // Delete tool catalog history
+    await ToolSnapshot.deleteMany({ userId });
+
+    // Delete custom security rules and finding suppressions
+    await SecurityRule.deleteMany({ userId });
+    await FindingSuppression.deleteMany({ userId });
+
     // Delete the user
     await User.findByIdAndDelete(userId);
     console.log(`[Delete Account] Deleted user account: ${user.email}`);
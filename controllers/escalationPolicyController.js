@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import EscalationPolicy from "../models/EscalationPolicy.js";
+import NotificationChannel from "../models/NotificationChannel.js";
+import Webhook from "../models/Webhook.js";
+import Monitor from "../models/Monitor.js";
+
+/**
+ * Check that every ID in a list is valid and owned by the user
+ * @param {Object} Model - Mongoose model to look the IDs up in
+ * @param {Array} ids - IDs from the request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<boolean>} - True if all are valid
+ */
+async function ownsAll(Model, ids, userId) {
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    return false;
+  }
+
+  const owned = await Model.countDocuments({ _id: { $in: ids }, userId });
+  return owned === new Set(ids.map(String)).size;
+}
+
+/**
+ * Check that the steps only reference the user's own channels and webhooks
+ * @param {Array} steps - Steps from the request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validateSteps(steps, userId) {
+  if (!Array.isArray(steps)) {
+    return "steps must be an array";
+  }
+
+  const channelIds = [];
+  const webhookIds = [];
+
+  for (const step of steps) {
+    if (
+      !step ||
+      (step.channels !== undefined && !Array.isArray(step.channels)) ||
+      (step.webhooks !== undefined && !Array.isArray(step.webhooks))
+    ) {
+      return "Each step needs delayMinutes and channels/webhooks arrays";
+    }
+    channelIds.push(...(step.channels || []));
+    webhookIds.push(...(step.webhooks || []));
+  }
+
+  if (!(await ownsAll(NotificationChannel, channelIds, userId))) {
+    return "One or more notification channels were not found";
+  }
+
+  if (!(await ownsAll(Webhook, webhookIds, userId))) {
+    return "One or more webhooks were not found";
+  }
+
+  return null;
+}
+
+/**
+ * Load a policy owned by the current user
+ * @param {Object} req - Express request with params.id
+ * @returns {Promise<Object|null>} - EscalationPolicy document or null
+ */
+async function findUserPolicy(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  return EscalationPolicy.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// @desc    Get all escalation policies for logged-in user
+// @route   GET /api/escalation-policies
+// @access  Private
+export const getPolicies = async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.find({
+      userId: req.user._id,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies,
+    });
+  } catch (error) {
+    console.error("Error fetching escalation policies:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a single escalation policy with its channels, webhooks and monitors
+// @route   GET /api/escalation-policies/:id
+// @access  Private
+export const getPolicyById = async (req, res) => {
+  try {
+    const policy = await findUserPolicy(req);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: "Escalation policy not found",
+      });
+    }
+
+    await policy.populate([
+      { path: "steps.channels", select: "name type isActive" },
+      { path: "steps.webhooks", select: "name url isActive" },
+    ]);
+    const monitors = await Monitor.find({
+      userId: req.user._id,
+      escalationPolicy: policy._id,
+    }).select("name url status");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...policy.toObject(),
+        monitors,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching escalation policy:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create an escalation policy
+// @route   POST /api/escalation-policies
+// @access  Private
+export const createPolicy = async (req, res) => {
+  try {
+    const { name, description, steps } = req.body;
+
+    const stepError = await validateSteps(steps, req.user._id);
+    if (stepError) {
+      return res.status(400).json({
+        success: false,
+        message: stepError,
+      });
+    }
+
+    const policy = await EscalationPolicy.create({
+      userId: req.user._id,
+      name,
+      description,
+      steps,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating escalation policy:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update an escalation policy
+// @route   PUT /api/escalation-policies/:id
+// @access  Private
+export const updatePolicy = async (req, res) => {
+  try {
+    const policy = await findUserPolicy(req);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: "Escalation policy not found",
+      });
+    }
+
+    const { name, description, steps } = req.body;
+
+    if (steps !== undefined) {
+      const stepError = await validateSteps(steps, req.user._id);
+      if (stepError) {
+        return res.status(400).json({
+          success: false,
+          message: stepError,
+        });
+      }
+      policy.steps = steps;
+    }
+
+    if (name !== undefined) policy.name = name;
+    if (description !== undefined) policy.description = description;
+
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating escalation policy:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete an escalation policy and detach it from monitors
+// @route   DELETE /api/escalation-policies/:id
+// @access  Private
+export const deletePolicy = async (req, res) => {
+  try {
+    const policy = await findUserPolicy(req);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: "Escalation policy not found",
+      });
+    }
+
+    await policy.deleteOne();
+    await Monitor.updateMany(
+      { userId: req.user._id, escalationPolicy: policy._id },
+      { $set: { escalationPolicy: null } },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Escalation policy deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting escalation policy:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,287 @@
+import mongoose from "mongoose";
+import Monitor from "../models/Monitor.js";
+import FindingSuppression from "../models/FindingSuppression.js";
+import SecurityScan from "../models/SecurityScan.js";
+import { reevaluateSecurityStatus } from "../services/securityScanner.js";
+
+// Triage fields that can be set on create and update
+const TRIAGE_FIELDS = ["status", "reason", "expiresAt"];
+
+/**
+ * Load a monitor owned by the current user
+ * @param {Object} req - Express request with params.id
+ * @returns {Promise<Object|null>} - Monitor document or null
+ */
+async function findUserMonitor(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  return Monitor.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+/**
+ * Load a suppression of the monitor
+ * @param {Object} req - Express request with params.suppressionId
+ * @param {Object} monitor - Monitor document
+ * @returns {Promise<Object|null>} - FindingSuppression document or null
+ */
+async function findMonitorSuppression(req, monitor) {
+  if (!mongoose.isValidObjectId(req.params.suppressionId)) {
+    return null;
+  }
+
+  return FindingSuppression.findOne({
+    _id: req.params.suppressionId,
+    monitorId: monitor._id,
+  });
+}
+
+/**
+ * Find a finding by its fingerprint in the monitor's latest completed scan
+ * @param {Object} monitor - Monitor document
+ * @param {string} fingerprint - Fingerprint stored on the finding at scan time
+ * @returns {Promise<Object|null>} - { toolName, finding } or null if it isn't there
+ */
+async function findLatestFinding(monitor, fingerprint) {
+  const scan = await SecurityScan.getLatestForMonitor(monitor._id);
+
+  for (const result of scan?.results?.results || []) {
+    const finding = result.findings.find(
+      (candidate) => candidate.fingerprint === fingerprint,
+    );
+    if (finding) {
+      return { toolName: result.tool_name, finding };
+    }
+  }
+
+  return null;
+}
+
+// @desc    Get a monitor's finding suppressions, including expired and revoked ones
+// @route   GET /api/monitors/:id/finding-suppressions
+// @access  Private
+export const getSuppressions = async (req, res) => {
+  try {
+    const monitor = await findUserMonitor(req);
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const suppressions = await FindingSuppression.find({
+      monitorId: monitor._id,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: suppressions.length,
+      data: suppressions.map((suppression) => ({
+        ...suppression.toObject(),
+        active: suppression.isActive(),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching finding suppressions:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Suppress a finding (or re-triage an already suppressed or revoked one)
+// @route   POST /api/monitors/:id/finding-suppressions
+// @access  Private
+export const createSuppression = async (req, res) => {
+  try {
+    const monitor = await findUserMonitor(req);
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const { fingerprint } = req.body;
+    if (!fingerprint || typeof fingerprint !== "string") {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Please provide the finding's fingerprint from the latest scan",
+      });
+    }
+
+    let suppression = await FindingSuppression.findOne({
+      monitorId: monitor._id,
+      fingerprint,
+    });
+    const isNew = !suppression;
+
+    // New suppressions must match a finding the latest scan actually reported
+    if (isNew) {
+      const found = await findLatestFinding(monitor, fingerprint);
+      if (!found) {
+        return res.status(400).json({
+          success: false,
+          message: "No finding with this fingerprint in the latest scan",
+        });
+      }
+
+      const { toolName, finding } = found;
+      const rule = finding.details?.rule;
+      suppression = new FindingSuppression({
+        userId: req.user._id,
+        monitorId: monitor._id,
+        fingerprint,
+        toolName,
+        rule: rule || null,
+        summary: rule ? null : finding.summary,
+        severity: finding.severity,
+        evidence: finding.evidence || null,
+      });
+    }
+
+    TRIAGE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        suppression[field] = req.body[field];
+      }
+    });
+    suppression.revokedAt = null;
+    suppression.recordChange(isNew ? "created" : "updated", {
+      changedBy: req.user._id,
+    });
+
+    await suppression.save();
+    const riskLevel = await reevaluateSecurityStatus(monitor);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      data: {
+        suppression,
+        riskLevel,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating finding suppression:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a finding suppression's status, reason or expiry
+// @route   PUT /api/monitors/:id/finding-suppressions/:suppressionId
+// @access  Private
+export const updateSuppression = async (req, res) => {
+  try {
+    const monitor = await findUserMonitor(req);
+    const suppression = monitor
+      ? await findMonitorSuppression(req, monitor)
+      : null;
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: "Finding suppression not found",
+      });
+    }
+
+    if (suppression.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This suppression was revoked - suppress the finding again to restore it",
+      });
+    }
+
+    TRIAGE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        suppression[field] = req.body[field];
+      }
+    });
+    suppression.recordChange("updated", { changedBy: req.user._id });
+
+    await suppression.save();
+    const riskLevel = await reevaluateSecurityStatus(monitor);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suppression,
+        riskLevel,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating finding suppression:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Revoke a finding suppression - the finding counts again, but the suppression is kept with its history
+// @route   DELETE /api/monitors/:id/finding-suppressions/:suppressionId
+// @access  Private
+export const revokeSuppression = async (req, res) => {
+  try {
+    const monitor = await findUserMonitor(req);
+    const suppression = monitor
+      ? await findMonitorSuppression(req, monitor)
+      : null;
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: "Finding suppression not found",
+      });
+    }
+
+    if (suppression.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "This suppression was already revoked",
+      });
+    }
+
+    suppression.recordChange("revoked", { changedBy: req.user._id });
+
+    await suppression.save();
+    const riskLevel = await reevaluateSecurityStatus(monitor);
+
+    res.status(200).json({
+      success: true,
+      message: "Finding suppression revoked successfully",
+      data: {
+        suppression,
+        riskLevel,
+      },
+    });
+  } catch (error) {
+    console.error("Error revoking finding suppression:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,315 @@
+import mongoose from "mongoose";
+import Incident from "../models/Incident.js";
+import Monitor from "../models/Monitor.js";
+import {
+  acknowledgeIncident as acknowledge,
+  addIncidentNote,
+  setIncidentRootCause,
+} from "../services/incidentService.js";
+
+// Matches the maxlength of incident notes and root cause
+const MAX_TRIAGE_TEXT_LENGTH = 1000;
+
+/**
+ * Load an incident owned by the current user
+ * @param {Object} req - Express request with params.incidentId
+ * @returns {Promise<Object|null>} - Incident document or null
+ */
+async function findUserIncident(req) {
+  if (!mongoose.isValidObjectId(req.params.incidentId)) {
+    return null;
+  }
+
+  return Incident.findOne({
+    _id: req.params.incidentId,
+    userId: req.user._id,
+  });
+}
+
+/**
+ * Parse pagination and status filters shared by incident list endpoints
+ * @param {Object} query - Express request query
+ * @returns {Object} - { page, limit, status, error }
+ */
+function parseListQuery(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const { status } = query;
+
+  if (status && !["open", "resolved"].includes(status)) {
+    return { error: "Status filter must be 'open' or 'resolved'" };
+  }
+
+  return { page, limit, status };
+}
+
+// @desc    Get incidents for a monitor
+// @route   GET /api/monitors/:id/incidents
+// @access  Private
+export const getMonitorIncidents = async (req, res) => {
+  try {
+    const { page, limit, status, error } = parseListQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const monitor = await Monitor.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const query = { monitorId: monitor._id };
+    if (status) query.status = status;
+
+    const { incidents, total } = await Incident.getPage(query, {
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: incidents.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      data: incidents,
+    });
+  } catch (error) {
+    console.error("Error fetching monitor incidents:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get incidents across all of the user's monitors
+// @route   GET /api/incidents
+// @access  Private
+export const getIncidents = async (req, res) => {
+  try {
+    const { page, limit, status, error } = parseListQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const query = { userId: req.user._id };
+    if (status) query.status = status;
+
+    const { incidents, total } = await Incident.getPage(query, {
+      page,
+      limit,
+      populateMonitor: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: incidents.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      data: incidents,
+    });
+  } catch (error) {
+    console.error("Error fetching incidents:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a single incident with its timeline
+// @route   GET /api/incidents/:incidentId
+// @access  Private
+export const getIncidentById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.incidentId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    const incident = await Incident.findOne({
+      _id: req.params.incidentId,
+      userId: req.user._id,
+    }).populate("monitorId", "name url status");
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: incident,
+    });
+  } catch (error) {
+    console.error("Error fetching incident:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Acknowledge an open incident (stops reminder alerts)
+// @route   POST /api/incidents/:incidentId/acknowledge
+// @access  Private
+export const acknowledgeIncident = async (req, res) => {
+  try {
+    const incident = await findUserIncident(req);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    if (incident.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "Only open incidents can be acknowledged",
+      });
+    }
+
+    if (incident.acknowledgedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Incident has already been acknowledged",
+      });
+    }
+
+    await acknowledge(incident, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "Incident acknowledged",
+      data: incident,
+    });
+  } catch (error) {
+    console.error("Error acknowledging incident:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Add a note to an incident
+// @route   POST /api/incidents/:incidentId/notes
+// @access  Private
+export const addNote = async (req, res) => {
+  try {
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: "Note text is required",
+      });
+    }
+
+    if (text.length > MAX_TRIAGE_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Note cannot exceed ${MAX_TRIAGE_TEXT_LENGTH} characters`,
+      });
+    }
+
+    const incident = await findUserIncident(req);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    await addIncidentNote(incident, req.user, text);
+
+    res.status(201).json({
+      success: true,
+      message: "Note added",
+      data: incident,
+    });
+  } catch (error) {
+    console.error("Error adding incident note:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Set the root cause of an incident
+// @route   PUT /api/incidents/:incidentId/root-cause
+// @access  Private
+export const setRootCause = async (req, res) => {
+  try {
+    const rootCause =
+      typeof req.body.rootCause === "string" ? req.body.rootCause.trim() : "";
+
+    if (!rootCause) {
+      return res.status(400).json({
+        success: false,
+        message: "Root cause is required",
+      });
+    }
+
+    if (rootCause.length > MAX_TRIAGE_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Root cause cannot exceed ${MAX_TRIAGE_TEXT_LENGTH} characters`,
+      });
+    }
+
+    const incident = await findUserIncident(req);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    await setIncidentRootCause(incident, req.user, rootCause);
+
+    res.status(200).json({
+      success: true,
+      message: "Root cause updated",
+      data: incident,
+    });
+  } catch (error) {
+    console.error("Error setting incident root cause:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,3 +1,18 @@
+import { getSchedulerStatus } from "../services/scheduler.js";
+
 export const getLost = (req, res) => {
   res.send("You are lost");
 };
+
+// @desc    Health check with monitor scheduler queue metrics
+// @route   GET /health
+// @access  Public
+export const getHealth = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      uptime: Math.round(process.uptime()),
+      scheduler: getSchedulerStatus(),
+    },
+  });
+};
@@ -0,0 +1,262 @@
+import mongoose from "mongoose";
+import MaintenanceWindow from "../models/MaintenanceWindow.js";
+import Monitor from "../models/Monitor.js";
+
+// Fields that can be set on create and update
+const ALLOWED_FIELDS = [
+  "name",
+  "description",
+  "monitorIds",
+  "tags",
+  "type",
+  "startsAt",
+  "endsAt",
+  "recurrence",
+  "durationMinutes",
+  "timezone",
+  "isActive",
+];
+
+/**
+ * Check that every monitor ID is valid and owned by the user
+ * @param {Array} monitorIds - Monitor IDs from the request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<string|null>} - Error message or null if all are valid
+ */
+async function validateMonitorIds(monitorIds, userId) {
+  if (!Array.isArray(monitorIds)) {
+    return "monitorIds must be an array";
+  }
+
+  if (!monitorIds.every((id) => mongoose.isValidObjectId(id))) {
+    return "Invalid monitor ID in monitorIds";
+  }
+
+  const owned = await Monitor.countDocuments({
+    _id: { $in: monitorIds },
+    userId,
+  });
+
+  return owned === new Set(monitorIds.map(String)).size
+    ? null
+    : "One or more monitors were not found";
+}
+
+/**
+ * Serialize a window with its current or next occurrence
+ * @param {Object} window - MaintenanceWindow document
+ * @returns {Object} - Plain object with nextOccurrence
+ */
+function withNextOccurrence(window) {
+  return {
+    ...window.toObject(),
+    nextOccurrence: window.getNextOccurrence(),
+  };
+}
+
+// @desc    Get all maintenance windows for logged-in user
+// @route   GET /api/maintenance-windows
+// @access  Private
+export const getMaintenanceWindows = async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+
+    if (req.query.monitorId) {
+      if (!mongoose.isValidObjectId(req.query.monitorId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid monitorId",
+        });
+      }
+      query.monitorIds = req.query.monitorId;
+    }
+
+    const windows = await MaintenanceWindow.find(query).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: windows.length,
+      data: windows.map(withNextOccurrence),
+    });
+  } catch (error) {
+    console.error("Error fetching maintenance windows:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a single maintenance window
+// @route   GET /api/maintenance-windows/:id
+// @access  Private
+export const getMaintenanceWindowById = async (req, res) => {
+  try {
+    const window = mongoose.isValidObjectId(req.params.id)
+      ? await MaintenanceWindow.findOne({
+          _id: req.params.id,
+          userId: req.user._id,
+        })
+      : null;
+
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance window not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withNextOccurrence(window),
+    });
+  } catch (error) {
+    console.error("Error fetching maintenance window:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a maintenance window
+// @route   POST /api/maintenance-windows
+// @access  Private
+export const createMaintenanceWindow = async (req, res) => {
+  try {
+    if (req.body.monitorIds !== undefined) {
+      const monitorError = await validateMonitorIds(
+        req.body.monitorIds,
+        req.user._id,
+      );
+      if (monitorError) {
+        return res.status(400).json({
+          success: false,
+          message: monitorError,
+        });
+      }
+    }
+
+    const data = { userId: req.user._id };
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const window = await MaintenanceWindow.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: withNextOccurrence(window),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating maintenance window:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a maintenance window
+// @route   PUT /api/maintenance-windows/:id
+// @access  Private
+export const updateMaintenanceWindow = async (req, res) => {
+  try {
+    const window = mongoose.isValidObjectId(req.params.id)
+      ? await MaintenanceWindow.findOne({
+          _id: req.params.id,
+          userId: req.user._id,
+        })
+      : null;
+
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance window not found",
+      });
+    }
+
+    if (req.body.monitorIds !== undefined) {
+      const monitorError = await validateMonitorIds(
+        req.body.monitorIds,
+        req.user._id,
+      );
+      if (monitorError) {
+        return res.status(400).json({
+          success: false,
+          message: monitorError,
+        });
+      }
+    }
+
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        window[field] = req.body[field];
+      }
+    });
+
+    await window.save();
+
+    res.status(200).json({
+      success: true,
+      data: withNextOccurrence(window),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating maintenance window:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a maintenance window
+// @route   DELETE /api/maintenance-windows/:id
+// @access  Private
+export const deleteMaintenanceWindow = async (req, res) => {
+  try {
+    const window = mongoose.isValidObjectId(req.params.id)
+      ? await MaintenanceWindow.findOneAndDelete({
+          _id: req.params.id,
+          userId: req.user._id,
+        })
+      : null;
+
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance window not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Maintenance window deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting maintenance window:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
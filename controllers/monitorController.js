@@ -1,5 +1,66 @@
+import mongoose from "mongoose";
 import Monitor from "../models/Monitor.js";
+import CheckResult from "../models/CheckResult.js";
+import Incident from "../models/Incident.js";
+import MaintenanceWindow from "../models/MaintenanceWindow.js";
+import NotificationChannel from "../models/NotificationChannel.js";
+import EscalationPolicy from "../models/EscalationPolicy.js";
+import ToolSnapshot from "../models/ToolSnapshot.js";
+import FindingSuppression from "../models/FindingSuppression.js";
+import { getMaintenanceSchedule } from "../services/maintenanceService.js";
+import { pinToolBaseline } from "../services/toolChangeService.js";
 import { encryptAuthToken } from "../utils/encryption.js";
+import {
+  STATS_WINDOWS,
+  CHART_RANGES,
+  resolveWindow,
+  getChartBucket,
+} from "../utils/timeWindows.js";
+
+// Max monitors a single chart request may include
+const MAX_CHART_MONITORS = 50;
+
+/**
+ * Check that every notification channel ID is valid and owned by the user
+ * @param {Array} channelIds - Channel IDs from the request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<string|null>} - Error message or null if all are valid
+ */
+async function validateNotificationChannels(channelIds, userId) {
+  if (
+    !Array.isArray(channelIds) ||
+    !channelIds.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    return "notificationChannels must be an array of channel IDs";
+  }
+
+  const owned = await NotificationChannel.countDocuments({
+    _id: { $in: channelIds },
+    userId,
+  });
+
+  return owned === new Set(channelIds.map(String)).size
+    ? null
+    : "One or more notification channels were not found";
+}
+
+/**
+ * Check that an escalation policy ID is null or a policy owned by the user
+ * @param {string|null} policyId - Policy ID from the request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validateEscalationPolicy(policyId, userId) {
+  if (policyId === null) {
+    return null;
+  }
+
+  const exists =
+    mongoose.isValidObjectId(policyId) &&
+    (await EscalationPolicy.exists({ _id: policyId, userId }));
+
+  return exists ? null : "Escalation policy not found";
+}
 
 // @desc    Create new monitor
 // @route   POST /api/monitors
@@ -17,12 +78,16 @@ export const createMonitor = async (req, res) => {
       alertsEnabled,
       alertEmail,
       notifyOnRecovery,
+      alertPolicy,
+      notificationChannels,
+      escalationPolicy,
       description,
       tags,
       requiresAuth,
       authHeader,
       authToken,
       toolsSyncEnabled,
+      toolProbes,
       protocolVersion,
     } = req.body;
 
@@ -34,6 +99,52 @@ export const createMonitor = async (req, res) => {
       });
     }
 
+    if (alertPolicy !== undefined) {
+      const policyError = Monitor.validateAlertPolicy(alertPolicy);
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError,
+        });
+      }
+    }
+
+    if (toolProbes !== undefined) {
+      const probeError = Monitor.validateToolProbes(toolProbes);
+      if (probeError) {
+        return res.status(400).json({
+          success: false,
+          message: probeError,
+        });
+      }
+    }
+
+    if (notificationChannels !== undefined) {
+      const channelError = await validateNotificationChannels(
+        notificationChannels,
+        req.user._id,
+      );
+      if (channelError) {
+        return res.status(400).json({
+          success: false,
+          message: channelError,
+        });
+      }
+    }
+
+    if (escalationPolicy !== undefined) {
+      const escalationError = await validateEscalationPolicy(
+        escalationPolicy,
+        req.user._id,
+      );
+      if (escalationError) {
+        return res.status(400).json({
+          success: false,
+          message: escalationError,
+        });
+      }
+    }
+
     // Check if monitor with same URL already exists for this user
     const existingMonitor = await Monitor.findOne({
       userId: req.user._id,
@@ -75,12 +186,16 @@ export const createMonitor = async (req, res) => {
       alertsEnabled,
       alertEmail: alertEmail || req.user.email,
       notifyOnRecovery,
+      alertPolicy,
+      notificationChannels,
+      escalationPolicy,
       description,
       tags,
       requiresAuth,
       authHeader,
       authToken: encryptedAuthToken,
       toolsSyncEnabled,
+      toolProbes,
       protocolVersion,
     });
 
@@ -195,6 +310,52 @@ export const updateMonitor = async (req, res) => {
       }
     }
 
+    if (req.body.alertPolicy !== undefined) {
+      const policyError = Monitor.validateAlertPolicy(req.body.alertPolicy);
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError,
+        });
+      }
+    }
+
+    if (req.body.toolProbes !== undefined) {
+      const probeError = Monitor.validateToolProbes(req.body.toolProbes);
+      if (probeError) {
+        return res.status(400).json({
+          success: false,
+          message: probeError,
+        });
+      }
+    }
+
+    if (req.body.notificationChannels !== undefined) {
+      const channelError = await validateNotificationChannels(
+        req.body.notificationChannels,
+        req.user._id,
+      );
+      if (channelError) {
+        return res.status(400).json({
+          success: false,
+          message: channelError,
+        });
+      }
+    }
+
+    if (req.body.escalationPolicy !== undefined) {
+      const escalationError = await validateEscalationPolicy(
+        req.body.escalationPolicy,
+        req.user._id,
+      );
+      if (escalationError) {
+        return res.status(400).json({
+          success: false,
+          message: escalationError,
+        });
+      }
+    }
+
     // Fields that can be updated
     const allowedUpdates = [
       "name",
@@ -207,12 +368,16 @@ export const updateMonitor = async (req, res) => {
       "alertsEnabled",
       "alertEmail",
       "notifyOnRecovery",
+      "notificationChannels",
+      "escalationPolicy",
       "description",
       "tags",
       "isActive",
       "requiresAuth",
       "authHeader",
       "toolsSyncEnabled",
+      "toolProbes",
+      "scanOnToolDrift",
       "protocolVersion",
     ];
 
@@ -223,6 +388,13 @@ export const updateMonitor = async (req, res) => {
       }
     });
 
+    // Merge alert policy settings so a partial update keeps the others
+    if (req.body.alertPolicy !== undefined) {
+      Object.entries(req.body.alertPolicy).forEach(([setting, value]) => {
+        monitor.set(`alertPolicy.${setting}`, value);
+      });
+    }
+
     // Handle auth token encryption separately
     if (req.body.authToken !== undefined) {
       let encryptedAuthToken = null;
@@ -274,6 +446,16 @@ export const deleteMonitor = async (req, res) => {
       });
     }
 
+    // Remove check history, incidents, tool history and suppressions with the monitor
+    await CheckResult.deleteMany({ monitorId: monitor._id });
+    await Incident.deleteMany({ monitorId: monitor._id });
+    await ToolSnapshot.deleteMany({ monitorId: monitor._id });
+    await FindingSuppression.deleteMany({ monitorId: monitor._id });
+    await MaintenanceWindow.updateMany(
+      { monitorIds: monitor._id },
+      { $pull: { monitorIds: monitor._id } },
+    );
+
     res.status(200).json({
       success: true,
       message: "Monitor deleted successfully",
@@ -287,11 +469,20 @@ export const deleteMonitor = async (req, res) => {
   }
 };
 
-// @desc    Get monitor statistics
-// @route   GET /api/monitors/:id/stats
+// @desc    Get monitor statistics over a time window
+// @route   GET /api/monitors/:id/stats?window=1h|24h|7d|30d
 // @access  Private
 export const getMonitorStats = async (req, res) => {
   try {
+    const window = resolveWindow(req.query.window || "24h");
+
+    if (!window) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid window. Use one of: ${Object.keys(STATS_WINDOWS).join(", ")}`,
+      });
+    }
+
     const monitor = await Monitor.findOne({
       _id: req.params.id,
       userId: req.user._id,
@@ -304,20 +495,44 @@ export const getMonitorStats = async (req, res) => {
       });
     }
 
+    // Computed from stored check history, not the lifetime counters
+    const windowStats = await CheckResult.getWindowStats(
+      monitor._id,
+      window.from,
+      window.to,
+    );
+
     const stats = {
       name: monitor.name,
       url: monitor.url,
       status: monitor.status,
+      window: {
+        key: window.key,
+        from: window.from,
+        to: window.to,
+      },
       uptime: {
-        percentage: monitor.uptimePercentage,
+        percentage: windowStats.uptimePercentage,
         lastUptime: monitor.lastUptime,
         lastDowntime: monitor.lastDowntime,
       },
       performance: {
+        averageResponseTime: windowStats.averageResponseTime,
+        p50: windowStats.p50,
+        p95: windowStats.p95,
+        p99: windowStats.p99,
+        minResponseTime: windowStats.minResponseTime,
+        maxResponseTime: windowStats.maxResponseTime,
+        totalChecks: windowStats.totalChecks,
+        failedChecks: windowStats.failedChecks,
+        successfulChecks: windowStats.successfulChecks,
+        maintenanceChecks: windowStats.maintenanceChecks,
+      },
+      lifetime: {
+        uptimePercentage: monitor.uptimePercentage,
         averageResponseTime: monitor.averageResponseTime,
         totalChecks: monitor.totalChecks,
         failedChecks: monitor.failedChecks,
-        successfulChecks: monitor.totalChecks - monitor.failedChecks,
       },
       lastCheckedAt: monitor.lastCheckedAt,
     };
@@ -334,6 +549,311 @@ export const getMonitorStats = async (req, res) => {
   }
 };
 
+// @desc    Get downsampled response time and availability series for charts
+// @route   GET /api/monitors/charts?monitorIds=id1,id2&range=1h|6h|24h|7d|30d|90d
+// @access  Private
+export const getMonitorCharts = async (req, res) => {
+  try {
+    const range = resolveWindow(req.query.range || "24h", CHART_RANGES);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid range. Use one of: ${Object.keys(CHART_RANGES).join(", ")}`,
+      });
+    }
+
+    // Default to all of the user's monitors when none are specified
+    const query = { userId: req.user._id };
+
+    if (req.query.monitorIds) {
+      const monitorIds = req.query.monitorIds.split(",").filter(Boolean);
+
+      if (!monitorIds.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid monitor ID in monitorIds",
+        });
+      }
+
+      query._id = { $in: monitorIds };
+    }
+
+    const monitors = await Monitor.find(query)
+      .select("name")
+      .limit(MAX_CHART_MONITORS + 1);
+
+    if (monitors.length > MAX_CHART_MONITORS) {
+      return res.status(400).json({
+        success: false,
+        message: `Charts are limited to ${MAX_CHART_MONITORS} monitors per request`,
+      });
+    }
+
+    const bucket = getChartBucket(range.durationMs);
+    const points = await CheckResult.getBucketedSeries(
+      monitors.map((monitor) => monitor._id),
+      range.from,
+      range.to,
+      bucket,
+    );
+
+    // Split the aggregated buckets into one series per monitor
+    const series = monitors.map((monitor) => ({
+      monitorId: monitor._id,
+      name: monitor.name,
+      points: [],
+    }));
+    const seriesById = new Map(
+      series.map((entry) => [entry.monitorId.toString(), entry]),
+    );
+
+    points.forEach(({ monitorId, ...point }) => {
+      seriesById.get(monitorId.toString())?.points.push(point);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        range: range.key,
+        from: range.from,
+        to: range.to,
+        bucket,
+        series,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get check history for a monitor
+// @route   GET /api/monitors/:id/checks
+// @access  Private
+export const getMonitorChecks = async (req, res) => {
+  try {
+    const monitor = await Monitor.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const { status } = req.query;
+
+    // Parse optional time range filters
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range. Use ISO 8601 dates for 'from' and 'to'",
+      });
+    }
+
+    if (status && !["online", "degraded", "offline"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status filter must be 'online', 'degraded' or 'offline'",
+      });
+    }
+
+    const { results, total } = await CheckResult.getHistory(monitor._id, {
+      from,
+      to,
+      status,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      data: results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get tool catalog versions and what changed in each
+// @route   GET /api/monitors/:id/tool-changes?page=1&limit=20&includeTools=true
+// @access  Private
+export const getToolChanges = async (req, res) => {
+  try {
+    const monitor = await Monitor.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    // Full catalogs can be large, so they're only returned when asked for
+    const projection =
+      req.query.includeTools === "true" ? "-__v" : "-__v -tools";
+
+    const [snapshots, total] = await Promise.all([
+      ToolSnapshot.find({ monitorId: monitor._id })
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(projection),
+      ToolSnapshot.countDocuments({ monitorId: monitor._id }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: snapshots.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      data: snapshots,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve the current tools (or a stored catalog version) as the baseline
+// @route   POST /api/monitors/:id/tool-baseline
+// @access  Private
+export const approveToolBaseline = async (req, res) => {
+  try {
+    const monitor = await Monitor.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    let snapshot;
+
+    if (req.body.version !== undefined) {
+      if (!Number.isInteger(req.body.version)) {
+        return res.status(400).json({
+          success: false,
+          message: "version must be a catalog version number",
+        });
+      }
+
+      snapshot = await ToolSnapshot.findOne({
+        monitorId: monitor._id,
+        version: req.body.version,
+      });
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          message: "Tool catalog version not found",
+        });
+      }
+    } else {
+      // The latest stored version, not monitor.tools - versions are only stored
+      // from a healthy check's successful tools/list, while monitor.tools is
+      // cleared when the server goes offline
+      snapshot = await ToolSnapshot.getLatest(monitor._id);
+
+      if (!snapshot) {
+        return res.status(400).json({
+          success: false,
+          message: "No tools have been discovered for this monitor yet",
+        });
+      }
+    }
+
+    const { tools } = snapshot;
+    pinToolBaseline(monitor, tools, req.user._id);
+    await monitor.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Approved ${tools.length} tool(s) as the baseline`,
+      data: {
+        toolBaseline: monitor.toolBaseline,
+        toolDrift: monitor.toolDrift,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove the approved tool baseline
+// @route   DELETE /api/monitors/:id/tool-baseline
+// @access  Private
+export const removeToolBaseline = async (req, res) => {
+  try {
+    const monitor = await Monitor.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    monitor.toolBaseline = undefined;
+    monitor.toolDrift = undefined;
+    await monitor.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Tool baseline removed",
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Pause monitor
 // @route   POST /api/monitors/:id/pause
 // @access  Private
@@ -387,6 +907,9 @@ export const resumeMonitor = async (req, res) => {
 
     monitor.status = "unknown";
     monitor.isActive = true;
+    // Start flap detection afresh - checks from before the pause no longer count
+    monitor.recentCheckStates = [];
+    monitor.flappingSince = null;
     await monitor.save();
 
     res.status(200).json({
@@ -408,7 +931,7 @@ export const resumeMonitor = async (req, res) => {
 export const getPublicMonitorStatus = async (req, res) => {
   try {
     const monitor = await Monitor.findById(req.params.id).select(
-      "name description url authType status uptimePercentage totalChecks averageResponseTime lastCheckedAt createdAt tools lastToolsSync protocolVersion securityStatus lastSecurityScan securityScanEnabled",
+      "name description url authType status uptimePercentage totalChecks averageResponseTime lastCheckedAt createdAt tools prompts resources resourceTemplates lastToolsSync protocolVersion securityStatus lastSecurityScan securityScanEnabled inMaintenance userId tags",
     );
 
     if (!monitor) {
@@ -418,9 +941,18 @@ export const getPublicMonitorStatus = async (req, res) => {
       });
     }
 
+    // Current and upcoming maintenance windows (next 7 days)
+    const maintenance = await getMaintenanceSchedule(monitor);
+
+    // userId and tags are only needed to resolve maintenance windows
+    const { userId, tags, ...publicData } = monitor.toObject();
+
     res.status(200).json({
       success: true,
-      data: monitor,
+      data: {
+        ...publicData,
+        maintenance,
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -455,7 +987,7 @@ export const getPublicSecurityScans = async (req, res) => {
     const scans = await SecurityScan.find({ monitorId: id })
       .sort({ scannedAt: -1 })
       .limit(limit)
-      .select("-__v");
+      .select("-__v -results.results.findings.suppression.reason"); // Triage notes stay private
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,340 @@
+import mongoose from "mongoose";
+import NotificationChannel, {
+  CHANNEL_TYPES,
+  CHAT_CHANNEL_TYPES,
+  ON_CALL_CHANNEL_TYPES,
+  isValidChatWebhookUrl,
+} from "../models/NotificationChannel.js";
+import NotificationRule from "../models/NotificationRule.js";
+import EscalationPolicy from "../models/EscalationPolicy.js";
+import Monitor from "../models/Monitor.js";
+import Webhook from "../models/Webhook.js";
+import { encrypt } from "../utils/encryption.js";
+import { sendChannelAlert } from "../services/chatAlertService.js";
+
+// What each chat platform's webhook URLs look like, for validation errors
+const WEBHOOK_URL_HINTS = {
+  slack: "a Slack incoming webhook URL (https://hooks.slack.com/...)",
+  discord: "a Discord webhook URL (https://discord.com/api/webhooks/...)",
+  teams:
+    "a Teams or Power Automate webhook URL (webhook.office.com, logic.azure.com or powerplatform.com)",
+};
+
+/**
+ * Load a channel owned by the current user
+ * @param {Object} req - Express request with params.id
+ * @param {boolean} withCredentials - Also select the encrypted webhook URL and API key
+ * @returns {Promise<Object|null>} - NotificationChannel document or null
+ */
+async function findUserChannel(req, withCredentials = false) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  const query = NotificationChannel.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+  return withCredentials ? query.select("+webhookUrl +apiKey") : query;
+}
+
+/**
+ * Serialize a channel without its encrypted credentials
+ * @param {Object} channel - NotificationChannel document
+ * @returns {Object} - Plain object
+ */
+function toResponse(channel) {
+  const { webhookUrl, apiKey, ...data } = channel.toObject();
+  return data;
+}
+
+// @desc    Get all notification channels for logged-in user
+// @route   GET /api/notification-channels
+// @access  Private
+export const getChannels = async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find({
+      userId: req.user._id,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: channels.length,
+      data: channels,
+    });
+  } catch (error) {
+    console.error("Error fetching notification channels:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Add an email, SMS, Slack, Discord, Teams, PagerDuty, Opsgenie or webhook channel
+// @route   POST /api/notification-channels
+// @access  Private
+export const createChannel = async (req, res) => {
+  try {
+    const { name, type, webhookUrl, apiKey, region, email, webhookId } =
+      req.body;
+
+    if (!name || !type) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide name and type",
+      });
+    }
+
+    if (!CHANNEL_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Use one of: ${CHANNEL_TYPES.join(", ")}`,
+      });
+    }
+
+    const data = { userId: req.user._id, name, type };
+
+    if (ON_CALL_CHANNEL_TYPES.includes(type)) {
+      // PagerDuty integration routing key or Opsgenie API key
+      if (!apiKey) {
+        return res.status(400).json({
+          success: false,
+          message: `Please provide the ${type === "pagerduty" ? "PagerDuty routing key" : "Opsgenie API key"} as apiKey`,
+        });
+      }
+
+      if (region !== undefined && !["us", "eu"].includes(region)) {
+        return res.status(400).json({
+          success: false,
+          message: "region must be 'us' or 'eu'",
+        });
+      }
+
+      data.apiKey = encrypt(apiKey);
+      if (region) data.region = region;
+    } else if (type === "email") {
+      // Optional - defaults to the monitor's alert email or the account email
+      if (email) data.email = email;
+    } else if (type === "sms") {
+      // SMS goes to the account's verified phone number
+      if (!req.user.phone || !req.user.isPhoneVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Verify a phone number before adding an SMS channel",
+        });
+      }
+    } else if (type === "webhook") {
+      // One of the user's webhooks - it still only receives its subscribed events
+      const webhook = mongoose.isValidObjectId(webhookId)
+        ? await Webhook.findOne({ _id: webhookId, userId: req.user._id })
+        : null;
+
+      if (!webhook) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide the webhookId of one of your webhooks",
+        });
+      }
+
+      data.webhookId = webhook._id;
+    } else {
+      if (!isValidChatWebhookUrl(type, webhookUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: `webhookUrl must be ${WEBHOOK_URL_HINTS[type]}`,
+        });
+      }
+
+      data.webhookUrl = encrypt(webhookUrl);
+    }
+
+    const channel = await NotificationChannel.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: toResponse(channel),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating notification channel:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a notification channel
+// @route   PUT /api/notification-channels/:id
+// @access  Private
+export const updateChannel = async (req, res) => {
+  try {
+    const channel = await findUserChannel(req);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification channel not found",
+      });
+    }
+
+    const { name, webhookUrl, apiKey, region, email, isActive } = req.body;
+    const isOnCall = ON_CALL_CHANNEL_TYPES.includes(channel.type);
+
+    if (webhookUrl !== undefined && CHAT_CHANNEL_TYPES.includes(channel.type)) {
+      if (!isValidChatWebhookUrl(channel.type, webhookUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: `webhookUrl must be ${WEBHOOK_URL_HINTS[channel.type]}`,
+        });
+      }
+      channel.webhookUrl = encrypt(webhookUrl);
+      channel.lastError = null;
+    }
+
+    if (apiKey !== undefined && isOnCall) {
+      if (!apiKey) {
+        return res.status(400).json({
+          success: false,
+          message: "apiKey cannot be empty",
+        });
+      }
+      channel.apiKey = encrypt(apiKey);
+      channel.lastError = null;
+    }
+
+    if (region !== undefined && channel.type === "opsgenie") {
+      if (!["us", "eu"].includes(region)) {
+        return res.status(400).json({
+          success: false,
+          message: "region must be 'us' or 'eu'",
+        });
+      }
+      channel.region = region;
+    }
+
+    if (email !== undefined && channel.type === "email") {
+      channel.email = email || null;
+    }
+
+    if (name !== undefined) channel.name = name;
+    if (isActive !== undefined) channel.isActive = isActive;
+
+    await channel.save();
+
+    res.status(200).json({
+      success: true,
+      data: toResponse(channel),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating notification channel:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a notification channel and unlink it from monitors, rules and escalation policies
+// @route   DELETE /api/notification-channels/:id
+// @access  Private
+export const deleteChannel = async (req, res) => {
+  try {
+    const channel = await findUserChannel(req);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification channel not found",
+      });
+    }
+
+    await channel.deleteOne();
+    await Monitor.updateMany(
+      { userId: req.user._id, notificationChannels: channel._id },
+      { $pull: { notificationChannels: channel._id } },
+    );
+    await NotificationRule.updateMany(
+      { userId: req.user._id, channels: channel._id },
+      { $pull: { channels: channel._id } },
+    );
+    await EscalationPolicy.updateMany(
+      { userId: req.user._id, "steps.channels": channel._id },
+      { $pull: { "steps.$[].channels": channel._id } },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Notification channel deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting notification channel:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Send a test alert to a notification channel
+// @route   POST /api/notification-channels/:id/test
+// @access  Private
+export const testChannel = async (req, res) => {
+  try {
+    const channel = await findUserChannel(req, true);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification channel not found",
+      });
+    }
+
+    if (
+      !CHAT_CHANNEL_TYPES.includes(channel.type) &&
+      !ON_CALL_CHANNEL_TYPES.includes(channel.type)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Test alerts are only available for chat and on-call channels",
+      });
+    }
+
+    const { success, error } = await sendChannelAlert(channel, {
+      type: "test",
+    });
+
+    if (!success) {
+      return res.status(502).json({
+        success: false,
+        message: `Test alert failed: ${error}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Test alert sent",
+    });
+  } catch (error) {
+    console.error("Error testing notification channel:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,271 @@
+import mongoose from "mongoose";
+import NotificationRule, {
+  EVENT_SEVERITIES,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_SEVERITIES,
+} from "../models/NotificationRule.js";
+import NotificationChannel from "../models/NotificationChannel.js";
+import Monitor from "../models/Monitor.js";
+
+// Fields that can be set on create and update
+const ALLOWED_FIELDS = [
+  "name",
+  "order",
+  "events",
+  "tags",
+  "severities",
+  "timeWindow",
+  "channels",
+  "isActive",
+];
+
+/**
+ * Check that every channel ID is valid and owned by the user
+ * @param {Array} channelIds - Channel IDs from the request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<string|null>} - Error message or null if all are valid
+ */
+async function validateChannelIds(channelIds, userId) {
+  if (
+    !Array.isArray(channelIds) ||
+    !channelIds.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    return "channels must be an array of channel IDs";
+  }
+
+  const owned = await NotificationChannel.countDocuments({
+    _id: { $in: channelIds },
+    userId,
+  });
+
+  return owned === new Set(channelIds.map(String)).size
+    ? null
+    : "One or more notification channels were not found";
+}
+
+/**
+ * Load a rule owned by the current user
+ * @param {Object} req - Express request with params.id
+ * @returns {Promise<Object|null>} - NotificationRule document or null
+ */
+async function findUserRule(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  return NotificationRule.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// @desc    Get all notification rules for logged-in user, in evaluation order
+// @route   GET /api/notification-rules
+// @access  Private
+export const getRules = async (req, res) => {
+  try {
+    const rules = await NotificationRule.find({ userId: req.user._id })
+      .sort({ order: 1, createdAt: 1 })
+      .populate("channels", "name type isActive");
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Error fetching notification rules:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a notification rule
+// @route   POST /api/notification-rules
+// @access  Private
+export const createRule = async (req, res) => {
+  try {
+    const channelError = await validateChannelIds(
+      req.body.channels,
+      req.user._id,
+    );
+    if (channelError) {
+      return res.status(400).json({
+        success: false,
+        message: channelError,
+      });
+    }
+
+    const data = { userId: req.user._id };
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const rule = await NotificationRule.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating notification rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a notification rule
+// @route   PUT /api/notification-rules/:id
+// @access  Private
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await findUserRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification rule not found",
+      });
+    }
+
+    if (req.body.channels !== undefined) {
+      const channelError = await validateChannelIds(
+        req.body.channels,
+        req.user._id,
+      );
+      if (channelError) {
+        return res.status(400).json({
+          success: false,
+          message: channelError,
+        });
+      }
+    }
+
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating notification rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a notification rule
+// @route   DELETE /api/notification-rules/:id
+// @access  Private
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await findUserRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification rule not found",
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Notification rule deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting notification rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Show which rule and channels a notification would be routed to
+// @route   POST /api/notification-rules/preview
+// @access  Private
+export const previewRouting = async (req, res) => {
+  try {
+    const { event, monitorId, severity, at } = req.body;
+
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid event. Use one of: ${NOTIFICATION_EVENTS.join(", ")}`,
+      });
+    }
+
+    // Monitor events have a fixed severity, security alerts take the risk level
+    const eventSeverity = EVENT_SEVERITIES[event] || severity;
+    if (!NOTIFICATION_SEVERITIES.includes(eventSeverity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a severity: ${NOTIFICATION_SEVERITIES.join(", ")}`,
+      });
+    }
+
+    const monitor = mongoose.isValidObjectId(monitorId)
+      ? await Monitor.findOne({ _id: monitorId, userId: req.user._id })
+      : null;
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const rule = await NotificationRule.findMatching(req.user._id, {
+      type: event,
+      severity: eventSeverity,
+      monitor,
+      at: at ? new Date(at) : new Date(),
+    });
+
+    if (rule) {
+      await rule.populate("channels", "name type isActive");
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rule,
+        channels: rule ? rule.channels : "default",
+      },
+    });
+  } catch (error) {
+    console.error("Error previewing notification routing:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -18,7 +18,7 @@ function isValidUrl(url) {
 
 /**
  * Perform a one-time scan of an MCP server
- * Public endpoint - no authentication required
+ * Public endpoint - authentication is optional (signed-in users' custom rules apply)
  * @route POST /api/public/scan-server
  */
 export async function scanServer(req, res) {
@@ -60,6 +60,8 @@ export async function scanServer(req, res) {
       retryAttempts: 1,
       toolsSyncEnabled: true,
       protocolVersion: "2024-11-05",
+      // Signed-in visitors' custom security rules apply to the scan
+      userId: req.user?._id || null,
       // Include method to decrypt auth token
       getDecryptedAuthToken: function () {
         return this.authToken ? decryptAuthToken(this.authToken) : null;
@@ -77,6 +79,9 @@ export async function scanServer(req, res) {
       responseTime: uptimeResult.responseTime,
       error: uptimeResult.error || null,
       tools: uptimeResult.tools || [],
+      prompts: uptimeResult.prompts || [],
+      resources: uptimeResult.resources || [],
+      resourceTemplates: uptimeResult.resourceTemplates || [],
     };
 
     // Perform security scan only if uptime check succeeded
@@ -84,6 +89,8 @@ export async function scanServer(req, res) {
 
     if (uptimeResult.success) {
       try {
+        // The local analyzer checks the tools found by the uptime check
+        tempMonitor.tools = uptimeResult.tools || [];
         const scanResult = await performPublicSecurityScan(tempMonitor);
 
         securityResponse = {
@@ -92,6 +99,8 @@ export async function scanServer(req, res) {
           safeCount: scanResult.safe_count || 0,
           unsafeCount: scanResult.unsafe_count || 0,
           results: scanResult.results || [],
+          analyzers: scanResult.analyzerRuns || [],
+          partial: !!scanResult.partial,
         };
 
         console.log(
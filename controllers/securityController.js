@@ -6,6 +6,10 @@ import {
   getScanHistory,
   getUserSecurityStats,
 } from "../services/securityScanner.js";
+import {
+  listAnalyzers,
+  validateAnalyzers,
+} from "../services/analyzers/index.js";
 
 // @desc    Get latest security scan for a monitor
 // @route   GET /api/monitors/:id/security-scans/latest
@@ -94,6 +98,16 @@ export const triggerSecurityScan = async (req, res) => {
     const { id } = req.params;
     const { analyzers } = req.body;
 
+    if (analyzers !== undefined) {
+      const analyzersError = validateAnalyzers(analyzers);
+      if (analyzersError) {
+        return res.status(400).json({
+          success: false,
+          message: analyzersError,
+        });
+      }
+    }
+
     // Verify monitor exists and belongs to user
     const monitor = await Monitor.findOne({
       _id: id,
@@ -225,6 +239,24 @@ export const getSecurityDashboard = async (req, res) => {
   }
 };
 
+// @desc    List the analyzers security scans can use
+// @route   GET /api/security-scans/analyzers
+// @access  Private
+export const getAnalyzers = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: listAnalyzers(),
+    });
+  } catch (error) {
+    console.error("Error listing analyzers:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Delete security scan
 // @route   DELETE /api/security-scans/:scanId
 // @access  Private
@@ -0,0 +1,229 @@
+import mongoose from "mongoose";
+import SecurityRule from "../models/SecurityRule.js";
+import Monitor from "../models/Monitor.js";
+import { evaluateRules } from "../services/analyzers/customAnalyzer.js";
+
+// Fields that can be set on create and update
+const ALLOWED_FIELDS = [
+  "name",
+  "target",
+  "pattern",
+  "caseSensitive",
+  "severity",
+  "message",
+  "isActive",
+];
+
+/**
+ * Load a rule owned by the current user
+ * @param {Object} req - Express request with params.id
+ * @returns {Promise<Object|null>} - SecurityRule document or null
+ */
+async function findUserRule(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  return SecurityRule.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// @desc    Get all custom security rules for logged-in user
+// @route   GET /api/security-rules
+// @access  Private
+export const getRules = async (req, res) => {
+  try {
+    const rules = await SecurityRule.find({ userId: req.user._id }).sort({
+      createdAt: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Error fetching security rules:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a custom security rule
+// @route   POST /api/security-rules
+// @access  Private
+export const createRule = async (req, res) => {
+  try {
+    const data = { userId: req.user._id };
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const rule = await SecurityRule.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating security rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a custom security rule
+// @route   PUT /api/security-rules/:id
+// @access  Private
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await findUserRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Security rule not found",
+      });
+    }
+
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating security rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a custom security rule
+// @route   DELETE /api/security-rules/:id
+// @access  Private
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await findUserRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Security rule not found",
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Security rule deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting security rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Try a rule against a monitor's tools without saving it
+// @route   POST /api/security-rules/test
+// @access  Private
+export const testRule = async (req, res) => {
+  try {
+    const { monitorId } = req.body;
+
+    const data = {
+      userId: req.user._id,
+      name: "Test rule",
+      message: "Matched by test rule",
+    };
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const rule = new SecurityRule(data);
+    const validationError = rule.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    const monitor = mongoose.isValidObjectId(monitorId)
+      ? await Monitor.findOne({ _id: monitorId, userId: req.user._id })
+      : null;
+
+    if (!monitor) {
+      return res.status(404).json({
+        success: false,
+        message: "Monitor not found",
+      });
+    }
+
+    const results = await evaluateRules(
+      monitor.tools || [],
+      [rule],
+      monitor.url,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalTools: results.total_scanned,
+        matches: results.results
+          .filter((result) => result.findings.length > 0)
+          .map((result) => ({
+            tool: result.tool_name,
+            ...result.findings[0].details,
+          })),
+      },
+    });
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error testing security rule:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,390 @@
+import mongoose from "mongoose";
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import Monitor from "../models/Monitor.js";
+import EscalationPolicy from "../models/EscalationPolicy.js";
+import { encrypt } from "../utils/encryption.js";
+import {
+  generateWebhookSecret,
+  deliverWebhook,
+} from "../services/webhookService.js";
+
+// Fields that can be set on create and update
+const ALLOWED_FIELDS = ["name", "url", "events", "monitorIds", "isActive"];
+
+/**
+ * Validate event names and monitor ownership from a request body
+ * @param {Object} body - Request body
+ * @param {string} userId - Current user ID
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validateWebhookBody(body, userId) {
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return "events must be a non-empty array";
+    }
+
+    const unknown = body.events.find(
+      (event) => !WEBHOOK_EVENTS.includes(event),
+    );
+    if (unknown) {
+      return `Unknown event "${unknown}". Use any of: ${WEBHOOK_EVENTS.join(", ")}`;
+    }
+  }
+
+  if (body.monitorIds !== undefined) {
+    if (
+      !Array.isArray(body.monitorIds) ||
+      !body.monitorIds.every((id) => mongoose.isValidObjectId(id))
+    ) {
+      return "monitorIds must be an array of monitor IDs";
+    }
+
+    const owned = await Monitor.countDocuments({
+      _id: { $in: body.monitorIds },
+      userId,
+    });
+    if (owned !== new Set(body.monitorIds.map(String)).size) {
+      return "One or more monitors were not found";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load a webhook owned by the current user
+ * @param {Object} req - Express request with params.id
+ * @param {boolean} withSecret - Also select the encrypted secret
+ * @returns {Promise<Object|null>} - Webhook document or null
+ */
+async function findUserWebhook(req, withSecret = false) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  const query = Webhook.findOne({ _id: req.params.id, userId: req.user._id });
+  return withSecret ? query.select("+secret") : query;
+}
+
+/**
+ * Serialize a webhook without its encrypted secret
+ * @param {Object} webhook - Webhook document
+ * @returns {Object} - Plain object
+ */
+function toResponse(webhook) {
+  const { secret, ...data } = webhook.toObject();
+  return data;
+}
+
+// @desc    Get all webhooks for logged-in user
+// @route   GET /api/webhooks
+// @access  Private
+export const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks,
+    });
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a single webhook
+// @route   GET /api/webhooks/:id
+// @access  Private
+export const getWebhookById = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    console.error("Error fetching webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a webhook (the signing secret is only returned here)
+// @route   POST /api/webhooks
+// @access  Private
+export const createWebhook = async (req, res) => {
+  try {
+    const validationError = await validateWebhookBody(req.body, req.user._id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    const data = { userId: req.user._id, secret: encrypt(secret) };
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+
+    const webhook = await Webhook.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...toResponse(webhook),
+        secret,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error creating webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a webhook
+// @route   PUT /api/webhooks/:id
+// @access  Private
+export const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const validationError = await validateWebhookBody(req.body, req.user._id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    ALLOWED_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        webhook[field] = req.body[field];
+      }
+    });
+
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error updating webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private
+export const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await EscalationPolicy.updateMany(
+      { userId: req.user._id, "steps.webhooks": webhook._id },
+      { $pull: { "steps.$[].webhooks": webhook._id } },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Generate a new signing secret (returned once)
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    webhook.secret = encrypt(secret);
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook secret rotated",
+      data: {
+        ...toResponse(webhook),
+        secret,
+      },
+    });
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Send a test event to a webhook
+// @route   POST /api/webhooks/:id/test
+// @access  Private
+export const sendTestEvent = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req, true);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const delivery = await deliverWebhook(webhook, "webhook.test", {
+      message: "This is a test event from MCPMon",
+      webhook: {
+        id: webhook._id.toString(),
+        name: webhook.name,
+      },
+    });
+
+    const [attempt] = delivery.attempts;
+
+    res.status(200).json({
+      success: true,
+      message: attempt.error
+        ? `Test delivery failed: ${attempt.error}`
+        : "Test event delivered",
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Error sending test webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get the delivery log for a webhook
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status } = req.query;
+
+    if (status && !["pending", "success", "failed"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status filter must be 'pending', 'success' or 'failed'",
+      });
+    }
+
+    const webhook = await findUserWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const query = { webhookId: webhook._id };
+    if (status) query.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,317 @@
+import React from "react";
+import {
+  Html,
+  Head,
+  Preview,
+  Body,
+  Container,
+  Heading,
+  Text,
+  Button,
+  Hr,
+  Section,
+} from "@react-email/components";
+
+export const DigestEmail = ({
+  userName,
+  periodLabel,
+  summary,
+  incidents,
+  stateChanges,
+  securityChanges,
+  dashboardUrl,
+}) =>
+  React.createElement(
+    Html,
+    null,
+    React.createElement(Head, null),
+    React.createElement(
+      Preview,
+      null,
+      `${summary.stateChanges} state change(s), ${summary.openIncidents} open incident(s) - ${periodLabel}`,
+    ),
+    React.createElement(
+      Body,
+      { style: main },
+      React.createElement(
+        Container,
+        { style: container },
+        // Header
+        React.createElement(
+          Section,
+          { style: headerBox },
+          React.createElement(Heading, { style: h1 }, "Your MCPMon Digest"),
+          React.createElement(Text, { style: period }, periodLabel),
+        ),
+
+        React.createElement(
+          Text,
+          { style: text },
+          `Hi${userName ? ` ${userName}` : ""}, here's what happened across your monitors.`,
+        ),
+
+        summary.heldAlerts > 0 &&
+          React.createElement(
+            Text,
+            { style: text },
+            `${summary.heldAlerts} non-critical alert(s) were held during your quiet hours and are included below.`,
+          ),
+
+        // Summary
+        React.createElement(
+          Section,
+          { style: detailsContainer },
+          React.createElement(
+            Section,
+            { style: detailsBox },
+            React.createElement(Text, { style: label }, "Went down"),
+            React.createElement(Text, { style: value }, summary.down),
+
+            React.createElement(Text, { style: label }, "Recovered"),
+            React.createElement(Text, { style: value }, summary.recovered),
+
+            React.createElement(Text, { style: label }, "Open incidents"),
+            React.createElement(
+              Text,
+              {
+                style: {
+                  ...value,
+                  ...(summary.openIncidents > 0 ? statusAlert : {}),
+                },
+              },
+              summary.openIncidents,
+            ),
+
+            React.createElement(Text, { style: label }, "Security changes"),
+            React.createElement(
+              Text,
+              { style: value },
+              summary.securityChanges,
+            ),
+          ),
+        ),
+
+        // Incidents
+        incidents.length > 0 &&
+          digestSection(
+            "Incidents",
+            incidents.map((incident) => ({
+              title: incident.monitorName,
+              detail: incident.detail,
+              alert: incident.status === "open",
+            })),
+          ),
+
+        // State changes
+        stateChanges.length > 0 &&
+          digestSection(
+            "State Changes",
+            stateChanges.map((change) => ({
+              title: `${change.time} · ${change.monitorName}`,
+              detail: change.message,
+            })),
+          ),
+
+        // Security changes
+        securityChanges.length > 0 &&
+          digestSection(
+            "Security",
+            securityChanges.map((change) => ({
+              title: `${change.time} · ${change.monitorName}`,
+              detail: change.message,
+            })),
+          ),
+
+        // Call to action
+        React.createElement(
+          Section,
+          { style: buttonContainer },
+          React.createElement(
+            Button,
+            { style: button, href: dashboardUrl },
+            "View Dashboard",
+          ),
+        ),
+
+        React.createElement(Hr, { style: hr }),
+
+        // Footer
+        React.createElement(
+          Text,
+          { style: footer },
+          "You're receiving this digest because of your alert preferences. You can change the digest frequency and quiet hours in your account settings.",
+        ),
+      ),
+    ),
+  );
+
+// Helper function to render a titled list of digest items
+function digestSection(title, items) {
+  return React.createElement(
+    Section,
+    { style: listContainer },
+    React.createElement(Text, { style: listHeader }, title),
+    React.createElement(
+      Section,
+      { style: listBox },
+      items.map((item, index) =>
+        React.createElement(
+          Section,
+          { key: index, style: listItem },
+          React.createElement(
+            Text,
+            { style: { ...itemTitle, ...(item.alert ? statusAlert : {}) } },
+            item.title,
+          ),
+          React.createElement(Text, { style: itemDetail }, item.detail),
+        ),
+      ),
+    ),
+  );
+}
+
+// Styles
+const main = {
+  backgroundColor: "#ffffff",
+  fontFamily:
+    '-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Helvetica Neue",Ubuntu,sans-serif',
+};
+
+const container = {
+  backgroundColor: "#ffffff",
+  margin: "0 auto",
+  padding: "60px 0",
+  maxWidth: "600px",
+};
+
+const headerBox = {
+  textAlign: "left",
+  padding: "48px 60px 32px",
+  borderBottom: "1px solid #e5e7eb",
+};
+
+const h1 = {
+  color: "#000000",
+  fontSize: "24px",
+  fontWeight: "400",
+  margin: "0",
+  padding: "0",
+  lineHeight: "1.4",
+};
+
+const period = {
+  color: "#6b7280",
+  fontSize: "14px",
+  margin: "8px 0 0 0",
+};
+
+const text = {
+  color: "#6b7280",
+  fontSize: "15px",
+  lineHeight: "1.6",
+  margin: "32px 0 0 0",
+  padding: "0 60px",
+};
+
+const detailsContainer = {
+  padding: "0 60px",
+  margin: "40px 0 0 0",
+};
+
+const detailsBox = {
+  backgroundColor: "#ffffff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  padding: "32px 40px",
+  margin: "0",
+};
+
+const label = {
+  color: "#6b7280",
+  fontSize: "14px",
+  fontWeight: "400",
+  margin: "24px 0 8px 0",
+};
+
+const value = {
+  color: "#000000",
+  fontSize: "15px",
+  lineHeight: "1.5",
+  margin: "0 0 0 0",
+};
+
+const statusAlert = {
+  color: "#DC2626",
+  fontWeight: "500",
+};
+
+const listContainer = {
+  padding: "0 60px",
+  margin: "40px 0 0 0",
+};
+
+const listHeader = {
+  color: "#000000",
+  fontSize: "16px",
+  fontWeight: "500",
+  margin: "0 0 16px 0",
+};
+
+const listBox = {
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  padding: "8px 24px",
+};
+
+const listItem = {
+  borderBottom: "1px solid #f3f4f6",
+  padding: "12px 0",
+};
+
+const itemTitle = {
+  color: "#000000",
+  fontSize: "14px",
+  fontWeight: "500",
+  margin: "0 0 4px 0",
+};
+
+const itemDetail = {
+  color: "#6b7280",
+  fontSize: "14px",
+  lineHeight: "1.5",
+  margin: "0",
+};
+
+const buttonContainer = {
+  padding: "0 60px",
+  margin: "40px 0",
+  textAlign: "left",
+};
+
+const button = {
+  backgroundColor: "#000000",
+  borderRadius: "6px",
+  border: "1px solid #000000",
+  color: "#ffffff",
+  fontSize: "14px",
+  fontWeight: "400",
+  textDecoration: "none",
+  textAlign: "center",
+  display: "inline-block",
+  padding: "10px 24px",
+};
+
+const hr = {
+  borderColor: "#e5e7eb",
+  margin: "40px 0 0 0",
+};
+
+const footer = {
+  color: "#9ca3af",
+  fontSize: "13px",
+  lineHeight: "1.6",
+  margin: "0",
+  padding: "40px 60px",
+};
+
+export default DigestEmail;
@@ -20,6 +20,7 @@ export const SecurityAlertEmail = ({
   unsafeCount,
   highSeverityFindings,
   scanDate,
+  message,
   dashboardUrl,
 }) =>
   React.createElement(
@@ -52,7 +53,8 @@ export const SecurityAlertEmail = ({
         React.createElement(
           Text,
           { style: text },
-          `A security scan has detected ${riskLevel.toUpperCase()} risk vulnerabilities in your MCP server. Immediate attention is recommended.`,
+          message ||
+            `A security scan has detected ${riskLevel.toUpperCase()} risk vulnerabilities in your MCP server. Immediate attention is recommended.`,
         ),
 
         // Monitor details
@@ -0,0 +1,270 @@
+import React from "react";
+import {
+  Html,
+  Head,
+  Preview,
+  Body,
+  Container,
+  Heading,
+  Text,
+  Button,
+  Hr,
+  Section,
+} from "@react-email/components";
+
+// Max tools listed per section before the rest are summarized
+const MAX_LISTED_TOOLS = 20;
+
+// Render a labelled list of tool changes, or nothing if the list is empty
+const changeSection = (title, items, renderItem) =>
+  items.length > 0 &&
+  React.createElement(
+    React.Fragment,
+    null,
+    React.createElement(Text, { style: label }, `${title} (${items.length})`),
+    ...items.slice(0, MAX_LISTED_TOOLS).map(renderItem),
+    items.length > MAX_LISTED_TOOLS &&
+      React.createElement(
+        Text,
+        { style: changeItem },
+        `...and ${items.length - MAX_LISTED_TOOLS} more`,
+      ),
+  );
+
+export const ToolsChangedEmail = ({
+  monitorName,
+  monitorUrl,
+  version,
+  added,
+  removed,
+  changed,
+  dashboardUrl,
+}) =>
+  React.createElement(
+    Html,
+    null,
+    React.createElement(Head, null),
+    React.createElement(
+      Preview,
+      null,
+      `Alert: the tools of ${monitorName} changed`,
+    ),
+    React.createElement(
+      Body,
+      { style: main },
+      React.createElement(
+        Container,
+        { style: container },
+        // Header
+        React.createElement(
+          Section,
+          { style: alertBox },
+          React.createElement(Heading, { style: h1 }, "Tools Changed"),
+        ),
+
+        React.createElement(
+          Text,
+          { style: text },
+          "The tools your MCP server exposes have changed since the last check. If you didn't expect this change, review the new descriptions before agents use them - changed descriptions can carry instructions for the model.",
+        ),
+
+        React.createElement(
+          Section,
+          { style: detailsContainer },
+          React.createElement(
+            Section,
+            { style: detailsBox },
+            React.createElement(Text, { style: label }, "Monitor name"),
+            React.createElement(Text, { style: value }, monitorName),
+
+            React.createElement(Text, { style: label }, "Server URL"),
+            React.createElement(
+              Text,
+              { style: { ...value, wordBreak: "break-all" } },
+              monitorUrl,
+            ),
+
+            React.createElement(Text, { style: label }, "Catalog version"),
+            React.createElement(Text, { style: value }, `v${version}`),
+
+            changeSection("Added", added, (name) =>
+              React.createElement(
+                Text,
+                { key: name, style: changeItem },
+                `+ ${name}`,
+              ),
+            ),
+            changeSection("Removed", removed, (name) =>
+              React.createElement(
+                Text,
+                { key: name, style: changeItem },
+                `- ${name}`,
+              ),
+            ),
+            changeSection("Changed", changed, (change) =>
+              React.createElement(
+                React.Fragment,
+                { key: change.name },
+                React.createElement(
+                  Text,
+                  { style: changeItem },
+                  `~ ${change.name} (${[
+                    change.descriptionChanged && "description",
+                    change.inputSchemaChanged && "input schema",
+                  ]
+                    .filter(Boolean)
+                    .join(", ")})`,
+                ),
+                change.descriptionChanged &&
+                  React.createElement(
+                    Text,
+                    { style: descriptionText },
+                    change.description || "(empty)",
+                  ),
+              ),
+            ),
+          ),
+        ),
+
+        // Call to action
+        React.createElement(
+          Section,
+          { style: buttonContainer },
+          React.createElement(
+            Button,
+            { style: button, href: dashboardUrl },
+            "Review Changes",
+          ),
+        ),
+
+        React.createElement(Hr, { style: hr }),
+
+        // Footer
+        React.createElement(
+          Text,
+          { style: footer },
+          "You're receiving this email because you have alerts enabled for this monitor.",
+        ),
+      ),
+    ),
+  );
+
+// Styles
+const main = {
+  backgroundColor: "#ffffff",
+  fontFamily:
+    '-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Helvetica Neue",Ubuntu,sans-serif',
+};
+
+const container = {
+  backgroundColor: "#ffffff",
+  margin: "0 auto",
+  padding: "60px 0",
+  maxWidth: "600px",
+};
+
+const alertBox = {
+  textAlign: "left",
+  padding: "48px 60px 32px",
+  borderBottom: "1px solid #e5e7eb",
+};
+
+const h1 = {
+  color: "#000000",
+  fontSize: "24px",
+  fontWeight: "400",
+  margin: "0",
+  padding: "0",
+  lineHeight: "1.4",
+};
+
+const text = {
+  color: "#6b7280",
+  fontSize: "15px",
+  lineHeight: "1.6",
+  margin: "32px 0 0 0",
+  padding: "0 60px",
+};
+
+const detailsContainer = {
+  padding: "0 60px",
+  margin: "40px 0 0 0",
+};
+
+const detailsBox = {
+  backgroundColor: "#ffffff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  padding: "32px 40px",
+  margin: "0",
+};
+
+const label = {
+  color: "#6b7280",
+  fontSize: "14px",
+  fontWeight: "400",
+  margin: "24px 0 8px 0",
+};
+
+const value = {
+  color: "#000000",
+  fontSize: "15px",
+  lineHeight: "1.5",
+  margin: "0 0 0 0",
+};
+
+const changeItem = {
+  color: "#000000",
+  fontSize: "14px",
+  lineHeight: "1.6",
+  fontFamily: 'Monaco, "Courier New", monospace',
+  margin: "0 0 4px 0",
+  wordBreak: "break-word",
+};
+
+const descriptionText = {
+  color: "#6b7280",
+  fontSize: "13px",
+  lineHeight: "1.6",
+  backgroundColor: "#f9fafb",
+  border: "1px solid #e5e7eb",
+  padding: "12px",
+  borderRadius: "6px",
+  margin: "4px 0 12px 0",
+  whiteSpace: "pre-wrap",
+  wordBreak: "break-word",
+};
+
+const buttonContainer = {
+  padding: "0 60px",
+  margin: "40px 0",
+  textAlign: "left",
+};
+
+const button = {
+  backgroundColor: "#000000",
+  borderRadius: "6px",
+  border: "1px solid #000000",
+  color: "#ffffff",
+  fontSize: "14px",
+  fontWeight: "400",
+  textDecoration: "none",
+  textAlign: "center",
+  display: "inline-block",
+  padding: "10px 24px",
+};
+
+const hr = {
+  borderColor: "#e5e7eb",
+  margin: "40px 0 0 0",
+};
+
+const footer = {
+  color: "#9ca3af",
+  fontSize: "13px",
+  lineHeight: "1.6",
+  margin: "0",
+  padding: "40px 60px",
+};
+
+export default ToolsChangedEmail;
@@ -15,9 +15,19 @@ import feedbackRoutes from "./routes/feedback.js";
 import contactRoutes from "./routes/contact.js";
 import subscribeRoutes from "./routes/subscribe.js";
 import securityRoutes from "./routes/security.js";
+import securityRuleRoutes from "./routes/securityRules.js";
 import publicRoutes from "./routes/public.js";
+import incidentRoutes from "./routes/incidents.js";
+import maintenanceRoutes from "./routes/maintenance.js";
+import webhookRoutes from "./routes/webhooks.js";
+import notificationChannelRoutes from "./routes/notificationChannels.js";
+import notificationRuleRoutes from "./routes/notificationRules.js";
+import escalationPolicyRoutes from "./routes/escalationPolicies.js";
 import { startScheduler, runImmediateCheck } from "./services/scheduler.js";
 import { startSecurityScheduler } from "./services/securityScheduler.js";
+import { startWebhookRetryWorker } from "./services/webhookService.js";
+import { startEscalationWorker } from "./services/escalationService.js";
+import { startDigestWorker } from "./services/digestService.js";
 import { initializeWebSocket, closeWebSocket } from "./services/websocket.js";
 
 const app = express();
@@ -33,6 +43,13 @@ app.use(passport.initialize());
 app.use("/api/auth", authRoutes);
 app.use("/api/monitors", monitorRoutes);
 app.use("/api/security-scans", securityRoutes);
+app.use("/api/security-rules", securityRuleRoutes);
+app.use("/api/incidents", incidentRoutes);
+app.use("/api/maintenance-windows", maintenanceRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/notification-channels", notificationChannelRoutes);
+app.use("/api/notification-rules", notificationRuleRoutes);
+app.use("/api/escalation-policies", escalationPolicyRoutes);
 app.use("/api/feedback", feedbackRoutes);
 app.use("/api/contact", contactRoutes);
 app.use("/api/subscribe", subscribeRoutes);
@@ -59,7 +76,7 @@ async function startServer() {
       console.log(`\n🚀 Server is running on port ${PORT}`);
       console.log(`📅 Time: ${new Date().toISOString()}\n`);
 
-      // Start the monitor check scheduler (runs every 1 minute)
+      // Start the monitor check scheduler (ticks every 1 minute, checks due monitors)
       console.log("🕐 Starting monitor scheduler...");
       const job = startScheduler();
       console.log("✅ Monitor scheduler started:", job ? "SUCCESS" : "FAILED");
@@ -69,6 +86,15 @@ async function startServer() {
       startSecurityScheduler();
       console.log("✅ Security scan scheduler started");
 
+      // Start retrying failed webhook deliveries (polls every 30 seconds)
+      startWebhookRetryWorker();
+
+      // Start firing due escalation steps (polls every minute)
+      startEscalationWorker();
+
+      // Start sending alert digests and quiet-hours summaries (polls every 5 minutes)
+      startDigestWorker();
+
       // Run an immediate check to verify everything works
       console.log("\n🧪 Running immediate test check...");
       try {
@@ -48,3 +48,20 @@ export const protect = async (req, res, next) => {
     });
   }
 };
+
+// Like protect, but lets requests without a valid token through as anonymous
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const authorization = req.headers.authorization;
+
+    if (authorization && authorization.startsWith("Bearer")) {
+      const token = authorization.split(" ")[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id).select("-password");
+    }
+  } catch (error) {
+    req.user = null;
+  }
+
+  next();
+};
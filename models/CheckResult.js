@@ -0,0 +1,301 @@
+import mongoose from "mongoose";
+
+// How long individual check results are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.CHECK_RESULT_RETENTION_DAYS) || 90;
+
+const checkResultSchema = new mongoose.Schema(
+  {
+    monitorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Monitor",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    checkedAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    isUp: {
+      type: Boolean,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["online", "degraded", "offline"],
+      required: true,
+    },
+    responseTime: {
+      type: Number,
+      default: 0, // milliseconds
+      min: 0,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    warning: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    toolCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    probeResults: [
+      {
+        _id: false,
+        name: String,
+        toolName: String,
+        success: Boolean,
+        error: String,
+        responseTime: Number, // milliseconds
+      },
+    ],
+    inMaintenance: {
+      type: Boolean, // Ran during a scheduled maintenance window
+      default: false,
+    },
+  },
+  {
+    // Results are immutable, checkedAt is the only timestamp we need
+    timestamps: false,
+    versionKey: false,
+  },
+);
+
+// History queries are always scoped to a monitor and sorted by time
+checkResultSchema.index({ monitorId: 1, checkedAt: -1 });
+
+// Retention policy - MongoDB removes results older than RETENTION_DAYS
+checkResultSchema.index(
+  { checkedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+// Static method to get paginated, time-filtered history for a monitor
+checkResultSchema.statics.getHistory = async function (
+  monitorId,
+  { from, to, status, page = 1, limit = 50 } = {},
+) {
+  const query = { monitorId };
+
+  if (from || to) {
+    query.checkedAt = {};
+    if (from) query.checkedAt.$gte = from;
+    if (to) query.checkedAt.$lte = to;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const [results, total] = await Promise.all([
+    this.find(query)
+      .sort({ checkedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  return { results, total };
+};
+
+// Checks that count towards uptime/SLA - maintenance checks are excluded
+const countedCheck = { $ne: ["$inMaintenance", true] };
+const countedUpCheck = { $and: ["$isUp", countedCheck] };
+
+// Latencies of successful counted checks, pushed in order by a $group that
+// follows a $sort on responseTime - failed and maintenance checks push null
+const pushUpLatency = {
+  $push: { $cond: [countedUpCheck, "$responseTime", null] },
+};
+
+// Nearest-rank percentiles of the latencies pushed by pushUpLatency, computed in
+// MongoDB ($percentile would need MongoDB 7.0+)
+function latencyPercentiles(latencies, percentiles) {
+  return {
+    $let: {
+      vars: {
+        values: {
+          $filter: { input: latencies, cond: { $ne: ["$$this", null] } },
+        },
+      },
+      in: percentiles.map((p) => ({
+        $cond: [
+          { $eq: [{ $size: "$$values" }, 0] },
+          null,
+          {
+            $arrayElemAt: [
+              "$$values",
+              {
+                $toInt: {
+                  $subtract: [
+                    { $ceil: { $multiply: [p, { $size: "$$values" }] } },
+                    1,
+                  ],
+                },
+              },
+            ],
+          },
+        ],
+      })),
+    },
+  };
+}
+
+// Static method to compute uptime and latency statistics over a time range
+// Latency figures only use successful checks, since failed checks report time-to-failure
+// Checks run during maintenance are reported separately and excluded from everything else
+checkResultSchema.statics.getWindowStats = async function (
+  monitorId,
+  from,
+  to,
+) {
+  const upLatency = { $cond: [countedUpCheck, "$responseTime", null] };
+
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        monitorId: new mongoose.Types.ObjectId(monitorId),
+        checkedAt: { $gte: from, $lte: to },
+      },
+    },
+    { $sort: { responseTime: 1 } },
+    {
+      $group: {
+        _id: null,
+        totalChecks: { $sum: { $cond: [countedCheck, 1, 0] } },
+        successfulChecks: { $sum: { $cond: [countedUpCheck, 1, 0] } },
+        maintenanceChecks: { $sum: { $cond: [countedCheck, 0, 1] } },
+        averageResponseTime: { $avg: upLatency },
+        minResponseTime: { $min: upLatency },
+        maxResponseTime: { $max: upLatency },
+        latencies: pushUpLatency,
+      },
+    },
+    {
+      $addFields: {
+        percentiles: latencyPercentiles("$latencies", [0.5, 0.95, 0.99]),
+      },
+    },
+    { $unset: "latencies" },
+  ]);
+
+  if (!stats || stats.totalChecks === 0) {
+    return {
+      totalChecks: 0,
+      successfulChecks: 0,
+      failedChecks: 0,
+      maintenanceChecks: stats?.maintenanceChecks || 0,
+      uptimePercentage: 100,
+      averageResponseTime: null,
+      minResponseTime: null,
+      maxResponseTime: null,
+      p50: null,
+      p95: null,
+      p99: null,
+    };
+  }
+
+  const round = (value) => (value === null ? null : Math.round(value));
+  const [p50, p95, p99] = stats.percentiles || [];
+
+  return {
+    totalChecks: stats.totalChecks,
+    successfulChecks: stats.successfulChecks,
+    failedChecks: stats.totalChecks - stats.successfulChecks,
+    maintenanceChecks: stats.maintenanceChecks,
+    uptimePercentage: Number(
+      ((stats.successfulChecks / stats.totalChecks) * 100).toFixed(2),
+    ),
+    averageResponseTime: round(stats.averageResponseTime),
+    minResponseTime: stats.minResponseTime,
+    maxResponseTime: stats.maxResponseTime,
+    p50: round(p50 ?? null),
+    p95: round(p95 ?? null),
+    p99: round(p99 ?? null),
+  };
+};
+
+// Static method to downsample check history into time buckets for charts
+// Runs entirely in MongoDB so long ranges never pull raw results into Node
+// bucket is { unit, binSize } as accepted by $dateTrunc
+checkResultSchema.statics.getBucketedSeries = function (
+  monitorIds,
+  from,
+  to,
+  bucket,
+) {
+  const upLatency = { $cond: [countedUpCheck, "$responseTime", null] };
+
+  return this.aggregate([
+    {
+      $match: {
+        monitorId: {
+          $in: monitorIds.map((id) => new mongoose.Types.ObjectId(id)),
+        },
+        checkedAt: { $gte: from, $lte: to },
+      },
+    },
+    { $sort: { responseTime: 1 } },
+    {
+      $group: {
+        _id: {
+          monitorId: "$monitorId",
+          bucket: {
+            $dateTrunc: {
+              date: "$checkedAt",
+              unit: bucket.unit,
+              binSize: bucket.binSize,
+            },
+          },
+        },
+        avgResponseTime: { $avg: upLatency },
+        latencies: pushUpLatency,
+        successCount: { $sum: { $cond: [countedUpCheck, 1, 0] } },
+        failureCount: {
+          $sum: { $cond: [{ $and: [countedCheck, { $not: "$isUp" }] }, 1, 0] },
+        },
+        maintenanceCount: { $sum: { $cond: [countedCheck, 0, 1] } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        monitorId: "$_id.monitorId",
+        timestamp: "$_id.bucket",
+        avgResponseTime: { $round: ["$avgResponseTime", 0] },
+        p95ResponseTime: {
+          $round: [
+            { $arrayElemAt: [latencyPercentiles("$latencies", [0.95]), 0] },
+            0,
+          ],
+        },
+        successCount: 1,
+        failureCount: 1,
+        maintenanceCount: 1,
+      },
+    },
+    { $sort: { timestamp: 1 } },
+  ]);
+};
+
+const CheckResult = mongoose.model("CheckResult", checkResultSchema);
+
+export default CheckResult;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Entries older than this can no longer appear in a digest
+const RETENTION_DAYS = 7;
+
+const digestEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    monitorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Monitor",
+      required: true,
+    },
+    monitorName: {
+      type: String, // Kept so the digest still reads well if the monitor is deleted
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "monitor.down",
+        "monitor.reminder",
+        "monitor.recovery",
+        "monitor.flapping",
+        "security.alert",
+        "security.risk_changed",
+        "tools.changed",
+      ],
+      required: true,
+    },
+    severity: {
+      type: String,
+      default: "info",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Email/SMS for this event was held back by quiet hours
+    held: {
+      type: Boolean,
+      default: false,
+    },
+    // Where the held email would have gone - the digest is sent there too
+    recipients: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+digestEntrySchema.index({ userId: 1, createdAt: 1 });
+digestEntrySchema.index({ held: 1, userId: 1 });
+
+// Retention policy - MongoDB removes entries older than RETENTION_DAYS
+digestEntrySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const DigestEntry = mongoose.model("DigestEntry", digestEntrySchema);
+
+export default DigestEntry;
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+// Most steps a policy may have
+export const MAX_ESCALATION_STEPS = 10;
+
+// Latest a step may fire after the first alert
+export const MAX_ESCALATION_DELAY_MINUTES = 24 * 60;
+
+const escalationStepSchema = new mongoose.Schema(
+  {
+    delayMinutes: {
+      type: Number, // Minutes after the first alert, 0 = immediately
+      required: true,
+      min: [0, "delayMinutes cannot be negative"],
+      max: [
+        MAX_ESCALATION_DELAY_MINUTES,
+        "delayMinutes cannot exceed 24 hours",
+      ],
+    },
+    channels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "NotificationChannel",
+      },
+    ],
+    webhooks: [
+      {
+        type: mongoose.Schema.Types.ObjectId, // Sent an incident.escalated event
+        ref: "Webhook",
+      },
+    ],
+  },
+  { _id: false },
+);
+
+const escalationPolicySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Escalation policy name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+    steps: {
+      type: [escalationStepSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Validate that the steps are usable and in firing order
+escalationPolicySchema.pre("validate", function (next) {
+  if (this.steps.length === 0) {
+    this.invalidate("steps", "An escalation policy needs at least one step");
+  } else if (this.steps.length > MAX_ESCALATION_STEPS) {
+    this.invalidate(
+      "steps",
+      `An escalation policy cannot have more than ${MAX_ESCALATION_STEPS} steps`,
+    );
+  }
+
+  this.steps.forEach((step, index) => {
+    if (step.channels.length === 0 && step.webhooks.length === 0) {
+      this.invalidate(
+        `steps.${index}`,
+        `Step ${index + 1} needs at least one channel or webhook`,
+      );
+    }
+
+    if (index > 0 && step.delayMinutes < this.steps[index - 1].delayMinutes) {
+      this.invalidate(
+        `steps.${index}.delayMinutes`,
+        `Step ${index + 1} cannot fire before step ${index}`,
+      );
+    }
+  });
+
+  next();
+});
+
+// Method to get the steps that are due, given how many have already fired
+// Returns [{ step, index }] in firing order
+escalationPolicySchema.methods.getDueSteps = function (
+  startedAt,
+  firedCount,
+  now = new Date(),
+) {
+  const elapsedMinutes = (now - startedAt) / (1000 * 60);
+
+  return this.steps
+    .map((step, index) => ({ step, index }))
+    .slice(firedCount)
+    .filter(({ step }) => step.delayMinutes <= elapsedMinutes);
+};
+
+const EscalationPolicy = mongoose.model(
+  "EscalationPolicy",
+  escalationPolicySchema,
+);
+
+export default EscalationPolicy;
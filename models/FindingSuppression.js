@@ -0,0 +1,234 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// How a suppressed finding was triaged
+export const SUPPRESSION_STATUSES = [
+  "accepted_risk",
+  "false_positive",
+  "fixed",
+];
+
+// Changes recorded in a suppression's history
+export const TRIAGE_ACTIONS = ["created", "updated", "revoked", "reopened"];
+
+// A triage change, kept so the suppression's history can be audited
+const triageChangeSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: TRIAGE_ACTIONS,
+      required: true,
+    },
+    status: String,
+    reason: String,
+    expiresAt: Date,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Null for changes made by a scan
+      ref: "User",
+      default: null,
+    },
+    scanId: {
+      type: mongoose.Schema.Types.ObjectId, // Scan a fixed finding came back in
+      ref: "SecurityScan",
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+const findingSuppressionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    monitorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Monitor",
+      required: true,
+    },
+    fingerprint: {
+      type: String, // See buildFingerprint
+      required: true,
+    },
+
+    // What the fingerprint was built from, for display
+    toolName: {
+      type: String,
+      required: [true, "Tool name is required"],
+    },
+    rule: {
+      type: String, // Rule that produced the finding (details.rule), if any
+      default: null,
+    },
+    summary: {
+      type: String, // Used instead of the rule for findings without one
+      default: null,
+    },
+    severity: {
+      type: String,
+      enum: ["HIGH", "MEDIUM", "LOW", "INFO"],
+      default: null,
+    },
+    evidence: {
+      type: String, // See getEvidence
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: SUPPRESSION_STATUSES,
+      required: [true, "Status is required"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    expiresAt: {
+      type: Date, // The finding counts again after this - null never expires
+      default: null,
+    },
+    triagedAt: {
+      type: Date, // When the triage was last set - a fixed finding found after this is reopened
+      default: null,
+    },
+    revokedAt: {
+      type: Date, // Revoked suppressions are kept for the audit trail but never apply
+      default: null,
+    },
+    history: [triageChangeSchema],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+findingSuppressionSchema.index(
+  { monitorId: 1, fingerprint: 1 },
+  { unique: true },
+);
+
+// Validate that the finding is identified and the expiry is in the future
+findingSuppressionSchema.pre("validate", function (next) {
+  if (!this.rule && !this.summary) {
+    this.invalidate(
+      "rule",
+      "A suppression needs the finding's rule or summary",
+    );
+  }
+
+  if (
+    this.isModified("expiresAt") &&
+    this.expiresAt &&
+    this.expiresAt <= new Date()
+  ) {
+    this.invalidate("expiresAt", "expiresAt must be in the future");
+  }
+
+  next();
+});
+
+// Method to check whether the suppression still applies
+findingSuppressionSchema.methods.isActive = function (at = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > at);
+};
+
+// Method to check whether the suppression applies to a scan run at scannedAt
+// A fixed finding only stays suppressed in scans from before it was fixed
+findingSuppressionSchema.methods.appliesTo = function (scannedAt) {
+  if (!this.isActive()) return false;
+  if (this.status !== "fixed") return true;
+  return (this.triagedAt || this.updatedAt) >= scannedAt;
+};
+
+// Method to record the current triage in the history
+findingSuppressionSchema.methods.recordChange = function (
+  action,
+  { changedBy = null, scanId = null } = {},
+) {
+  if (action === "created" || action === "updated") {
+    this.triagedAt = new Date();
+  }
+  if (action === "revoked" || action === "reopened") {
+    this.revokedAt = new Date();
+  }
+
+  this.history.push({
+    action,
+    status: this.status,
+    reason: this.reason,
+    expiresAt: this.expiresAt,
+    changedBy,
+    scanId,
+  });
+};
+
+// Static method to get what tells findings of the same rule apart: the
+// parameter it's about, or the hosts of the URLs it found
+findingSuppressionSchema.statics.getEvidence = function (details) {
+  if (typeof details?.parameter === "string") {
+    return details.parameter;
+  }
+
+  if (Array.isArray(details?.urls)) {
+    const hosts = details.urls.map((url) => {
+      try {
+        return new URL(url).hostname.toLowerCase();
+      } catch (error) {
+        return String(url);
+      }
+    });
+    return [...new Set(hosts)].sort().join(",") || null;
+  }
+
+  return null;
+};
+
+// Static method to build the fingerprint of a finding: its tool, the rule that
+// produced it (or its summary for analyzers that don't name their rules), its
+// severity and its evidence
+findingSuppressionSchema.statics.buildFingerprint = function (
+  toolName,
+  { rule, summary, severity, evidence },
+) {
+  const key = rule ? `rule:${rule}` : `summary:${summary}`;
+  return crypto
+    .createHash("sha256")
+    .update(
+      [
+        toolName,
+        key,
+        `severity:${severity}`,
+        `evidence:${evidence || ""}`,
+      ].join("\n"),
+    )
+    .digest("hex")
+    .slice(0, 16);
+};
+
+// Static method to get the suppressions of a monitor that still apply
+findingSuppressionSchema.statics.getActiveForMonitor = function (
+  monitorId,
+  at = new Date(),
+) {
+  return this.find({
+    monitorId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }],
+  });
+};
+
+const FindingSuppression = mongoose.model(
+  "FindingSuppression",
+  findingSuppressionSchema,
+);
+
+export default FindingSuppression;
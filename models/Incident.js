@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+
+// Max number of error samples kept per incident (first error is kept separately)
+export const MAX_ERROR_SAMPLES = 10;
+
+const incidentSchema = new mongoose.Schema(
+  {
+    monitorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Monitor",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    duration: {
+      type: Number, // milliseconds, set on resolve
+      default: null,
+    },
+
+    // Errors seen during the outage
+    firstError: {
+      type: String,
+      default: null,
+    },
+    errorSamples: [
+      {
+        message: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    failedChecks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Alerts sent while the incident was open
+    alerts: [
+      {
+        type: {
+          type: String,
+          enum: ["down", "reminder", "recovery", "flapping"],
+        },
+        channel: {
+          type: String,
+          enum: [
+            "email",
+            "sms",
+            "slack",
+            "discord",
+            "teams",
+            "pagerduty",
+            "opsgenie",
+            "webhook",
+          ],
+        },
+        channelId: {
+          type: mongoose.Schema.Types.ObjectId, // Notification channel used, if any
+          ref: "NotificationChannel",
+          default: null,
+        },
+        success: {
+          type: Boolean,
+          default: true,
+        },
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Escalation policy progress - steps stop firing once the incident is acknowledged
+    escalation: {
+      policyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "EscalationPolicy",
+        default: null,
+      },
+      startedAt: {
+        type: Date, // When the first alert went out - step delays count from here
+        default: null,
+      },
+      stepsFired: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      lastEscalatedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Triage
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    rootCause: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Root cause cannot exceed 1000 characters"],
+      default: null,
+    },
+    notes: [
+      {
+        text: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [1000, "Note cannot exceed 1000 characters"],
+        },
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        authorName: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Chronological record of everything that happened
+    timeline: [
+      {
+        type: {
+          type: String,
+          required: true,
+        },
+        message: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+incidentSchema.index({ monitorId: 1, startedAt: -1 });
+incidentSchema.index({ userId: 1, status: 1, startedAt: -1 });
+incidentSchema.index({ status: 1, "escalation.policyId": 1 });
+
+// Static method to get paginated incidents matching a query
+incidentSchema.statics.getPage = async function (
+  query,
+  { page = 1, limit = 20, populateMonitor = false } = {},
+) {
+  let find = this.find(query)
+    .sort({ startedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  if (populateMonitor) {
+    find = find.populate("monitorId", "name url status");
+  }
+
+  const [incidents, total] = await Promise.all([
+    find,
+    this.countDocuments(query),
+  ]);
+
+  return { incidents, total };
+};
+
+const Incident = mongoose.model("Incident", incidentSchema);
+
+export default Incident;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A named, expiring lock shared by every API instance
+// Whoever holds an unexpired lease is the only instance allowed to run that job
+const leaseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Lease name, e.g. "security-scheduler"
+    },
+    owner: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Lease = mongoose.model("Lease", leaseSchema);
+
+export default Lease;
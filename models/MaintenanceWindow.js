@@ -0,0 +1,207 @@
+import mongoose from "mongoose";
+import {
+  isValidTimezone,
+  parseRecurrence,
+  nextOccurrence,
+} from "../utils/recurrence.js";
+
+// Longest a single recurring occurrence may last
+export const MAX_RECURRING_DURATION_MINUTES = 24 * 60;
+
+const maintenanceWindowSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Maintenance window name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+
+    // What the window applies to - specific monitors and/or every monitor with a tag
+    monitorIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Monitor",
+      },
+    ],
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    // Schedule
+    type: {
+      type: String,
+      enum: ["one_time", "recurring"],
+      required: true,
+    },
+    startsAt: {
+      type: Date, // one_time only
+      default: null,
+    },
+    endsAt: {
+      type: Date, // one_time only
+      default: null,
+    },
+    recurrence: {
+      type: String, // recurring only - cron expression or RRULE
+      trim: true,
+      default: null,
+    },
+    durationMinutes: {
+      type: Number, // recurring only
+      default: null,
+      min: [1, "Duration must be at least 1 minute"],
+      max: [MAX_RECURRING_DURATION_MINUTES, "Duration cannot exceed 24 hours"],
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: {
+        validator: isValidTimezone,
+        message: "Please provide a valid IANA timezone",
+      },
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+maintenanceWindowSchema.index({ monitorIds: 1, isActive: 1 });
+maintenanceWindowSchema.index({ userId: 1, tags: 1 });
+
+// Validate that the schedule fields match the window type
+maintenanceWindowSchema.pre("validate", function (next) {
+  if (this.monitorIds.length === 0 && this.tags.length === 0) {
+    this.invalidate(
+      "monitorIds",
+      "A maintenance window needs at least one monitor or tag",
+    );
+  }
+
+  if (this.type === "one_time") {
+    if (!this.startsAt || !this.endsAt) {
+      this.invalidate(
+        "startsAt",
+        "One-time maintenance windows need startsAt and endsAt",
+      );
+    } else if (this.endsAt <= this.startsAt) {
+      this.invalidate("endsAt", "endsAt must be after startsAt");
+    }
+  }
+
+  if (this.type === "recurring") {
+    try {
+      parseRecurrence(this.recurrence);
+    } catch (error) {
+      this.invalidate("recurrence", error.message);
+    }
+
+    if (!this.durationMinutes) {
+      this.invalidate(
+        "durationMinutes",
+        "Recurring maintenance windows need durationMinutes",
+      );
+    }
+  }
+
+  next();
+});
+
+// Method to get the occurrence of this window that covers a point in time
+// Returns { startsAt, endsAt } or null if the window isn't in effect at that time
+maintenanceWindowSchema.methods.getOccurrenceAt = function (at = new Date()) {
+  if (this.type === "one_time") {
+    return this.startsAt <= at && at < this.endsAt
+      ? { startsAt: this.startsAt, endsAt: this.endsAt }
+      : null;
+  }
+
+  // An occurrence covers `at` if it started within the last durationMinutes
+  const durationMs = this.durationMinutes * 60 * 1000;
+  const startsAt = nextOccurrence(
+    parseRecurrence(this.recurrence),
+    new Date(at.getTime() - durationMs + 1),
+    this.timezone,
+    durationMs,
+  );
+
+  return startsAt && startsAt <= at
+    ? { startsAt, endsAt: new Date(startsAt.getTime() + durationMs) }
+    : null;
+};
+
+// Method to get the current or next occurrence of this window within a horizon
+// Returns { startsAt, endsAt } or null if nothing is scheduled in that time
+maintenanceWindowSchema.methods.getNextOccurrence = function (
+  from = new Date(),
+  horizonMs = 7 * 24 * 60 * 60 * 1000,
+) {
+  const current = this.getOccurrenceAt(from);
+  if (current) return current;
+
+  if (this.type === "one_time") {
+    return this.startsAt > from && this.startsAt <= from.getTime() + horizonMs
+      ? { startsAt: this.startsAt, endsAt: this.endsAt }
+      : null;
+  }
+
+  const startsAt = nextOccurrence(
+    parseRecurrence(this.recurrence),
+    from,
+    this.timezone,
+    horizonMs,
+  );
+
+  return startsAt
+    ? {
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + this.durationMinutes * 60 * 1000),
+      }
+    : null;
+};
+
+// Static method to find the active windows that apply to a monitor
+// Skips one-time windows that have already ended
+maintenanceWindowSchema.statics.findForMonitor = function (
+  monitor,
+  now = new Date(),
+) {
+  return this.find({
+    userId: monitor.userId,
+    isActive: true,
+    $and: [
+      {
+        $or: [
+          { monitorIds: monitor._id },
+          { tags: { $in: monitor.tags || [] } },
+        ],
+      },
+      { $or: [{ type: "recurring" }, { endsAt: { $gt: now } }] },
+    ],
+  });
+};
+
+const MaintenanceWindow = mongoose.model(
+  "MaintenanceWindow",
+  maintenanceWindowSchema,
+);
+
+export default MaintenanceWindow;
@@ -1,6 +1,86 @@
 import mongoose from "mongoose";
 import { decryptAuthToken } from "../utils/encryption.js";
 
+// Bounds and defaults for each alert policy setting
+// The defaults match the original behaviour: alert after 2 failures, then
+// up to 3 daily reminders, recover on the first successful check
+export const ALERT_POLICY_LIMITS = {
+  failureThreshold: { min: 1, max: 20, default: 2 },
+  recoveryThreshold: { min: 1, max: 20, default: 1 },
+  reminderIntervalHours: { min: 1, max: 168, default: 24 },
+  maxReminders: { min: 0, max: 10, default: 3 },
+  escalationDelayMinutes: { min: 0, max: 1440, default: 0 },
+
+  // Flapping: state changes in flapThreshold % of the last flapWindow checks (0 turns it off)
+  flapWindow: { min: 5, max: 50, default: 20 },
+  flapThreshold: { min: 0, max: 100, default: 50 },
+};
+
+// Synthetic tools/call probes run after each healthy check
+export const MAX_TOOL_PROBES = 5;
+export const MAX_PROBE_ASSERTIONS = 10;
+export const PROBE_ASSERTION_TYPES = [
+  "contains", // text content includes value
+  "jsonPathEquals", // value at path equals value
+  "isErrorFalse", // result.isError is not true
+];
+
+const toolProbeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Probe name is required"],
+    trim: true,
+    maxlength: [100, "Probe name cannot exceed 100 characters"],
+  },
+  toolName: {
+    type: String,
+    required: [true, "Probe tool name is required"],
+    trim: true,
+  },
+  arguments: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+  },
+  timeout: {
+    type: Number,
+    default: 30, // seconds
+    min: [1, "Probe timeout must be at least 1 second"],
+    max: [120, "Probe timeout cannot exceed 120 seconds"],
+  },
+  assertions: {
+    type: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: PROBE_ASSERTION_TYPES,
+          required: true,
+        },
+        path: String, // jsonPathEquals only, e.g. "$.structuredContent.status"
+        value: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    default: [],
+  },
+  failureMode: {
+    type: String, // What a failing probe does to the monitor's status
+    enum: ["degraded", "down"],
+    default: "degraded",
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Build the schema path for one alert policy setting from its limits
+const alertPolicyField = (name) => ({
+  type: Number,
+  default: ALERT_POLICY_LIMITS[name].default,
+  min: ALERT_POLICY_LIMITS[name].min,
+  max: ALERT_POLICY_LIMITS[name].max,
+});
+
 const monitorSchema = new mongoose.Schema(
   {
     // Core fields
@@ -29,7 +109,7 @@ const monitorSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["online", "offline", "paused", "unknown"],
+      enum: ["online", "degraded", "offline", "flapping", "paused", "unknown"],
       default: "unknown",
     },
     checkInterval: {
@@ -115,10 +195,98 @@ const monitorSchema = new mongoose.Schema(
         },
       },
     ],
+    // Prompt and resource discovery (only listed when the server advertises them)
+    prompts: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        title: {
+          type: String,
+          default: null,
+        },
+        description: {
+          type: String,
+          default: "",
+        },
+        arguments: [
+          {
+            _id: false,
+            name: String,
+            description: String,
+            required: Boolean,
+          },
+        ],
+      },
+    ],
+    resources: [
+      {
+        uri: {
+          type: String,
+          required: true,
+        },
+        name: {
+          type: String,
+          default: "",
+        },
+        description: {
+          type: String,
+          default: "",
+        },
+        mimeType: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+    resourceTemplates: [
+      {
+        uriTemplate: {
+          type: String,
+          required: true,
+        },
+        name: {
+          type: String,
+          default: "",
+        },
+        description: {
+          type: String,
+          default: "",
+        },
+        mimeType: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
     lastToolsSync: {
       type: Date,
       default: null,
     },
+
+    // Synthetic tool calls
+    toolProbes: {
+      type: [toolProbeSchema],
+      default: [],
+      validate: {
+        validator: function (v) {
+          return v.length <= MAX_TOOL_PROBES;
+        },
+        message: `Cannot have more than ${MAX_TOOL_PROBES} tool probes`,
+      },
+    },
+    lastProbeResults: [
+      {
+        _id: false,
+        name: String,
+        toolName: String,
+        success: Boolean,
+        error: String,
+        responseTime: Number, // milliseconds
+        checkedAt: Date,
+      },
+    ],
     toolsSyncEnabled: {
       type: Boolean,
       default: true,
@@ -145,11 +313,75 @@ const monitorSchema = new mongoose.Schema(
       max: [168, "Security scan interval cannot exceed 168 hours (1 week)"],
     },
 
+    // Approved tool catalog - later checks are compared against it
+    toolBaseline: {
+      tools: [
+        {
+          _id: false,
+          name: String,
+          hash: String, // SHA-256 of the tool's name, description and input schema
+        },
+      ],
+      hash: {
+        type: String, // SHA-256 of the whole catalog
+        default: null,
+      },
+      approvedAt: {
+        type: Date,
+        default: null,
+      },
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    },
+    toolDrift: {
+      detected: {
+        type: Boolean,
+        default: false,
+      },
+      detectedAt: {
+        type: Date,
+        default: null,
+      },
+      hash: {
+        type: String, // Catalog hash the last drift alert was sent for
+        default: null,
+      },
+      added: {
+        type: [String],
+        default: [],
+      },
+      removed: {
+        type: [String],
+        default: [],
+      },
+      changed: {
+        type: [String],
+        default: [],
+      },
+    },
+    scanOnToolDrift: {
+      type: Boolean, // Run a security scan as soon as drift is detected
+      default: true,
+    },
+
     // Monitoring data
     lastCheckedAt: {
       type: Date,
       default: null,
     },
+
+    // Check claim - lets exactly one API instance run a due check
+    checkClaimedBy: {
+      type: String,
+      default: null,
+    },
+    checkClaimExpiresAt: {
+      type: Date,
+      default: null,
+    },
     lastUptime: {
       type: Date,
       default: null,
@@ -195,6 +427,26 @@ const monitorSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    alertPolicy: {
+      failureThreshold: alertPolicyField("failureThreshold"), // consecutive failures before alerting
+      recoveryThreshold: alertPolicyField("recoveryThreshold"), // consecutive successes before recovering
+      reminderIntervalHours: alertPolicyField("reminderIntervalHours"),
+      maxReminders: alertPolicyField("maxReminders"),
+      escalationDelayMinutes: alertPolicyField("escalationDelayMinutes"), // minimum outage age before the first alert
+      flapWindow: alertPolicyField("flapWindow"), // recent checks used for flap detection
+      flapThreshold: alertPolicyField("flapThreshold"), // % of state changes that starts flapping
+    },
+    notificationChannels: [
+      {
+        type: mongoose.Schema.Types.ObjectId, // Extra destinations used when no notification rule matches
+        ref: "NotificationChannel",
+      },
+    ],
+    escalationPolicy: {
+      type: mongoose.Schema.Types.ObjectId, // Replaces the initial down alert with timed escalation steps
+      ref: "EscalationPolicy",
+      default: null,
+    },
 
     // Alert tracking
     consecutiveFailures: {
@@ -202,6 +454,15 @@ const monitorSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    consecutiveSuccesses: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    failingSince: {
+      type: Date, // Start of the current failure streak
+      default: null,
+    },
     lastAlertSentAt: {
       type: Date,
       default: null,
@@ -215,6 +476,25 @@ const monitorSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    currentIncidentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Incident",
+      default: null,
+    },
+
+    // Flap detection
+    recentCheckStates: {
+      type: [Boolean], // Up/down outcome of the last flapWindow checks, oldest first
+      default: [],
+    },
+    flappingSince: {
+      type: Date,
+      default: null,
+    },
+    inMaintenance: {
+      type: Boolean, // Set on each check from the scheduled maintenance windows
+      default: false,
+    },
 
     // Security alert tracking
     securityAlertLastSentAt: {
@@ -261,6 +541,7 @@ const monitorSchema = new mongoose.Schema(
 // Index for efficient queries
 monitorSchema.index({ userId: 1, createdAt: -1 });
 monitorSchema.index({ userId: 1, status: 1 });
+monitorSchema.index({ isActive: 1, lastCheckedAt: 1 });
 
 // Virtual for uptime duration in days
 monitorSchema.virtual("uptimeDays").get(function () {
@@ -309,6 +590,253 @@ monitorSchema.methods.updateStatus = async function (
   await this.save();
 };
 
+// Static method to build the filter for active monitors whose checkInterval has elapsed
+// graceMs lets a check run slightly early so a monitor checked a few seconds
+// into one scheduler tick is still due on the matching tick checkInterval later
+monitorSchema.statics.dueFilter = function (now = new Date(), graceMs = 0) {
+  return {
+    isActive: true,
+    $or: [
+      { lastCheckedAt: null },
+      {
+        $expr: {
+          $lte: [
+            "$lastCheckedAt",
+            {
+              $subtract: [
+                now,
+                {
+                  $subtract: [
+                    { $multiply: ["$checkInterval", 60 * 1000] },
+                    graceMs,
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    ],
+  };
+};
+
+// Static method to find active monitors that are due for a check
+monitorSchema.statics.findDue = function (now = new Date(), graceMs = 0) {
+  return this.find(this.dueFilter(now, graceMs));
+};
+
+// Static method to atomically claim a monitor for checking
+// Returns the claimed monitor (with authToken) or null if another instance holds
+// an unexpired claim or the monitor no longer matches the filter
+monitorSchema.statics.claimForCheck = function (
+  monitorId,
+  owner,
+  ttlMs,
+  filter = {},
+) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $and: [
+        { _id: monitorId },
+        filter,
+        {
+          $or: [
+            { checkClaimExpiresAt: null },
+            { checkClaimExpiresAt: { $lte: now } },
+          ],
+        },
+      ],
+    },
+    {
+      $set: {
+        checkClaimedBy: owner,
+        checkClaimExpiresAt: new Date(now.getTime() + ttlMs),
+      },
+    },
+    { new: true },
+  ).select("+authToken");
+};
+
+// Static method to extend this instance's claim on a monitor just before its check runs
+// Returns false if the claim was released or taken by another instance meanwhile
+monitorSchema.statics.renewCheckClaim = async function (
+  monitorId,
+  owner,
+  ttlMs,
+) {
+  const result = await this.updateOne(
+    { _id: monitorId, checkClaimedBy: owner },
+    { $set: { checkClaimExpiresAt: new Date(Date.now() + ttlMs) } },
+  );
+  return result.matchedCount > 0;
+};
+
+// Static method to release a check claim held by owner
+monitorSchema.statics.releaseCheckClaim = function (monitorId, owner) {
+  return this.updateOne(
+    { _id: monitorId, checkClaimedBy: owner },
+    { $set: { checkClaimedBy: null, checkClaimExpiresAt: null } },
+  );
+};
+
+// Method to get the alert policy with defaults filled in for any unset setting
+monitorSchema.methods.getAlertPolicy = function () {
+  const policy = {};
+  for (const [name, limits] of Object.entries(ALERT_POLICY_LIMITS)) {
+    policy[name] = this.alertPolicy?.[name] ?? limits.default;
+  }
+  return policy;
+};
+
+// Method to get the share of state changes over the recent checks (0-1)
+// Returns null until the flap window is full
+monitorSchema.methods.getFlapRate = function () {
+  const { flapWindow } = this.getAlertPolicy();
+  const states = this.recentCheckStates || [];
+
+  if (states.length < flapWindow) {
+    return null;
+  }
+
+  let changes = 0;
+  for (let i = 1; i < states.length; i++) {
+    if (states[i] !== states[i - 1]) changes++;
+  }
+  return changes / (states.length - 1);
+};
+
+// Method to record a check outcome and update the flapping state
+// Returns "started", "flapping", "settled" or null (not flapping)
+// The caller is responsible for saving the monitor
+monitorSchema.methods.recordFlapState = function (isUp, now = new Date()) {
+  const { flapWindow, flapThreshold } = this.getAlertPolicy();
+
+  this.recentCheckStates = [...(this.recentCheckStates || []), isUp].slice(
+    -flapWindow,
+  );
+
+  const rate = this.getFlapRate();
+  const threshold = flapThreshold / 100;
+
+  if (!this.flappingSince) {
+    if (flapThreshold > 0 && rate !== null && rate >= threshold) {
+      this.flappingSince = now;
+      return "started";
+    }
+    return null;
+  }
+
+  // Settling needs the rate well below the start threshold so a monitor
+  // hovering around it doesn't toggle in and out of flapping
+  if (flapThreshold === 0 || rate === null || rate < threshold / 2) {
+    this.flappingSince = null;
+    return "settled";
+  }
+  return "flapping";
+};
+
+// Static method to validate an alert policy from a request body
+// Returns an error message, or null if every provided setting is valid
+monitorSchema.statics.validateAlertPolicy = function (policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return "Alert policy must be an object";
+  }
+
+  for (const [name, value] of Object.entries(policy)) {
+    const limits = ALERT_POLICY_LIMITS[name];
+
+    if (!limits) {
+      return `Unknown alert policy setting: ${name}`;
+    }
+
+    if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+      return `Alert policy ${name} must be a whole number between ${limits.min} and ${limits.max}`;
+    }
+  }
+
+  return null;
+};
+
+// Static method to validate tool probes from a request body
+// Returns an error message, or null if every probe is valid
+monitorSchema.statics.validateToolProbes = function (probes) {
+  if (!Array.isArray(probes)) {
+    return "toolProbes must be an array";
+  }
+
+  if (probes.length > MAX_TOOL_PROBES) {
+    return `Cannot have more than ${MAX_TOOL_PROBES} tool probes`;
+  }
+
+  for (const probe of probes) {
+    if (!probe || typeof probe !== "object") {
+      return "Each tool probe must be an object";
+    }
+
+    if (!probe.name || !probe.toolName) {
+      return "Each tool probe needs a name and a toolName";
+    }
+
+    if (
+      probe.arguments !== undefined &&
+      (!probe.arguments ||
+        typeof probe.arguments !== "object" ||
+        Array.isArray(probe.arguments))
+    ) {
+      return `Probe "${probe.name}" arguments must be an object`;
+    }
+
+    if (
+      probe.timeout !== undefined &&
+      (!Number.isInteger(probe.timeout) ||
+        probe.timeout < 1 ||
+        probe.timeout > 120)
+    ) {
+      return `Probe "${probe.name}" timeout must be a whole number of seconds between 1 and 120`;
+    }
+
+    if (
+      probe.failureMode !== undefined &&
+      !["degraded", "down"].includes(probe.failureMode)
+    ) {
+      return `Probe "${probe.name}" failureMode must be "degraded" or "down"`;
+    }
+
+    const assertions = probe.assertions ?? [];
+    if (!Array.isArray(assertions)) {
+      return `Probe "${probe.name}" assertions must be an array`;
+    }
+
+    if (assertions.length > MAX_PROBE_ASSERTIONS) {
+      return `Probe "${probe.name}" cannot have more than ${MAX_PROBE_ASSERTIONS} assertions`;
+    }
+
+    for (const assertion of assertions) {
+      if (!PROBE_ASSERTION_TYPES.includes(assertion?.type)) {
+        return `Probe "${probe.name}" has an unknown assertion type. Use one of: ${PROBE_ASSERTION_TYPES.join(", ")}`;
+      }
+
+      if (
+        assertion.type === "contains" &&
+        typeof assertion.value !== "string"
+      ) {
+        return `Probe "${probe.name}" contains assertions need a text value`;
+      }
+
+      if (
+        assertion.type === "jsonPathEquals" &&
+        (typeof assertion.path !== "string" || assertion.value === undefined)
+      ) {
+        return `Probe "${probe.name}" jsonPathEquals assertions need a path and a value`;
+      }
+    }
+  }
+
+  return null;
+};
+
 // Method to get decrypted auth token
 monitorSchema.methods.getDecryptedAuthToken = function () {
   if (!this.authToken || !this.requiresAuth) {
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import { decrypt } from "../utils/encryption.js";
+
+// Chat platforms that receive formatted messages on an incoming webhook
+export const CHAT_CHANNEL_TYPES = ["slack", "discord", "teams"];
+
+// On-call platforms that open and auto-resolve their own incidents
+export const ON_CALL_CHANNEL_TYPES = ["pagerduty", "opsgenie"];
+
+// Email and SMS sent by MCPMon itself, using the account's delivery settings
+export const DIRECT_CHANNEL_TYPES = ["email", "sms"];
+
+// Every platform a user can connect as an alert destination - "webhook" routes
+// events to one of the user's signed webhooks (see Webhook)
+export const CHANNEL_TYPES = [
+  ...DIRECT_CHANNEL_TYPES,
+  ...CHAT_CHANNEL_TYPES,
+  ...ON_CALL_CHANNEL_TYPES,
+  "webhook",
+];
+
+// Where each chat platform serves its incoming webhooks - [host, path prefix]
+// Teams covers classic connectors and Power Automate / Workflows webhooks
+const CHAT_WEBHOOK_HOSTS = {
+  slack: [[/^hooks\.slack\.com$/, /^\/(services|triggers|workflows)\//]],
+  discord: [[/^((canary|ptb)\.)?discord(app)?\.com$/, /^\/api\/webhooks\//]],
+  teams: [
+    [/^[a-z0-9-]+\.webhook\.office\.com$/, /^\/webhookb2\//],
+    [/^outlook\.office\.com$/, /^\/webhook\//],
+    [/^[a-z0-9-]+(\.[a-z0-9-]+)*\.logic\.azure\.com$/, /^\/workflows\//],
+    [/^[a-z0-9-]+(\.[a-z0-9-]+)*\.powerplatform\.com$/, /\/workflows\//],
+  ],
+};
+
+/**
+ * Check that a URL is an HTTPS incoming webhook of the channel's chat platform
+ * @param {string} type - Chat channel type
+ * @param {string} url - Webhook URL
+ * @returns {boolean} - True if valid
+ */
+export function isValidChatWebhookUrl(type, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== "https:" || (parsed.port && parsed.port !== "443")) {
+    return false;
+  }
+
+  return (CHAT_WEBHOOK_HOSTS[type] || []).some(
+    ([host, path]) => host.test(parsed.hostname) && path.test(parsed.pathname),
+  );
+}
+
+const notificationChannelSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Channel name is required"],
+      trim: true,
+      maxlength: [100, "Channel name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: CHANNEL_TYPES,
+      required: [true, "Channel type is required"],
+    },
+    webhookUrl: {
+      type: String, // Chat channels only - stored encrypted, incoming webhook URLs are credentials
+      required: function () {
+        return CHAT_CHANNEL_TYPES.includes(this.type);
+      },
+      select: false,
+    },
+    apiKey: {
+      type: String, // On-call channels only - PagerDuty routing key or Opsgenie API key, stored encrypted
+      required: function () {
+        return ON_CALL_CHANNEL_TYPES.includes(this.type);
+      },
+      select: false,
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId, // Webhook only - the webhook that receives the events
+      ref: "Webhook",
+      required: function () {
+        return this.type === "webhook";
+      },
+    },
+    email: {
+      type: String, // Email only - recipient, defaults to the monitor's alert email or the account email
+      trim: true,
+      lowercase: true,
+      default: null,
+      match: [/^\S+@\S+\.\S+$/, "Please provide a valid email address"],
+    },
+    region: {
+      type: String, // Opsgenie only - which API instance the account lives in
+      enum: ["us", "eu"],
+      default: "us",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Delivery tracking
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Method to get decrypted webhook URL
+notificationChannelSchema.methods.getDecryptedWebhookUrl = function () {
+  return this.webhookUrl ? decrypt(this.webhookUrl) : null;
+};
+
+// Method to get decrypted PagerDuty routing key / Opsgenie API key
+notificationChannelSchema.methods.getDecryptedApiKey = function () {
+  return this.apiKey ? decrypt(this.apiKey) : null;
+};
+
+const NotificationChannel = mongoose.model(
+  "NotificationChannel",
+  notificationChannelSchema,
+);
+
+export default NotificationChannel;
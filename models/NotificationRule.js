@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import {
+  TIME_OF_DAY_PATTERN,
+  isValidTimezone,
+  getZonedParts,
+  parseTimeOfDay,
+  isInDailyWindow,
+} from "../utils/recurrence.js";
+
+// Events the notification dispatcher routes
+export const NOTIFICATION_EVENTS = [
+  "monitor.down",
+  "monitor.reminder",
+  "monitor.recovery",
+  "monitor.flapping",
+  "security.alert",
+  "tools.changed",
+  "security.risk_changed",
+];
+
+// Severities in ascending order - security alerts use the scan's risk level
+export const NOTIFICATION_SEVERITIES = [
+  "info",
+  "low",
+  "medium",
+  "high",
+  "critical",
+];
+
+// Severity of monitor events - security alerts use the scan's risk level
+export const EVENT_SEVERITIES = {
+  "monitor.down": "critical",
+  "monitor.reminder": "critical",
+  "monitor.recovery": "info",
+  "monitor.flapping": "high",
+  "tools.changed": "medium",
+};
+
+const notificationRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    order: {
+      type: Number, // Rules are evaluated in ascending order, the first match wins
+      default: 0,
+    },
+
+    // Conditions - an empty list matches anything
+    events: {
+      type: [{ type: String, enum: NOTIFICATION_EVENTS }],
+      default: [],
+    },
+    tags: {
+      type: [String], // Monitor must have at least one of these tags
+      default: [],
+    },
+    severities: {
+      type: [{ type: String, enum: NOTIFICATION_SEVERITIES }],
+      default: [],
+    },
+    timeWindow: {
+      start: {
+        type: String, // "HH:MM" - windows may wrap past midnight (e.g. 22:00-06:00)
+        match: [TIME_OF_DAY_PATTERN, "start must be HH:MM"],
+        default: null,
+      },
+      end: {
+        type: String, // "HH:MM", exclusive
+        match: [TIME_OF_DAY_PATTERN, "end must be HH:MM"],
+        default: null,
+      },
+      days: {
+        type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday, empty = every day
+        default: [],
+      },
+      timezone: {
+        type: String,
+        default: "UTC",
+        validate: {
+          validator: isValidTimezone,
+          message: "Please provide a valid IANA timezone",
+        },
+      },
+    },
+
+    // Where matching notifications go
+    channels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "NotificationChannel",
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+notificationRuleSchema.index({ userId: 1, isActive: 1, order: 1 });
+
+// Validate that the rule has somewhere to send and a complete time window
+notificationRuleSchema.pre("validate", function (next) {
+  if (this.channels.length === 0) {
+    this.invalidate("channels", "A rule needs at least one channel");
+  }
+
+  const { start, end } = this.timeWindow || {};
+  if (!start !== !end) {
+    this.invalidate("timeWindow", "timeWindow needs both start and end");
+  } else if (start && start === end) {
+    this.invalidate("timeWindow", "timeWindow start and end must differ");
+  }
+
+  next();
+});
+
+// Method to check whether a point in time falls inside the rule's time window
+notificationRuleSchema.methods.isWithinTimeWindow = function (at = new Date()) {
+  const { start, end, days, timezone } = this.timeWindow || {};
+  if (!start && !days?.length) return true;
+
+  const parts = getZonedParts(at, timezone || "UTC");
+
+  if (!start) {
+    return days.includes(parts.weekday);
+  }
+
+  if (!isInDailyWindow(parts, start, end)) {
+    return false;
+  }
+
+  // Overnight windows belong to the day they start on
+  const minute = parts.hour * 60 + parts.minute;
+  const wrapped =
+    parseTimeOfDay(end) < parseTimeOfDay(start) && minute < parseTimeOfDay(end);
+  const weekday = wrapped ? (parts.weekday + 6) % 7 : parts.weekday;
+
+  return !days?.length || days.includes(weekday);
+};
+
+// Method to check whether the rule applies to a notification
+// event: { type, severity, monitor, at }
+notificationRuleSchema.methods.matches = function (event) {
+  // Rules whose channels were all deleted are skipped
+  if (this.channels.length === 0) {
+    return false;
+  }
+
+  if (this.events.length > 0 && !this.events.includes(event.type)) {
+    return false;
+  }
+
+  if (this.severities.length > 0 && !this.severities.includes(event.severity)) {
+    return false;
+  }
+
+  if (this.tags.length > 0) {
+    const monitorTags = event.monitor?.tags || [];
+    if (!this.tags.some((tag) => monitorTags.includes(tag))) {
+      return false;
+    }
+  }
+
+  return this.isWithinTimeWindow(event.at);
+};
+
+// Static method to find the first active rule that matches a notification
+notificationRuleSchema.statics.findMatching = async function (userId, event) {
+  const rules = await this.find({ userId, isActive: true }).sort({
+    order: 1,
+    createdAt: 1,
+  });
+
+  return rules.find((rule) => rule.matches(event)) || null;
+};
+
+const NotificationRule = mongoose.model(
+  "NotificationRule",
+  notificationRuleSchema,
+);
+
+export default NotificationRule;
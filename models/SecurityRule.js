@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+
+// Parts of a tool a rule's pattern can be matched against
+export const RULE_TARGETS = [
+  "name", // Tool name
+  "description", // Tool description and the descriptions of its parameters
+  "parameter", // Each parameter name in the input schema
+  "schema", // The whole input schema as JSON
+];
+
+// Finding severities, as used by the scan results
+export const RULE_SEVERITIES = ["HIGH", "MEDIUM", "LOW"];
+
+/**
+ * Check a pattern for the constructs that make regular expressions backtrack
+ * exponentially: backreferences, a repeated group that repeats inside, such as
+ * (a+)+, (\w*x)* or (.*a){20}, and a repeated group with alternatives, such as
+ * (a|a)*. This is a heuristic - the rule worker's time budget still stops
+ * patterns that get past it
+ * @param {string} pattern - JavaScript regular expression, without slashes
+ * @returns {string|null} - Reason the pattern is refused, or null if it's allowed
+ */
+export function checkPatternSafety(pattern) {
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return "Please provide a valid regular expression";
+  }
+
+  // One entry per open group: whether it contains a repeating quantifier or an
+  // alternation
+  const groups = [{ repeats: false, alternates: false }];
+  // The last atom, if it was a group
+  let lastGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "\\") {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || (next === "k" && pattern[i + 2] === "<")) {
+        return "Backreferences aren't allowed in rule patterns";
+      }
+      i++;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === "[") {
+      // Skip the character class - nothing inside it is a group or quantifier
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === ")") {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      parent.repeats ||= group.repeats;
+      parent.alternates ||= group.alternates;
+      lastGroup = group;
+      continue;
+    }
+
+    if (char === "|") {
+      groups[groups.length - 1].alternates = true;
+      lastGroup = null;
+      continue;
+    }
+
+    const quantifier = pattern.slice(i).match(/^(\*|\+|\{\d+(,\d*)?\})/);
+    if (quantifier) {
+      // {n} repeats when n > 1, {n,} always and {n,m} when m > 1
+      const bounds = quantifier[0].match(/\{(\d+)(,?)(\d*)\}/);
+      const repeating =
+        !bounds ||
+        (bounds[2]
+          ? bounds[3] === "" || Number(bounds[3]) > 1
+          : Number(bounds[1]) > 1);
+
+      if (repeating && lastGroup?.repeats) {
+        return "Nested quantifiers such as (a+)+ aren't allowed in rule patterns";
+      }
+      if (repeating && lastGroup?.alternates) {
+        return "Repeated alternatives such as (a|b)* aren't allowed in rule patterns";
+      }
+      if (repeating) {
+        groups[groups.length - 1].repeats = true;
+      }
+      i += quantifier[0].length - 1;
+    }
+
+    lastGroup = null;
+  }
+
+  return null;
+}
+
+const securityRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    target: {
+      type: String,
+      enum: RULE_TARGETS,
+      required: [true, "Rule target is required"],
+    },
+    pattern: {
+      type: String, // JavaScript regular expression, without slashes
+      required: [true, "Rule pattern is required"],
+      maxlength: [500, "Rule pattern cannot exceed 500 characters"],
+      validate: {
+        // Rules run against server-controlled text, so patterns that can
+        // backtrack for seconds are refused
+        validator: function (pattern) {
+          return !checkPatternSafety(pattern);
+        },
+        message: (props) => checkPatternSafety(props.value),
+      },
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    severity: {
+      type: String,
+      enum: RULE_SEVERITIES,
+      default: "MEDIUM",
+    },
+    message: {
+      type: String, // Summary of the findings the rule reports
+      required: [true, "Rule message is required"],
+      trim: true,
+      maxlength: [300, "Rule message cannot exceed 300 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+securityRuleSchema.index({ userId: 1, isActive: 1 });
+
+// Static method to get a user's active rules, oldest first
+securityRuleSchema.statics.getActiveRules = function (userId) {
+  return this.find({ userId, isActive: true }).sort({ createdAt: 1 });
+};
+
+const SecurityRule = mongoose.model("SecurityRule", securityRuleSchema);
+
+export default SecurityRule;
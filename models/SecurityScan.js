@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+// Triage of a finding that matched a FindingSuppression when it was scanned
+const findingSuppressionSchema = new mongoose.Schema({
+  suppressionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FindingSuppression'
+  },
+  status: String, // accepted_risk, false_positive or fixed
+  reason: String,
+  expiresAt: Date
+}, { _id: false });
+
 const securityScanSchema = new mongoose.Schema({
   monitorId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,10 +37,26 @@ const securityScanSchema = new mongoose.Schema({
     required: true
   },
   analyzers: {
-    type: [String],
-    enum: ['api', 'yara', 'llm'],
+    type: [String], // Names from the analyzer registry (services/analyzers)
     default: ['api', 'yara', 'llm']
   },
+  // Outcome of each analyzer - one failing doesn't fail the scan
+  analyzerRuns: [{
+    _id: false,
+    analyzer: String,
+    status: {
+      type: String,
+      enum: ['completed', 'failed', 'skipped']
+    },
+    duration: Number, // Duration in milliseconds
+    findingCount: { type: Number, default: 0 },
+    error: String
+  }],
+  // An analyzer failed, so findings may be missing - never lowers the security status
+  partial: {
+    type: Boolean,
+    default: false
+  },
   results: {
     server_url: String,
     total_scanned: { type: Number, default: 0 },
@@ -47,7 +74,14 @@ const securityScanSchema = new mongoose.Schema({
         },
         summary: String,
         analyzer: String,
-        details: mongoose.Schema.Types.Mixed
+        details: mongoose.Schema.Types.Mixed,
+        evidence: String, // Parameter or URL hosts the finding is about, if any
+        fingerprint: String, // Tool + rule/summary + severity + evidence, used to suppress the finding
+        // Set if the finding was suppressed - it's kept but doesn't count towards the risk level
+        suppression: {
+          type: findingSuppressionSchema,
+          default: null
+        }
       }],
       is_safe: Boolean
     }]
@@ -75,15 +109,23 @@ securityScanSchema.index({ userId: 1, scannedAt: -1 });
 securityScanSchema.index({ riskLevel: 1, scannedAt: -1 });
 securityScanSchema.index({ status: 1, scannedAt: -1 });
 
-// Virtual for high severity findings count
+// Virtual for high severity findings count (suppressed findings excluded)
 securityScanSchema.virtual('highSeverityCount').get(function() {
   if (!this.results || !this.results.results) return 0;
   return this.results.results.reduce((count, result) => {
-    const highFindings = result.findings?.filter(f => f.severity === 'HIGH') || [];
+    const highFindings = result.findings?.filter(f => f.severity === 'HIGH' && !f.suppression) || [];
     return count + highFindings.length;
   }, 0);
 });
 
+// Virtual for suppressed findings count
+securityScanSchema.virtual('suppressedCount').get(function() {
+  if (!this.results || !this.results.results) return 0;
+  return this.results.results.reduce((count, result) => {
+    return count + (result.findings?.filter(f => f.suppression).length || 0);
+  }, 0);
+});
+
 // Virtual for total findings count
 securityScanSchema.virtual('totalFindingsCount').get(function() {
   if (!this.results || !this.results.results) return 0;
@@ -93,6 +135,7 @@ securityScanSchema.virtual('totalFindingsCount').get(function() {
 });
 
 // Method to calculate risk level based on findings
+// Suppressed findings don't count
 securityScanSchema.methods.calculateRiskLevel = function() {
   if (!this.results || !this.results.results || this.results.results.length === 0) {
     return 'safe';
@@ -105,6 +148,7 @@ securityScanSchema.methods.calculateRiskLevel = function() {
   this.results.results.forEach(result => {
     if (result.findings) {
       result.findings.forEach(finding => {
+        if (finding.suppression) return;
         if (finding.severity === 'HIGH') highCount++;
         else if (finding.severity === 'MEDIUM') mediumCount++;
         else if (finding.severity === 'LOW') lowCount++;
@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+
+// How long a catalog version is kept after a newer one replaced it
+const RETENTION_DAYS =
+  parseInt(process.env.TOOL_SNAPSHOT_RETENTION_DAYS) || 180;
+
+const toolChangeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    descriptionChanged: {
+      type: Boolean,
+      default: false,
+    },
+    inputSchemaChanged: {
+      type: Boolean,
+      default: false,
+    },
+    previousDescription: {
+      type: String,
+      default: null,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const toolSnapshotSchema = new mongoose.Schema(
+  {
+    monitorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Monitor",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    version: {
+      type: Number, // Increments by one for each distinct catalog seen
+      required: true,
+      min: 1,
+    },
+    hash: {
+      type: String, // SHA-256 of the sorted catalog
+      required: true,
+    },
+    tools: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+        },
+        description: {
+          type: String,
+          default: "",
+        },
+        inputSchema: {
+          type: mongoose.Schema.Types.Mixed,
+          default: null,
+        },
+      },
+    ],
+
+    // Diff against the previous version (empty for the first version)
+    added: {
+      type: [String],
+      default: [],
+    },
+    removed: {
+      type: [String],
+      default: [],
+    },
+    changed: {
+      type: [toolChangeSchema],
+      default: [],
+    },
+    // Last time a check saw this exact catalog
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When a newer version replaced this one - null for the latest version
+    supersededAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One document per version - also stops two instances recording the same change twice
+toolSnapshotSchema.index({ monitorId: 1, version: -1 }, { unique: true });
+
+// Retention policy - MongoDB removes versions RETENTION_DAYS after they were
+// superseded; the latest version is always kept, so later changes can be diffed
+toolSnapshotSchema.index(
+  { supersededAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+// Method to check whether this version changed anything compared to the previous one
+toolSnapshotSchema.methods.hasChanges = function () {
+  return (
+    this.added.length > 0 || this.removed.length > 0 || this.changed.length > 0
+  );
+};
+
+// Static method to get the most recent version for a monitor
+toolSnapshotSchema.statics.getLatest = function (monitorId) {
+  return this.findOne({ monitorId }).sort({ version: -1 });
+};
+
+const ToolSnapshot = mongoose.model("ToolSnapshot", toolSnapshotSchema);
+
+export default ToolSnapshot;
@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import {
+  TIME_OF_DAY_PATTERN,
+  isValidTimezone,
+  getZonedParts,
+  isInDailyWindow,
+} from "../utils/recurrence.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -45,6 +51,45 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    timezone: {
+      type: String, // Used for quiet hours and the daily digest
+      default: "UTC",
+      validate: {
+        validator: isValidTimezone,
+        message: "Please provide a valid IANA timezone",
+      },
+    },
+    quietHours: {
+      enabled: {
+        type: Boolean, // Non-critical email/SMS alerts are held for the digest
+        default: false,
+      },
+      start: {
+        type: String, // "HH:MM" - may wrap past midnight
+        match: [TIME_OF_DAY_PATTERN, "Quiet hours start must be HH:MM"],
+        default: "22:00",
+      },
+      end: {
+        type: String, // "HH:MM", exclusive
+        match: [TIME_OF_DAY_PATTERN, "Quiet hours end must be HH:MM"],
+        default: "07:00",
+      },
+    },
+    digestFrequency: {
+      type: String,
+      enum: ["off", "hourly", "daily"],
+      default: "off",
+    },
+    digestHour: {
+      type: Number, // Local hour the daily digest goes out
+      min: 0,
+      max: 23,
+      default: 8,
+    },
+    lastDigestSentAt: {
+      type: Date,
+      default: null,
+    },
     // Email verification
     isEmailVerified: {
       type: Boolean,
@@ -111,6 +156,19 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether quiet hours are in effect at a point in time
+userSchema.methods.isInQuietHours = function (at = new Date()) {
+  if (!this.quietHours?.enabled) {
+    return false;
+  }
+
+  return isInDailyWindow(
+    getZonedParts(at, this.timezone || "UTC"),
+    this.quietHours.start,
+    this.quietHours.end,
+  );
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import { decrypt } from "../utils/encryption.js";
+import { checkOutboundUrl } from "../utils/outboundUrl.js";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  "monitor.down",
+  "monitor.recovery",
+  "monitor.flapping",
+  "security.risk_changed",
+  "tools.changed",
+  "incident.escalated",
+];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Webhook name is required"],
+      trim: true,
+      maxlength: [100, "Webhook name cannot exceed 100 characters"],
+    },
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      validate: {
+        // Resolved on save, so webhooks can't target local or private networks
+        validator: async function (v) {
+          const reason = await checkOutboundUrl(v);
+          if (reason) {
+            throw new Error(reason);
+          }
+          return true;
+        },
+      },
+    },
+    secret: {
+      type: String, // Stored encrypted, used to sign payloads
+      required: true,
+      select: false,
+    },
+    events: {
+      type: [String],
+      enum: WEBHOOK_EVENTS,
+      default: () => [...WEBHOOK_EVENTS],
+      validate: {
+        validator: function (v) {
+          return v.length > 0;
+        },
+        message: "Subscribe to at least one event",
+      },
+    },
+    // Limit to specific monitors - empty means every monitor the user owns
+    monitorIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Monitor",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Delivery tracking
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookSchema.index({ userId: 1, isActive: 1 });
+
+// Static method to find active webhooks subscribed to an event for a monitor
+webhookSchema.statics.findSubscribed = function (userId, event, monitorId) {
+  const query = { userId, isActive: true, events: event };
+
+  if (monitorId) {
+    query.$or = [{ monitorIds: { $size: 0 } }, { monitorIds: monitorId }];
+  }
+
+  return this.find(query).select("+secret");
+};
+
+// Method to get decrypted signing secret
+webhookSchema.methods.getDecryptedSecret = function () {
+  return this.secret ? decrypt(this.secret) : null;
+};
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+export default Webhook;
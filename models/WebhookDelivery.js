@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// How long delivery logs are kept before MongoDB expires them
+const RETENTION_DAYS =
+  parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Exact JSON body sent on every attempt, so retries are identical
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "success", "failed"],
+      default: "pending",
+    },
+    attempts: [
+      {
+        attemptedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        statusCode: {
+          type: Number,
+          default: null,
+        },
+        durationMs: Number,
+        error: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+    // When a pending delivery should be retried next
+    nextRetryAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextRetryAt: 1 });
+
+// Retention policy - MongoDB removes deliveries older than RETENTION_DAYS
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema,
+);
+
+export default WebhookDelivery;
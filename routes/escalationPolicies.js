@@ -0,0 +1,16 @@
+import express from "express";
+import * as escalationPolicyController from "../controllers/escalationPolicyController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/", escalationPolicyController.createPolicy);
+router.get("/", escalationPolicyController.getPolicies);
+router.get("/:id", escalationPolicyController.getPolicyById);
+router.put("/:id", escalationPolicyController.updatePolicy);
+router.delete("/:id", escalationPolicyController.deletePolicy);
+
+export default router;
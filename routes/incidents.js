@@ -0,0 +1,16 @@
+import express from "express";
+import * as incidentController from "../controllers/incidentController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get("/", incidentController.getIncidents);
+router.get("/:incidentId", incidentController.getIncidentById);
+router.post("/:incidentId/acknowledge", incidentController.acknowledgeIncident);
+router.post("/:incidentId/notes", incidentController.addNote);
+router.put("/:incidentId/root-cause", incidentController.setRootCause);
+
+export default router;
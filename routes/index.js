@@ -4,5 +4,6 @@ import * as indexController from "../controllers/indexController.js";
 const router = express.Router();
 
 router.get("/", indexController.getLost);
+router.get("/health", indexController.getHealth);
 
 export default router;
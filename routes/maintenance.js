@@ -0,0 +1,16 @@
+import express from "express";
+import * as maintenanceController from "../controllers/maintenanceController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/", maintenanceController.createMaintenanceWindow);
+router.get("/", maintenanceController.getMaintenanceWindows);
+router.get("/:id", maintenanceController.getMaintenanceWindowById);
+router.put("/:id", maintenanceController.updateMaintenanceWindow);
+router.delete("/:id", maintenanceController.deleteMaintenanceWindow);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from "express";
 import * as monitorController from "../controllers/monitorController.js";
 import * as securityController from "../controllers/securityController.js";
+import * as incidentController from "../controllers/incidentController.js";
+import * as findingSuppressionController from "../controllers/findingSuppressionController.js";
 import { protect } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -12,8 +14,9 @@ router.get("/public/:id/security-scans", monitorController.getPublicSecurityScan
 // All routes below are protected - require authentication
 router.use(protect);
 
-// Dashboard stats (must come before /:id routes)
+// Dashboard stats and charts (must come before /:id routes)
 router.get("/dashboard/stats", monitorController.getDashboardStats);
+router.get("/charts", monitorController.getMonitorCharts);
 
 // CRUD routes
 router.post("/", monitorController.createMonitor);
@@ -24,12 +27,25 @@ router.delete("/:id", monitorController.deleteMonitor);
 
 // Additional routes
 router.get("/:id/stats", monitorController.getMonitorStats);
+router.get("/:id/checks", monitorController.getMonitorChecks);
+router.get("/:id/tool-changes", monitorController.getToolChanges);
+router.post("/:id/tool-baseline", monitorController.approveToolBaseline);
+router.delete("/:id/tool-baseline", monitorController.removeToolBaseline);
 router.post("/:id/pause", monitorController.pauseMonitor);
 router.post("/:id/resume", monitorController.resumeMonitor);
 
+// Incident routes
+router.get("/:id/incidents", incidentController.getMonitorIncidents);
+
 // Security scan routes
 router.get("/:id/security-scans/latest", securityController.getLatestSecurityScan);
 router.get("/:id/security-scans", securityController.getSecurityScanHistory);
 router.post("/:id/security-scan", securityController.triggerSecurityScan);
 
+// Finding suppression (triage) routes
+router.get("/:id/finding-suppressions", findingSuppressionController.getSuppressions);
+router.post("/:id/finding-suppressions", findingSuppressionController.createSuppression);
+router.put("/:id/finding-suppressions/:suppressionId", findingSuppressionController.updateSuppression);
+router.delete("/:id/finding-suppressions/:suppressionId", findingSuppressionController.revokeSuppression);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import * as notificationChannelController from "../controllers/notificationChannelController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/", notificationChannelController.createChannel);
+router.get("/", notificationChannelController.getChannels);
+router.put("/:id", notificationChannelController.updateChannel);
+router.delete("/:id", notificationChannelController.deleteChannel);
+router.post("/:id/test", notificationChannelController.testChannel);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import * as notificationRuleController from "../controllers/notificationRuleController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/", notificationRuleController.createRule);
+router.get("/", notificationRuleController.getRules);
+router.post("/preview", notificationRuleController.previewRouting);
+router.put("/:id", notificationRuleController.updateRule);
+router.delete("/:id", notificationRuleController.deleteRule);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import rateLimit from "express-rate-limit";
 import * as publicController from "../controllers/publicController.js";
+import { optionalAuth } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -46,12 +47,14 @@ const dailyLimiter = rateLimit({
 /**
  * POST /api/public/scan-server
  * Perform a one-time scan of an MCP server
- * No authentication required - public endpoint
+ * No authentication required - public endpoint; signed-in users' custom
+ * security rules are applied too
  */
 router.post(
   "/scan-server",
   scanLimiter,
   dailyLimiter,
+  optionalAuth,
   publicController.scanServer
 );
 
@@ -10,6 +10,9 @@ router.use(protect);
 // Security dashboard and statistics
 router.get("/dashboard", securityController.getSecurityDashboard);
 
+// Analyzers available to scans
+router.get("/analyzers", securityController.getAnalyzers);
+
 // Individual security scan operations
 router.get("/:scanId", securityController.getSecurityScanById);
 router.delete("/:scanId", securityController.deleteSecurityScan);
@@ -0,0 +1,16 @@
+import express from "express";
+import * as securityRuleController from "../controllers/securityRuleController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/", securityRuleController.createRule);
+router.get("/", securityRuleController.getRules);
+router.post("/test", securityRuleController.testRule);
+router.put("/:id", securityRuleController.updateRule);
+router.delete("/:id", securityRuleController.deleteRule);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from "express";
+import * as webhookController from "../controllers/webhookController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/", webhookController.createWebhook);
+router.get("/", webhookController.getWebhooks);
+router.get("/:id", webhookController.getWebhookById);
+router.put("/:id", webhookController.updateWebhook);
+router.delete("/:id", webhookController.deleteWebhook);
+
+router.post("/:id/test", webhookController.sendTestEvent);
+router.post("/:id/rotate-secret", webhookController.rotateWebhookSecret);
+router.get("/:id/deliveries", webhookController.getWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,119 @@
+/**
+ * Custom Analyzer
+ * Evaluates the user's own security rules (models/SecurityRule.js) against a
+ * server's tools, so teams can enforce their own policies - e.g. no tool may take
+ * a `shell_command` parameter. Runs on every scan of a signed-in user's server
+ * Patterns are matched in a worker thread (see ruleWorker.js) with a time budget
+ */
+
+import { Worker } from "worker_threads";
+import SecurityRule from "../../models/SecurityRule.js";
+import { buildToolResult, summarizeResults } from "./results.js";
+
+export const CUSTOM_ANALYZER = "custom";
+
+// Longest all of a scan's rules may take to match - the worker is stopped after it
+const RULE_TIME_BUDGET_MS = 5000;
+
+// Heap limit of the rule worker
+const RULE_WORKER_MEMORY_MB = 64;
+
+/**
+ * Match rules against tools in a worker thread, so a pattern that backtracks for a
+ * long time can be stopped without blocking checks and requests
+ * @param {Array} tools - Tools from tools/list
+ * @param {Array} rules - SecurityRule documents
+ * @returns {Promise<Array>} - Findings of each tool, in the order of tools
+ */
+function matchInWorker(tools, rules) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./ruleWorker.js", import.meta.url), {
+      workerData: {
+        analyzer: CUSTOM_ANALYZER,
+        // Tools may be Mongoose arrays, which can't be cloned into a worker
+        tools: JSON.parse(JSON.stringify(tools)),
+        rules: rules.map((rule) => ({
+          _id: rule._id?.toString(),
+          name: rule.name,
+          target: rule.target,
+          pattern: rule.pattern,
+          caseSensitive: rule.caseSensitive,
+          severity: rule.severity,
+          message: rule.message,
+        })),
+      },
+      resourceLimits: { maxOldGenerationSizeMb: RULE_WORKER_MEMORY_MB },
+    });
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      const error = new Error(
+        `Custom rules were stopped after ${RULE_TIME_BUDGET_MS / 1000}s - simplify slow patterns`,
+      );
+      error.name = "TimeoutError";
+      reject(error);
+    }, RULE_TIME_BUDGET_MS);
+
+    worker.once("message", (findings) => {
+      clearTimeout(timer);
+      resolve(findings);
+    });
+    worker.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    worker.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Rule worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Evaluate rules against a server's tools in the SecurityScan.results format
+ * Rejects with a TimeoutError if matching takes longer than RULE_TIME_BUDGET_MS
+ * @param {Array} tools - Tools from tools/list
+ * @param {Array} rules - SecurityRule documents
+ * @param {string} serverUrl - Scanned server URL
+ * @returns {Promise<Object>} - { server_url, total_scanned, safe_count, unsafe_count, results }
+ */
+export async function evaluateRules(tools, rules, serverUrl = null) {
+  const findings = await matchInWorker(tools, rules);
+
+  return summarizeResults(
+    serverUrl,
+    tools.map((tool, index) =>
+      buildToolResult(tool, CUSTOM_ANALYZER, findings[index]),
+    ),
+  );
+}
+
+// Registry entry (see analyzers/index.js)
+export const customAnalyzer = {
+  name: CUSTOM_ANALYZER,
+  description: "Your own security rules",
+
+  isAvailable() {
+    return null;
+  },
+
+  // Nothing to check for anonymous scans or users without active rules
+  async analyze({ monitor, tools, userId }) {
+    if (!userId || tools.length === 0) {
+      return null;
+    }
+
+    const rules = await SecurityRule.getActiveRules(userId);
+    if (rules.length === 0) {
+      return null;
+    }
+
+    return evaluateRules(tools, rules, monitor.url);
+  },
+};
+
+export default {
+  CUSTOM_ANALYZER,
+  evaluateRules,
+  customAnalyzer,
+};
@@ -0,0 +1,218 @@
+/**
+ * Analyzer Registry
+ * Security scans run a set of analyzers that all implement the same interface:
+ *   {
+ *     name: string,
+ *     description: string,
+ *     isAvailable(): string|null - reason the analyzer can't run, or null
+ *     analyze(context): Promise<Object|null> - results in the SecurityScan.results
+ *       format, or null if it had nothing to check
+ *   }
+ * where context is { monitor, tools, otherTools, userId, timeoutMs }
+ * Selected analyzers run in parallel; a failing analyzer is recorded in the scan's
+ * analyzer runs and the findings of the others are still merged and saved, with
+ * the scan marked partial
+ */
+
+import { createRemoteAnalyzer, REMOTE_ANALYZERS } from "./remoteAnalyzer.js";
+import { localAnalyzer, LOCAL_ANALYZER } from "./localAnalyzer.js";
+import { customAnalyzer, CUSTOM_ANALYZER } from "./customAnalyzer.js";
+import { mergeResults } from "./results.js";
+
+// Analyzers used when a scan doesn't pick its own
+export const DEFAULT_ANALYZERS = ["yara", LOCAL_ANALYZER];
+
+// Runs when none of the selected analyzers is available, so scans work offline
+const FALLBACK_ANALYZER = LOCAL_ANALYZER;
+
+// Run on every scan whatever was selected, so the user's own rules always apply
+const ALWAYS_RUN = [CUSTOM_ANALYZER];
+
+const analyzers = new Map();
+
+/**
+ * Add an analyzer to the registry (replaces one with the same name)
+ * @param {Object} analyzer - Analyzer implementing the interface above
+ */
+export function registerAnalyzer(analyzer) {
+  if (
+    !analyzer?.name ||
+    typeof analyzer.analyze !== "function" ||
+    typeof analyzer.isAvailable !== "function"
+  ) {
+    throw new Error("Analyzers need a name, isAvailable() and analyze()");
+  }
+  analyzers.set(analyzer.name, analyzer);
+}
+
+/**
+ * Get a registered analyzer
+ * @param {string} name - Analyzer name
+ * @returns {Object|undefined} - Analyzer
+ */
+export function getAnalyzer(name) {
+  return analyzers.get(name);
+}
+
+/**
+ * List registered analyzers and whether they can run right now
+ * @returns {Array} - [{ name, description, available, reason }]
+ */
+export function listAnalyzers() {
+  return [...analyzers.values()].map((analyzer) => {
+    const reason = analyzer.isAvailable();
+    return {
+      name: analyzer.name,
+      description: analyzer.description,
+      available: !reason,
+      reason,
+    };
+  });
+}
+
+/**
+ * Validate a list of analyzer names from a request
+ * @param {*} names - Analyzer names
+ * @returns {string|null} - Error message or null if valid
+ */
+export function validateAnalyzers(names) {
+  if (!Array.isArray(names) || names.length === 0) {
+    return "analyzers must be a non-empty array of analyzer names";
+  }
+
+  const unknown = names.filter((name) => !analyzers.has(name));
+  if (unknown.length > 0) {
+    return `Unknown analyzer(s): ${unknown.join(", ")}. Available: ${[...analyzers.keys()].join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Count the findings in a result set
+ * @param {Object} results - Results in the SecurityScan.results format
+ * @returns {number} - Number of findings
+ */
+function countFindings(results) {
+  return (results?.results || []).reduce(
+    (count, result) => count + (result.findings?.length || 0),
+    0,
+  );
+}
+
+/**
+ * Run one analyzer, timing it and catching its errors
+ * @param {Object} analyzer - Analyzer
+ * @param {Object} context - Scan context
+ * @returns {Promise<Object>} - { results, run }
+ */
+async function runAnalyzer(analyzer, context) {
+  const startTime = Date.now();
+
+  try {
+    const results = await analyzer.analyze(context);
+    return {
+      results,
+      run: {
+        analyzer: analyzer.name,
+        status: results ? "completed" : "skipped",
+        duration: Date.now() - startTime,
+        findingCount: countFindings(results),
+        error: results ? null : "Nothing to analyze",
+      },
+    };
+  } catch (error) {
+    console.error(
+      `[Analyzers] ${analyzer.name} failed for ${context.monitor.url}:`,
+      error.message,
+    );
+    return {
+      results: null,
+      run: {
+        analyzer: analyzer.name,
+        status: "failed",
+        duration: Date.now() - startTime,
+        findingCount: 0,
+        error: error.message,
+      },
+    };
+  }
+}
+
+/**
+ * Run the selected analyzers in parallel and merge their findings
+ * Unavailable analyzers are skipped; if none is available the fallback runs instead
+ * The always-run analyzers are added to every selection
+ * @param {Array} names - Analyzer names
+ * @param {Object} context - { monitor, tools, otherTools, userId, timeoutMs }
+ * @returns {Promise<Object>} - { results, runs, partial } - results is null if no
+ *   analyzer completed, partial is true if an analyzer that ran failed
+ */
+export async function runAnalyzers(names, context) {
+  const selected = [];
+  const skipped = [];
+
+  for (const name of new Set(names)) {
+    const analyzer = analyzers.get(name);
+    const reason = analyzer
+      ? analyzer.isAvailable()
+      : `Unknown analyzer "${name}"`;
+
+    if (reason) {
+      skipped.push({
+        analyzer: name,
+        status: "skipped",
+        duration: 0,
+        findingCount: 0,
+        error: reason,
+      });
+    } else {
+      selected.push(analyzer);
+    }
+  }
+
+  if (selected.length === 0) {
+    console.warn(
+      `[Analyzers] None of ${names.join(", ")} can run, falling back to ${FALLBACK_ANALYZER}`,
+    );
+    selected.push(analyzers.get(FALLBACK_ANALYZER));
+  }
+
+  for (const name of ALWAYS_RUN) {
+    if (!selected.some((analyzer) => analyzer.name === name)) {
+      selected.push(analyzers.get(name));
+    }
+  }
+
+  const outcomes = await Promise.all(
+    selected.map((analyzer) => runAnalyzer(analyzer, context)),
+  );
+  const completed = outcomes.filter((outcome) => outcome.results);
+
+  return {
+    results:
+      completed.length > 0
+        ? mergeResults(
+            context.monitor.url,
+            completed.map((outcome) => outcome.results),
+          )
+        : null,
+    runs: [...outcomes.map((outcome) => outcome.run), ...skipped],
+    partial: outcomes.some((outcome) => outcome.run.status === "failed"),
+  };
+}
+
+// Built-in analyzers
+for (const name of Object.keys(REMOTE_ANALYZERS)) {
+  registerAnalyzer(createRemoteAnalyzer(name));
+}
+registerAnalyzer(localAnalyzer);
+registerAnalyzer(customAnalyzer);
+
+export default {
+  DEFAULT_ANALYZERS,
+  registerAnalyzer,
+  getAnalyzer,
+  listAnalyzers,
+  validateAnalyzers,
+  runAnalyzers,
+};
@@ -0,0 +1,457 @@
+/**
+ * Local Analyzer
+ * In-process static analysis of discovered tools for tool poisoning patterns:
+ * hidden instructions, invisible/unicode tricks, exfiltration URLs, overly broad
+ * input schemas and tools shadowing those of the user's other servers
+ * Needs no network access, so scans still work without the remote scanner
+ */
+
+import { buildToolResult, summarizeResults } from "./results.js";
+
+export const LOCAL_ANALYZER = "local";
+
+// Phrases in descriptions that try to steer the model behind the user's back
+const INSTRUCTION_RULES = [
+  {
+    rule: "ignore-instructions",
+    pattern:
+      /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+)?(the\s+|your\s+)?(previous|prior|above|earlier|other|system)\s+(instructions|prompts?|rules|directions|messages)/i,
+    severity: "HIGH",
+    summary: "Tells the model to ignore its previous instructions",
+  },
+  {
+    rule: "instruction-tags",
+    pattern:
+      /<\s*\/?\s*(important|system|instructions?|hidden|secret|admin|critical)\s*>/i,
+    severity: "HIGH",
+    summary: "Contains <IMPORTANT>-style tags used to smuggle instructions",
+  },
+  {
+    rule: "conceal-from-user",
+    pattern:
+      /\b(do\s+not|don'?t|never)\s+(tell|inform|mention|reveal|show|notify|alert)\s+(this\s+(to\s+)?)?(the\s+)?user/i,
+    severity: "HIGH",
+    summary: "Asks the model to hide what it does from the user",
+  },
+  {
+    rule: "sensitive-files",
+    pattern:
+      /(~\/\.ssh|\bid_rsa\b|\bid_ed25519\b|\.aws\/credentials|\bmcp\.json\b|\/etc\/(passwd|shadow)|(^|[\s"'`/])\.env\b|private[_\s-]?key)/i,
+    severity: "HIGH",
+    summary: "References credentials or sensitive files",
+  },
+  {
+    rule: "model-directive",
+    pattern:
+      /\b(you\s+must\s+(first|always|also)|before\s+(using|calling)\s+(this|any)\s+tool|always\s+(call|use|run)\s+this\s+tool)\b/i,
+    severity: "LOW",
+    summary: "Gives the model direct orders about how to use tools",
+  },
+];
+
+// Characters that hide or reorder text so users and reviewers can't see it
+const UNICODE_RULES = [
+  {
+    rule: "zero-width",
+    pattern: /[\u200B-\u200D\u2060\uFEFF]/u,
+    severity: "HIGH",
+    summary: "Contains invisible zero-width characters",
+  },
+  {
+    rule: "bidi-override",
+    pattern: /[\u202A-\u202E\u2066-\u2069]/u,
+    severity: "HIGH",
+    summary: "Contains bidirectional override characters that reorder text",
+  },
+  {
+    rule: "unicode-tags",
+    pattern: /[\u{E0000}-\u{E007F}]/u,
+    severity: "HIGH",
+    summary:
+      "Contains invisible Unicode tag characters that can encode hidden text",
+  },
+];
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>()`]+/gi;
+
+// Request collectors and tunnels commonly used to receive exfiltrated data
+const COLLECTOR_HOSTS = [
+  "webhook.site",
+  "requestbin",
+  "pipedream.net",
+  "ngrok",
+  "burpcollaborator.net",
+  "oast.",
+  "interact.sh",
+  "pastebin.com",
+  "hookbin.com",
+  "beeceptor.com",
+];
+
+const SEND_VERBS =
+  /\b(send|post|upload|forward|transmit|exfiltrate|submit|report|sync)\b/i;
+
+// Parameters that can carry arbitrary commands when left unconstrained
+const COMMAND_PARAMETERS =
+  /^(cmd|command|shell|shell_command|exec|execute|script|code|eval|sql|raw_query)$/i;
+
+// Free-text parameters a poisoned tool uses to collect the conversation
+const CONTEXT_PARAMETERS =
+  /^(context|conversation|chat_history|history|system_prompt|instructions|sidenote|side_note|notes|memory)$/i;
+
+// Deepest schema level inspected
+const MAX_SCHEMA_DEPTH = 5;
+
+// Shortest tool name matched inside other servers' descriptions
+const MIN_SHADOWED_NAME_LENGTH = 4;
+
+/**
+ * Build a finding in the SecurityScan format
+ * @param {string} severity - HIGH, MEDIUM, LOW or INFO
+ * @param {string} summary - One-line summary
+ * @param {Object} details - Rule name and evidence
+ * @returns {Object} - Finding
+ */
+function finding(severity, summary, details) {
+  return { severity, summary, analyzer: LOCAL_ANALYZER, details };
+}
+
+/**
+ * Walk the properties of a JSON schema, including nested objects and array items
+ * @param {Object} schema - JSON schema
+ * @param {Function} visit - (name, propertySchema) for each property
+ * @param {number} depth - Current depth
+ */
+export function walkProperties(schema, visit, depth = 0) {
+  if (!schema || typeof schema !== "object" || depth > MAX_SCHEMA_DEPTH) {
+    return;
+  }
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    visit(name, property || {});
+    walkProperties(property, visit, depth + 1);
+  }
+  if (schema.items) {
+    walkProperties(schema.items, visit, depth + 1);
+  }
+}
+
+/**
+ * Collect the text of a tool the model reads: its description plus the
+ * descriptions, titles, defaults and examples inside its input schema
+ * Servers control the shape of all of these, so anything that isn't text is skipped
+ * @param {Object} tool - Tool from tools/list
+ * @returns {Array} - [{ location, text }] with non-empty string texts
+ */
+function collectText(tool) {
+  const texts = [{ location: "description", text: tool.description }];
+
+  walkProperties(tool.inputSchema, (name, property) => {
+    for (const key of ["description", "title", "default"]) {
+      if (typeof property[key] === "string") {
+        texts.push({
+          location: `inputSchema.${name}.${key}`,
+          text: property[key],
+        });
+      }
+    }
+    const examples = Array.isArray(property.examples) ? property.examples : [];
+    for (const example of examples) {
+      if (typeof example === "string") {
+        texts.push({ location: `inputSchema.${name}.examples`, text: example });
+      }
+    }
+  });
+
+  return texts.filter(({ text }) => typeof text === "string" && text);
+}
+
+/**
+ * Decode text hidden in Unicode tag characters (U+E0020-U+E007E map to ASCII)
+ * @param {string} text - Text to decode
+ * @returns {string} - Hidden ASCII text
+ */
+function decodeUnicodeTags(text) {
+  return [...text]
+    .map((char) => char.codePointAt(0))
+    .filter((code) => code >= 0xe0020 && code <= 0xe007e)
+    .map((code) => String.fromCodePoint(code - 0xe0000))
+    .join("");
+}
+
+/**
+ * Find hidden instructions and unicode tricks in a tool's text
+ * @param {Array} texts - [{ location, text }]
+ * @returns {Array} - Findings
+ */
+function checkText(texts) {
+  const findings = [];
+
+  for (const { rule, pattern, severity, summary } of INSTRUCTION_RULES) {
+    const hit = texts.find(({ text }) => pattern.test(text));
+    if (hit) {
+      findings.push(
+        finding(severity, summary, {
+          rule,
+          location: hit.location,
+          match: hit.text.match(pattern)[0],
+        }),
+      );
+    }
+  }
+
+  for (const { rule, pattern, severity, summary } of UNICODE_RULES) {
+    const hit = texts.find(({ text }) => pattern.test(text));
+    if (hit) {
+      findings.push(
+        finding(severity, summary, {
+          rule,
+          location: hit.location,
+          ...(rule === "unicode-tags"
+            ? { hiddenText: decodeUnicodeTags(hit.text) }
+            : {}),
+        }),
+      );
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Find URLs that data could be sent to
+ * @param {Array} texts - [{ location, text }]
+ * @returns {Array} - At most one finding, at the highest severity that applies
+ */
+function checkUrls(texts) {
+  const urls = [];
+  let collector = false;
+  let sending = false;
+
+  for (const { text } of texts) {
+    const found = text.match(URL_PATTERN) || [];
+    if (found.length === 0) continue;
+
+    urls.push(...found);
+    sending = sending || SEND_VERBS.test(text);
+    collector =
+      collector ||
+      found.some((url) => {
+        let host;
+        try {
+          host = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+          return false;
+        }
+        return (
+          /^\d{1,3}(\.\d{1,3}){3}$/.test(host) ||
+          COLLECTOR_HOSTS.some((collectorHost) => host.includes(collectorHost))
+        );
+      });
+  }
+
+  if (urls.length === 0) {
+    return [];
+  }
+
+  const details = { rule: "external-url", urls: [...new Set(urls)] };
+
+  if (collector) {
+    return [
+      finding(
+        "HIGH",
+        "Points to a request collector or raw IP address that could receive exfiltrated data",
+        details,
+      ),
+    ];
+  }
+  if (sending) {
+    return [
+      finding("MEDIUM", "Asks for data to be sent to an external URL", details),
+    ];
+  }
+  return [finding("LOW", "References an external URL", details)];
+}
+
+/**
+ * Find input schemas that accept more than the tool needs
+ * @param {Object} tool - Tool from tools/list
+ * @returns {Array} - Findings
+ */
+function checkSchema(tool) {
+  const schema = tool.inputSchema;
+
+  if (!schema || typeof schema !== "object") {
+    return [
+      finding("LOW", "Has no input schema, so any arguments are accepted", {
+        rule: "missing-schema",
+      }),
+    ];
+  }
+
+  const findings = [];
+
+  if (
+    schema.additionalProperties === true ||
+    (schema.additionalProperties &&
+      typeof schema.additionalProperties === "object")
+  ) {
+    findings.push(
+      finding("LOW", "Input schema accepts undeclared arguments", {
+        rule: "additional-properties",
+      }),
+    );
+  }
+
+  walkProperties(schema, (name, property) => {
+    const unconstrained =
+      (!property.type || property.type === "string") &&
+      !property.enum &&
+      !property.const &&
+      !property.pattern &&
+      !property.maxLength;
+
+    if (COMMAND_PARAMETERS.test(name) && unconstrained) {
+      findings.push(
+        finding(
+          "MEDIUM",
+          `Unconstrained "${name}" parameter can carry arbitrary commands or code`,
+          { rule: "command-parameter", parameter: name },
+        ),
+      );
+    } else if (CONTEXT_PARAMETERS.test(name) && unconstrained) {
+      findings.push(
+        finding(
+          "MEDIUM",
+          `Free-text "${name}" parameter could be used to collect the conversation`,
+          { rule: "context-parameter", parameter: name },
+        ),
+      );
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Find tools that shadow, or give instructions about, other servers' tools
+ * @param {Object} tool - Tool from tools/list
+ * @param {Array} texts - [{ location, text }]
+ * @param {Array} otherTools - [{ name, server }] exposed by the user's other servers
+ * @returns {Array} - Findings
+ */
+function checkShadowing(tool, texts, otherTools) {
+  const findings = [];
+
+  const sameName = otherTools.filter((other) => other.name === tool.name);
+  if (sameName.length > 0) {
+    findings.push(
+      finding(
+        "MEDIUM",
+        `Tool name is also exposed by ${sameName.map((other) => other.server).join(", ")}, so the model may call the wrong tool`,
+        {
+          rule: "duplicate-name",
+          servers: sameName.map((other) => other.server),
+        },
+      ),
+    );
+  }
+
+  const mentioned = otherTools.filter(
+    (other) =>
+      other.name !== tool.name &&
+      other.name.length >= MIN_SHADOWED_NAME_LENGTH &&
+      texts.some(({ text }) =>
+        new RegExp(
+          `\\b${other.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`,
+        ).test(text),
+      ),
+  );
+  if (mentioned.length > 0) {
+    findings.push(
+      finding(
+        "HIGH",
+        `Refers to tools of other servers (${mentioned.map((other) => `${other.name} on ${other.server}`).join(", ")})`,
+        {
+          rule: "cross-server-reference",
+          tools: mentioned,
+        },
+      ),
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Analyze a single tool
+ * @param {Object} tool - Tool from tools/list
+ * @param {Array} otherTools - [{ name, server }] exposed by the user's other servers
+ * @returns {Array} - Findings
+ */
+export function analyzeTool(tool, otherTools = []) {
+  const texts = collectText(tool);
+  const findings = [
+    ...checkText(texts),
+    ...checkUrls(texts),
+    ...checkSchema(tool),
+    ...checkShadowing(tool, texts, otherTools),
+  ];
+
+  if (/[^\x20-\x7E]/.test(tool.name)) {
+    findings.push(
+      finding(
+        "MEDIUM",
+        "Tool name contains non-ASCII characters and may imitate another tool",
+        { rule: "non-ascii-name" },
+      ),
+    );
+  }
+
+  return findings;
+}
+
+/**
+ * Analyze a server's tools in the SecurityScan.results format
+ * @param {Array} tools - Tools from tools/list
+ * @param {Object} options - { serverUrl, otherTools: [{ name, server }] from the user's other servers }
+ * @returns {Object} - { server_url, total_scanned, safe_count, unsafe_count, results }
+ */
+export function analyzeTools(
+  tools,
+  { serverUrl = null, otherTools = [] } = {},
+) {
+  return summarizeResults(
+    serverUrl,
+    tools.map((tool) =>
+      buildToolResult(tool, LOCAL_ANALYZER, analyzeTool(tool, otherTools)),
+    ),
+  );
+}
+
+// Registry entry (see analyzers/index.js)
+export const localAnalyzer = {
+  name: LOCAL_ANALYZER,
+  description: "Built-in tool poisoning rules",
+
+  isAvailable() {
+    return null;
+  },
+
+  async analyze({ monitor, tools, otherTools }) {
+    // No tools (e.g. an offline monitor) isn't the same as safe tools
+    if (tools.length === 0) {
+      return null;
+    }
+
+    return analyzeTools(tools, { serverUrl: monitor.url, otherTools });
+  },
+};
+
+export default {
+  LOCAL_ANALYZER,
+  walkProperties,
+  analyzeTool,
+  analyzeTools,
+  localAnalyzer,
+};
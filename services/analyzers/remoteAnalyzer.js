@@ -0,0 +1,105 @@
+/**
+ * Remote Analyzer
+ * Runs one of the remote MCP scanner's analyzers (api, yara, llm) against a server
+ * Each remote analyzer is its own registry entry, so they run and fail independently
+ */
+
+import axios from "axios";
+
+// Remote scanner analyzers and what they check
+export const REMOTE_ANALYZERS = {
+  api: "Remote scanner API checks",
+  yara: "Remote scanner YARA rules",
+  llm: "Remote scanner LLM review",
+};
+
+/**
+ * Get scanner configuration (read at call time so env changes apply)
+ * @returns {Object} - { baseUrl, apiKey }
+ */
+function getScannerConfig() {
+  return {
+    baseUrl: process.env.MCP_SCANNER_URL || "https://mcpscan.onrender.com",
+    apiKey: process.env.MCP_SCANNER_API_KEY,
+  };
+}
+
+/**
+ * Prepare authentication configuration for the MCP server
+ * @param {Object} monitor - Monitor or monitor-like object with auth details
+ * @returns {Object} Auth configuration for scanner API
+ */
+export function prepareAuthConfig(monitor) {
+  if (!monitor.requiresAuth) {
+    return { type: "none" };
+  }
+
+  const decryptedToken = monitor.getDecryptedAuthToken();
+  const headerName = monitor.authHeader || "Authorization";
+
+  // If using standard Authorization header, send as bearer token
+  if (headerName === "Authorization") {
+    return {
+      type: "bearer",
+      bearer_token: decryptedToken,
+    };
+  }
+
+  // Otherwise send as API key with custom header
+  return {
+    type: "apikey",
+    api_key: decryptedToken,
+    api_key_header: headerName,
+  };
+}
+
+/**
+ * Create the registry entry for a remote scanner analyzer
+ * @param {string} name - Remote analyzer name (see REMOTE_ANALYZERS)
+ * @returns {Object} - Analyzer (see analyzers/index.js)
+ */
+export function createRemoteAnalyzer(name) {
+  return {
+    name,
+    description: REMOTE_ANALYZERS[name],
+
+    isAvailable() {
+      return getScannerConfig().apiKey
+        ? null
+        : "MCP_SCANNER_API_KEY is not configured";
+    },
+
+    async analyze({ monitor, timeoutMs }) {
+      const config = getScannerConfig();
+
+      // Prepare request to scanner API
+      const scanRequest = {
+        server_url: monitor.url,
+        auth: prepareAuthConfig(monitor),
+        analyzers: [name],
+        output_format: "summary",
+      };
+
+      // Call MCP scanner API
+      const response = await axios.post(
+        `${config.baseUrl}/api/v1/scan/tools`,
+        scanRequest,
+        {
+          headers: {
+            "X-API-Key": config.apiKey,
+            "Content-Type": "application/json",
+          },
+          timeout: timeoutMs,
+        },
+      );
+
+      return response.data;
+    },
+  };
+}
+
+export default {
+  REMOTE_ANALYZERS,
+  prepareAuthConfig,
+  createRemoteAnalyzer,
+};
@@ -0,0 +1,91 @@
+/**
+ * Scan Results
+ * Builds and merges scan results in the format the remote scanner returns and
+ * SecurityScan.results stores, so every analyzer's output can be saved and combined
+ */
+
+/**
+ * Build the result entry for one tool
+ * A tool is unsafe when it has a HIGH or MEDIUM finding
+ * @param {Object} tool - Tool from tools/list
+ * @param {string} analyzer - Analyzer name
+ * @param {Array} findings - [{ severity, summary, analyzer, details }]
+ * @returns {Object} - { tool_name, tool_description, status, analyzers, findings, is_safe }
+ */
+export function buildToolResult(tool, analyzer, findings) {
+  return {
+    tool_name: tool.name,
+    tool_description: tool.description || "",
+    status: "completed",
+    analyzers: [analyzer],
+    findings,
+    is_safe: !findings.some(
+      (finding) => finding.severity === "HIGH" || finding.severity === "MEDIUM",
+    ),
+  };
+}
+
+/**
+ * Wrap per-tool results with the scan totals
+ * @param {string} serverUrl - Scanned server URL
+ * @param {Array} toolResults - Per-tool results
+ * @returns {Object} - { server_url, total_scanned, safe_count, unsafe_count, results }
+ */
+export function summarizeResults(serverUrl, toolResults) {
+  const safeCount = toolResults.filter((result) => result.is_safe).length;
+
+  return {
+    server_url: serverUrl,
+    total_scanned: toolResults.length,
+    safe_count: safeCount,
+    unsafe_count: toolResults.length - safeCount,
+    results: toolResults,
+  };
+}
+
+/**
+ * Merge the results of several analyzers into one, tool by tool
+ * A tool is only safe if every analyzer that looked at it found it safe
+ * @param {string} serverUrl - Scanned server URL
+ * @param {Array} resultSets - Results of each analyzer (entries may be null)
+ * @returns {Object} - Merged results (a single result set is returned as is)
+ */
+export function mergeResults(serverUrl, resultSets) {
+  const sets = resultSets.filter(Boolean);
+  if (sets.length === 1) {
+    return sets[0];
+  }
+
+  const tools = new Map();
+
+  for (const resultSet of sets) {
+    for (const result of resultSet?.results || []) {
+      const existing = tools.get(result.tool_name);
+
+      if (!existing) {
+        tools.set(result.tool_name, {
+          ...result,
+          analyzers: [...(result.analyzers || [])],
+          findings: [...(result.findings || [])],
+        });
+        continue;
+      }
+
+      existing.analyzers = [
+        ...new Set([...existing.analyzers, ...(result.analyzers || [])]),
+      ];
+      existing.findings.push(...(result.findings || []));
+      existing.is_safe = existing.is_safe && result.is_safe !== false;
+      existing.tool_description =
+        existing.tool_description || result.tool_description;
+    }
+  }
+
+  return summarizeResults(serverUrl, [...tools.values()]);
+}
+
+export default {
+  buildToolResult,
+  summarizeResults,
+  mergeResults,
+};
@@ -0,0 +1,95 @@
+/**
+ * Rule Worker
+ * Matches custom security rules against a server's tools in a worker thread, so
+ * the custom analyzer can stop a slow user pattern (see customAnalyzer.js)
+ * Receives { analyzer, tools, rules } as workerData and posts the findings of
+ * each tool, in the order of tools
+ */
+
+import { parentPort, workerData } from "worker_threads";
+import { walkProperties } from "./localAnalyzer.js";
+
+// Longest text a pattern is matched against, to bound the cost of user patterns
+const MAX_MATCH_TEXT_LENGTH = 10000;
+
+// Longest matched text kept in a finding
+const MAX_EVIDENCE_LENGTH = 200;
+
+/**
+ * Get the parts of a tool a rule target covers
+ * @param {Object} tool - Tool from tools/list
+ * @param {string} target - Rule target (see RULE_TARGETS)
+ * @returns {Array} - [{ location, text }]
+ */
+function getTargetTexts(tool, target) {
+  const texts = [];
+
+  switch (target) {
+    case "name":
+      texts.push({ location: "name", text: tool.name });
+      break;
+    case "description":
+      texts.push({ location: "description", text: tool.description });
+      walkProperties(tool.inputSchema, (name, property) => {
+        texts.push({
+          location: `inputSchema.${name}.description`,
+          text: property.description,
+        });
+      });
+      break;
+    case "parameter":
+      walkProperties(tool.inputSchema, (name) => {
+        texts.push({ location: `inputSchema.${name}`, text: name });
+      });
+      break;
+    case "schema":
+      texts.push({
+        location: "inputSchema",
+        text: JSON.stringify(tool.inputSchema ?? {}),
+      });
+      break;
+  }
+
+  return texts.filter(({ text }) => typeof text === "string" && text);
+}
+
+/**
+ * Find the first place a rule matches a tool
+ * @param {Object} rule - Rule fields (see SecurityRule)
+ * @param {RegExp} pattern - The rule's compiled pattern
+ * @param {Object} tool - Tool from tools/list
+ * @returns {Object|null} - Finding, or null if the rule doesn't match
+ */
+function matchRule(rule, pattern, tool) {
+  for (const { location, text } of getTargetTexts(tool, rule.target)) {
+    const match = pattern.exec(text.slice(0, MAX_MATCH_TEXT_LENGTH));
+    if (match) {
+      return {
+        severity: rule.severity,
+        summary: rule.message,
+        analyzer,
+        details: {
+          rule: rule.name,
+          ruleId: rule._id?.toString(),
+          location,
+          match: match[0].slice(0, MAX_EVIDENCE_LENGTH),
+        },
+      };
+    }
+  }
+  return null;
+}
+
+const { analyzer, tools, rules } = workerData;
+const compiled = rules.map((rule) => [
+  rule,
+  new RegExp(rule.pattern, rule.caseSensitive ? "" : "i"),
+]);
+
+parentPort.postMessage(
+  tools.map((tool) =>
+    compiled
+      .map(([rule, pattern]) => matchRule(rule, pattern, tool))
+      .filter(Boolean),
+  ),
+);
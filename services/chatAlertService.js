@@ -0,0 +1,311 @@
+/**
+ * Chat Alert Service
+ * Sends monitor alerts to users' own Slack, Discord and Microsoft Teams webhooks
+ * Each platform gets its native rich format (Block Kit, embeds, Adaptive Cards)
+ * PagerDuty and Opsgenie channels are handed to the on-call service
+ * Which channels get an alert is decided by the notification dispatcher
+ */
+
+import {
+  ON_CALL_CHANNEL_TYPES,
+  isValidChatWebhookUrl,
+} from "../models/NotificationChannel.js";
+import { formatDuration } from "./emailService.js";
+import { sendOnCallAlert } from "./onCallService.js";
+
+// Per-request timeout for chat webhooks
+const CHAT_TIMEOUT_MS = 10000;
+
+// Accent colors per alert type
+const ALERT_COLORS = {
+  down: "#dc2626",
+  flapping: "#d97706",
+  recovery: "#16a34a",
+  security: "#ea580c",
+  tools: "#7c3aed",
+  test: "#2563eb",
+};
+
+// Adaptive Card text colors per alert type
+const TEAMS_COLORS = {
+  down: "attention",
+  flapping: "warning",
+  recovery: "good",
+  security: "warning",
+  tools: "warning",
+  test: "accent",
+};
+
+/**
+ * Build the platform-neutral content of an alert
+ * @param {Object} alert - { type, monitor, error, downtimeDuration, stateChanges, windowChecks, riskLevel, unsafeCount, totalScanned, highSeverityFindings, version, added, removed, changed }
+ * @returns {Object} - { title, summary, color, fields, url }
+ */
+function describeAlert(alert) {
+  const { type, monitor } = alert;
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const url = monitor ? `${frontendUrl}/monitors/${monitor._id}` : frontendUrl;
+  const fields = monitor ? [{ name: "URL", value: monitor.url }] : [];
+
+  switch (type) {
+    case "down":
+      return {
+        title: `🔴 ${monitor.name} is down`,
+        summary: alert.error || "Connection failed",
+        color: ALERT_COLORS.down,
+        fields: [
+          ...fields,
+          {
+            name: "Consecutive failures",
+            value: String(monitor.consecutiveFailures),
+          },
+        ],
+        url,
+      };
+    case "flapping":
+      return {
+        title: `🟠 ${monitor.name} is flapping`,
+        summary: `${alert.stateChanges} state changes in the last ${alert.windowChecks} checks. Down and recovery alerts are paused until it settles.`,
+        color: ALERT_COLORS.flapping,
+        fields: [
+          ...fields,
+          { name: "Last error", value: alert.error || "None" },
+        ],
+        url,
+      };
+    case "recovery":
+      return {
+        title: `🟢 ${monitor.name} is back online`,
+        summary: `Recovered after ${formatDuration(alert.downtimeDuration || 0)} of downtime`,
+        color: ALERT_COLORS.recovery,
+        fields,
+        url,
+      };
+    case "security": {
+      const findings = (alert.highSeverityFindings || [])
+        .slice(0, 5)
+        .map((finding) => `• ${finding.tool}: ${finding.summary}`)
+        .join("\n");
+
+      return {
+        title: `🛡️ ${alert.riskLevel.toUpperCase()} security risk on ${monitor.name}`,
+        summary:
+          findings || "High severity findings detected in the latest scan",
+        color: ALERT_COLORS.security,
+        fields: [
+          ...fields,
+          {
+            name: "Unsafe tools",
+            value: `${alert.unsafeCount ?? 0} of ${alert.totalScanned ?? 0}`,
+          },
+        ],
+        url,
+      };
+    }
+    case "tools": {
+      const lines = [
+        ...(alert.added || []).map((name) => `+ ${name}`),
+        ...(alert.removed || []).map((name) => `- ${name}`),
+        ...(alert.changed || []).map((change) => `~ ${change.name}`),
+      ];
+
+      return {
+        title: `🔀 Tools changed on ${monitor.name}`,
+        summary: [
+          ...lines.slice(0, 10),
+          ...(lines.length > 10 ? [`...and ${lines.length - 10} more`] : []),
+        ].join("\n"),
+        color: ALERT_COLORS.tools,
+        fields: [
+          ...fields,
+          { name: "Catalog version", value: `v${alert.version}` },
+        ],
+        url,
+      };
+    }
+    default:
+      return {
+        title: "✅ MCPMon test alert",
+        summary: "Your alert channel is connected and working.",
+        color: ALERT_COLORS.test,
+        fields,
+        url,
+      };
+  }
+}
+
+/**
+ * Format an alert as a Slack Block Kit message
+ * @param {Object} content - Output of describeAlert
+ * @returns {Object} - Slack webhook payload
+ */
+function formatSlack({ title, summary, color, fields, url }) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: title } },
+    { type: "section", text: { type: "mrkdwn", text: summary } },
+  ];
+
+  if (fields.length > 0) {
+    blocks.push({
+      type: "section",
+      fields: fields.map((field) => ({
+        type: "mrkdwn",
+        text: `*${field.name}*\n${field.value}`,
+      })),
+    });
+  }
+
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: "View in MCPMon" },
+        url,
+      },
+    ],
+  });
+
+  // The attachment carries the colored side bar, text is the notification fallback
+  return { text: title, attachments: [{ color, blocks }] };
+}
+
+/**
+ * Format an alert as a Discord embed
+ * @param {Object} content - Output of describeAlert
+ * @returns {Object} - Discord webhook payload
+ */
+function formatDiscord({ title, summary, color, fields, url }) {
+  return {
+    username: "MCPMon",
+    embeds: [
+      {
+        title,
+        description: summary,
+        url,
+        color: parseInt(color.slice(1), 16),
+        fields: fields.map((field) => ({ ...field, inline: true })),
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * Format an alert as a Microsoft Teams Adaptive Card
+ * @param {Object} content - Output of describeAlert
+ * @param {string} type - Alert type, used for the title color
+ * @returns {Object} - Teams webhook payload
+ */
+function formatTeams({ title, summary, fields, url }, type) {
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            {
+              type: "TextBlock",
+              text: title,
+              size: "Large",
+              weight: "Bolder",
+              color: TEAMS_COLORS[type] || "default",
+              wrap: true,
+            },
+            { type: "TextBlock", text: summary, wrap: true },
+            {
+              type: "FactSet",
+              facts: fields.map((field) => ({
+                title: field.name,
+                value: field.value,
+              })),
+            },
+          ],
+          actions: [{ type: "Action.OpenUrl", title: "View in MCPMon", url }],
+        },
+      },
+    ],
+  };
+}
+
+const FORMATTERS = {
+  slack: formatSlack,
+  discord: formatDiscord,
+  teams: formatTeams,
+};
+
+/**
+ * Post a formatted alert to a chat channel's incoming webhook
+ * @param {Object} channel - NotificationChannel document (with webhookUrl selected)
+ * @param {Object} alert - Alert to send (see describeAlert)
+ */
+async function postChatMessage(channel, alert) {
+  const payload = FORMATTERS[channel.type](describeAlert(alert), alert.type);
+  const webhookUrl = channel.getDecryptedWebhookUrl();
+
+  // Channels saved before webhook hosts were restricted may point anywhere
+  if (!isValidChatWebhookUrl(channel.type, webhookUrl)) {
+    throw new Error(
+      `${channel.type} webhook URL is not on the platform's webhook host`,
+    );
+  }
+
+  const response = await fetch(webhookUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+    redirect: "manual",
+    signal: AbortSignal.timeout(CHAT_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `${channel.type} webhook returned ${response.status}: ${response.statusText}`,
+    );
+  }
+}
+
+/**
+ * Send an alert to a single channel and record the outcome on it
+ * Never throws - channel failures must not interrupt checks or scans
+ * @param {Object} channel - NotificationChannel document (with webhookUrl/apiKey selected)
+ * @param {Object} alert - Alert to send (see describeAlert)
+ * @returns {Promise<Object>} - { success, error }
+ */
+export async function sendChannelAlert(channel, alert) {
+  try {
+    if (ON_CALL_CHANNEL_TYPES.includes(channel.type)) {
+      await sendOnCallAlert(channel, alert);
+    } else {
+      await postChatMessage(channel, alert);
+    }
+
+    channel.lastUsedAt = new Date();
+    channel.lastError = null;
+    await channel.save();
+
+    console.log(
+      `✓ [Chat Alert Service] ${alert.type} alert sent to ${channel.type} channel "${channel.name}"`,
+    );
+    return { success: true, error: null };
+  } catch (error) {
+    console.error(
+      `✗ [Chat Alert Service] Failed to send ${alert.type} alert to ${channel.type} channel "${channel.name}":`,
+      error.message,
+    );
+
+    channel.lastError = error.message;
+    await channel.save().catch(() => {});
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  sendChannelAlert,
+};
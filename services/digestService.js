@@ -0,0 +1,468 @@
+/**
+ * Digest Service
+ * Records alert activity per user and emails it as an hourly or daily digest
+ * During the user's quiet hours non-critical email/SMS alerts are held, and the
+ * held alerts go out in a digest once quiet hours end, to the addresses they
+ * would have been emailed to
+ * Nothing is emailed while the user has email alerts turned off
+ * A background worker sends due digests, and only the instance holding the lease runs it
+ */
+
+import User from "../models/User.js";
+import DigestEntry from "../models/DigestEntry.js";
+import Incident from "../models/Incident.js";
+import { sendDigestEmail, formatDuration } from "./emailService.js";
+import { runWithLease } from "./leaseManager.js";
+import { getZonedParts } from "../utils/recurrence.js";
+
+// How often the worker looks for due digests
+const DIGEST_POLL_MS = 5 * 60 * 1000;
+
+// Only the instance holding this lease sends digests
+const DIGEST_LEASE = "alert-digests";
+const DIGEST_LEASE_TTL_MS = 10 * 60 * 1000; // renewed while digests are sent
+
+// Minimum gap between digests, per frequency (daily allows drift around digestHour)
+const DIGEST_MIN_GAP_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 20 * 60 * 60 * 1000,
+};
+
+// Longest period a digest covers (entries expire after 7 days)
+const MAX_DIGEST_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Max items listed per digest section
+const MAX_DIGEST_ITEMS = 50;
+
+let digestInterval = null;
+let isSendingDigests = false;
+
+/**
+ * Check whether an email/SMS alert should be held for the digest
+ * Critical alerts still go out during quiet hours, but reminders never do
+ * @param {Object} user - User document
+ * @param {string} type - Event (see NOTIFICATION_EVENTS)
+ * @param {string} severity - Event severity
+ * @param {Date} at - Time of the alert
+ * @returns {boolean} - True if the alert should be held
+ */
+export function shouldHold(user, type, severity, at = new Date()) {
+  if (!user.isInQuietHours(at)) {
+    return false;
+  }
+
+  return severity !== "critical" || type === "monitor.reminder";
+}
+
+/**
+ * Describe a notification in one line for the digest
+ * @param {string} type - Event
+ * @param {Object} data - Event data
+ * @returns {string} - Message
+ */
+function describeEntry(type, data) {
+  switch (type) {
+    case "monitor.down":
+      return `Went down: ${data.error || "No response"}`;
+    case "monitor.reminder":
+      return `Still down: ${data.error || "No response"}`;
+    case "monitor.recovery":
+      return data.downtimeDuration
+        ? `Recovered after ${formatDuration(data.downtimeDuration)}`
+        : "Recovered";
+    case "monitor.flapping":
+      return `Started flapping: ${data.stateChanges} state changes in ${data.windowChecks} checks`;
+    case "security.alert":
+      return `Security alert: ${data.riskLevel} risk, ${data.unsafeCount ?? 0} unsafe tool(s)`;
+    case "tools.changed":
+      return `Tools changed (v${data.version}): ${data.added.length} added, ${data.removed.length} removed, ${data.changed.length} changed`;
+    default:
+      return `Risk level changed from ${data.previousRiskLevel || "unknown"} to ${data.riskLevel}`;
+  }
+}
+
+/**
+ * Record a notification for the user's next digest
+ * Only recorded when the user gets digests or the alert was held
+ * Never throws - digest bookkeeping must not interrupt alerting
+ * @param {Object} user - User document
+ * @param {Object} monitor - Monitor document
+ * @param {string} type - Event (see NOTIFICATION_EVENTS, or "security.risk_changed")
+ * @param {Object} data - Event data
+ * @param {Object} options - { severity, held: email/SMS was held by quiet hours,
+ *   recipients: addresses the held email would have gone to }
+ */
+export async function recordDigestEntry(
+  user,
+  monitor,
+  type,
+  data = {},
+  { severity = "info", held = false, recipients = [] } = {},
+) {
+  if (user.digestFrequency === "off" && !held) {
+    return;
+  }
+
+  try {
+    await DigestEntry.create({
+      userId: user._id,
+      monitorId: monitor._id,
+      monitorName: monitor.name,
+      type,
+      severity,
+      message: describeEntry(type, data),
+      held,
+      recipients: held ? recipients : [],
+    });
+  } catch (error) {
+    console.error(
+      `[Digest Service] Failed to record ${type} for ${monitor.name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Record a change in a monitor's security risk level for the digest
+ * @param {Object} monitor - Monitor document
+ * @param {string} previousRiskLevel - Risk level before the scan
+ * @param {string} riskLevel - Risk level after the scan
+ */
+export async function recordSecurityChange(
+  monitor,
+  previousRiskLevel,
+  riskLevel,
+) {
+  try {
+    const user = await User.findById(monitor.userId);
+    if (!user) return;
+
+    await recordDigestEntry(
+      user,
+      monitor,
+      "security.risk_changed",
+      { previousRiskLevel, riskLevel },
+      { severity: riskLevel === "safe" ? "info" : riskLevel },
+    );
+  } catch (error) {
+    console.error(
+      `[Digest Service] Failed to record security change for ${monitor.name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Format a time for the digest in the user's timezone
+ * @param {Date} date - Time to format
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} - e.g. "Mar 4, 3:15 AM"
+ */
+function formatTime(date, timezone) {
+  return new Date(date).toLocaleString("en-US", {
+    timeZone: timezone,
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Build the digest of a user's activity for a period
+ * Held entries are always included, even if older than the period
+ * @param {Object} user - User document
+ * @param {Date} since - Start of the period (exclusive)
+ * @param {Date} now - End of the period
+ * @param {Object} options - { recipient: only the held alerts addressed to this
+ *   email, for addresses other than the account's }
+ * @returns {Promise<Object|null>} - Digest email props, or null if nothing happened
+ */
+export async function buildDigest(
+  user,
+  since,
+  now = new Date(),
+  { recipient = null } = {},
+) {
+  const timezone = user.timezone || "UTC";
+  const period = { $gt: since, $lte: now };
+
+  const [entries, incidents] = await Promise.all([
+    DigestEntry.find(
+      recipient
+        ? {
+            userId: user._id,
+            held: true,
+            recipients: recipient,
+            createdAt: { $lte: now },
+          }
+        : {
+            userId: user._id,
+            $or: [
+              { createdAt: period },
+              { held: true, createdAt: { $lte: now } },
+            ],
+          },
+    ).sort({ createdAt: 1 }),
+    recipient
+      ? []
+      : Incident.find({
+          userId: user._id,
+          $or: [
+            { startedAt: period },
+            { resolvedAt: period },
+            { status: "open" },
+          ],
+        })
+          .populate("monitorId", "name")
+          .sort({ startedAt: -1 })
+          .limit(MAX_DIGEST_ITEMS),
+  ]);
+
+  const inPeriod = (date) => date && date > since && date <= now;
+  const hasNewIncidents = incidents.some(
+    (incident) => inPeriod(incident.startedAt) || inPeriod(incident.resolvedAt),
+  );
+
+  if (entries.length === 0 && !hasNewIncidents) {
+    return null;
+  }
+
+  const toItem = (entry) => ({
+    time: formatTime(entry.createdAt, timezone),
+    monitorName: entry.monitorName,
+    message: entry.message,
+  });
+  const stateEntries = entries.filter((entry) =>
+    entry.type.startsWith("monitor."),
+  );
+  // Tool catalog changes are security relevant, so they're listed with scans
+  const securityEntries = entries.filter(
+    (entry) => !entry.type.startsWith("monitor."),
+  );
+
+  return {
+    periodLabel: `${formatTime(since, timezone)} - ${formatTime(now, timezone)} (${timezone})`,
+    summary: {
+      down: entries.filter((entry) => entry.type === "monitor.down").length,
+      recovered: entries.filter((entry) => entry.type === "monitor.recovery")
+        .length,
+      openIncidents: incidents.filter((incident) => incident.status === "open")
+        .length,
+      stateChanges: stateEntries.length,
+      securityChanges: securityEntries.length,
+      heldAlerts: entries.filter((entry) => entry.held).length,
+    },
+    incidents: incidents.map((incident) => ({
+      monitorName: incident.monitorId?.name || "Deleted monitor",
+      status: incident.status,
+      detail:
+        incident.status === "open"
+          ? `Open since ${formatTime(incident.startedAt, timezone)}`
+          : `Down for ${formatDuration(incident.duration || 0)}, resolved ${formatTime(incident.resolvedAt, timezone)}`,
+    })),
+    stateChanges: stateEntries.slice(-MAX_DIGEST_ITEMS).map(toItem),
+    securityChanges: securityEntries.slice(-MAX_DIGEST_ITEMS).map(toItem),
+  };
+}
+
+/**
+ * Check whether a user's digest is due
+ * Digests never go out during quiet hours; held alerts go out as soon as they end
+ * @param {Object} user - User document
+ * @param {boolean} hasHeld - User has alerts held by quiet hours
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if a digest should be sent
+ */
+export function isDigestDue(user, hasHeld, now = new Date()) {
+  if (user.isInQuietHours(now)) {
+    return false;
+  }
+
+  if (hasHeld) {
+    return true;
+  }
+
+  const sinceLast = user.lastDigestSentAt
+    ? now - user.lastDigestSentAt
+    : Infinity;
+
+  switch (user.digestFrequency) {
+    case "hourly":
+      return sinceLast >= DIGEST_MIN_GAP_MS.hourly;
+    case "daily":
+      return (
+        getZonedParts(now, user.timezone || "UTC").hour === user.digestHour &&
+        sinceLast >= DIGEST_MIN_GAP_MS.daily
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Send a user's digest covering everything since their last one
+ * The account email gets the full digest; held alerts addressed elsewhere (a
+ * monitor's alert email or an email channel) are also sent there
+ * The period is claimed atomically so multiple instances never send it twice
+ * @param {Object} user - User document
+ * @param {Date} now - End of the period
+ * @returns {Promise<boolean>} - True if a digest was sent
+ */
+export async function sendUserDigest(user, now = new Date()) {
+  const previous = user.lastDigestSentAt;
+  const since = new Date(
+    Math.max(
+      previous?.getTime() ||
+        now - (DIGEST_MIN_GAP_MS[user.digestFrequency] || 24 * 60 * 60 * 1000),
+      now - MAX_DIGEST_PERIOD_MS,
+    ),
+  );
+
+  const claimed = await User.updateOne(
+    { _id: user._id, lastDigestSentAt: previous },
+    { $set: { lastDigestSentAt: now } },
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  const heldQuery = { userId: user._id, held: true, createdAt: { $lte: now } };
+
+  // Held alerts only go to the addresses they would have been emailed to, and
+  // nowhere while email alerts are off
+  const recipients = new Set(
+    user.emailAlertsEnabled
+      ? await DigestEntry.distinct("recipients", heldQuery)
+      : [],
+  );
+  if (user.emailAlertsEnabled && user.digestFrequency !== "off") {
+    recipients.add(user.email);
+  }
+
+  let sent = 0;
+  const failedRecipients = [];
+
+  for (const recipient of recipients) {
+    const digest = await buildDigest(
+      user,
+      since,
+      now,
+      recipient === user.email ? {} : { recipient },
+    );
+    if (!digest) continue;
+
+    if (!(await sendDigestEmail(user, digest, recipient))) {
+      failedRecipients.push(recipient);
+      continue;
+    }
+
+    sent++;
+    console.log(
+      `📬 [Digest Service] Sent digest to ${recipient} (${digest.summary.stateChanges} state change(s), ${digest.summary.heldAlerts} held)`,
+    );
+  }
+
+  if (sent === 0 && failedRecipients.length > 0) {
+    // Give the period back so the next run retries it
+    await User.updateOne(
+      { _id: user._id, lastDigestSentAt: now },
+      { $set: { lastDigestSentAt: previous } },
+    );
+    return false;
+  }
+
+  // Held alerts stay held for the recipients whose digest failed, so the next
+  // run retries them; alerts without a recipient went in the account's digest
+  const releaseQuery = {
+    ...heldQuery,
+    recipients: { $nin: failedRecipients },
+  };
+  if (failedRecipients.includes(user.email)) {
+    releaseQuery["recipients.0"] = { $exists: true };
+  }
+  await DigestEntry.updateMany(releaseQuery, { $set: { held: false } });
+
+  return sent > 0;
+}
+
+/**
+ * Send every digest that is due
+ * @returns {Promise<number>} - Number of digests sent
+ */
+export async function processDigests() {
+  const now = new Date();
+  const heldUserIds = await DigestEntry.distinct("userId", { held: true });
+  const held = new Set(heldUserIds.map(String));
+
+  const users = await User.find({
+    $or: [
+      { digestFrequency: { $in: ["hourly", "daily"] } },
+      { _id: { $in: heldUserIds } },
+    ],
+  });
+
+  let sent = 0;
+
+  for (const user of users) {
+    if (!isDigestDue(user, held.has(user._id.toString()), now)) {
+      continue;
+    }
+
+    try {
+      if (await sendUserDigest(user, now)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(
+        `[Digest Service] Failed to send digest to ${user.email}:`,
+        error.message,
+      );
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Start the background worker that sends due digests
+ */
+export function startDigestWorker() {
+  if (digestInterval) {
+    clearInterval(digestInterval);
+  }
+
+  digestInterval = setInterval(async () => {
+    if (isSendingDigests) return;
+
+    try {
+      isSendingDigests = true;
+      const { acquired, result: sent } = await runWithLease(
+        DIGEST_LEASE,
+        DIGEST_LEASE_TTL_MS,
+        processDigests,
+      );
+      if (acquired && sent > 0) {
+        console.log(`[Digest Service] Sent ${sent} digest(s)`);
+      }
+    } catch (error) {
+      console.error("[Digest Service] Worker failed:", error.message);
+    } finally {
+      isSendingDigests = false;
+    }
+  }, DIGEST_POLL_MS);
+
+  console.log("✓ Digest worker started");
+  return digestInterval;
+}
+
+export default {
+  shouldHold,
+  recordDigestEntry,
+  recordSecurityChange,
+  buildDigest,
+  isDigestDue,
+  sendUserDigest,
+  processDigests,
+  startDigestWorker,
+};
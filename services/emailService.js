@@ -4,7 +4,10 @@ import VerificationEmail from "../emails/VerificationEmail.js";
 import PasswordResetEmail from "../emails/PasswordResetEmail.js";
 import MonitorDownEmail from "../emails/MonitorDownEmail.js";
 import MonitorRecoveryEmail from "../emails/MonitorRecoveryEmail.js";
+import MonitorFlappingEmail from "../emails/MonitorFlappingEmail.js";
+import ToolsChangedEmail from "../emails/ToolsChangedEmail.js";
 import SecurityAlertEmail from "../emails/SecurityAlertEmail.js";
+import DigestEmail from "../emails/DigestEmail.js";
 
 // Lazy initialize Resend client
 let resend = null;
@@ -148,7 +151,7 @@ export async function sendPasswordResetEmail(user, resetToken) {
  * @param {number} milliseconds - Duration in milliseconds
  * @returns {string} - Formatted duration string
  */
-function formatDuration(milliseconds) {
+export function formatDuration(milliseconds) {
   const seconds = Math.floor(milliseconds / 1000);
   const minutes = Math.floor(seconds / 60);
   const hours = Math.floor(minutes / 60);
@@ -168,7 +171,7 @@ function formatDuration(milliseconds) {
 }
 
 /**
- * Check if a daily reminder should be sent for a monitor
+ * Check if a reminder should be sent for a monitor, based on its alert policy
  * @param {Object} monitor - Monitor document
  * @returns {boolean} - True if reminder should be sent
  */
@@ -183,8 +186,10 @@ export function shouldSendDailyReminder(monitor) {
     return false;
   }
 
-  // Check if we've sent maximum number of alerts (1 initial + 3 daily = 4 total)
-  if (monitor.alertsSentCount >= 4) {
+  const { maxReminders, reminderIntervalHours } = monitor.getAlertPolicy();
+
+  // Check if we've sent maximum number of alerts (1 initial + maxReminders)
+  if (monitor.alertsSentCount >= 1 + maxReminders) {
     return false;
   }
 
@@ -193,11 +198,11 @@ export function shouldSendDailyReminder(monitor) {
     return false;
   }
 
-  // Check if 24 hours have passed since last alert
+  // Check if the reminder interval has passed since last alert
   const hoursSinceLastAlert =
     (Date.now() - monitor.lastAlertSentAt.getTime()) / (1000 * 60 * 60);
 
-  return hoursSinceLastAlert >= 24;
+  return hoursSinceLastAlert >= reminderIntervalHours;
 }
 
 /**
@@ -205,9 +210,15 @@ export function shouldSendDailyReminder(monitor) {
  * @param {Object} monitor - Monitor document
  * @param {Object} user - User document
  * @param {boolean} isReminder - True if this is a daily reminder
+ * @param {string|null} recipient - Address to send to instead of the monitor/account email
  * @returns {Promise<Object>} - Resend API response
  */
-export async function sendMonitorDownAlert(monitor, user, isReminder = false) {
+export async function sendMonitorDownAlert(
+  monitor,
+  user,
+  isReminder = false,
+  recipient = null,
+) {
   try {
     // Check if user has email alerts enabled
     if (!user.emailAlertsEnabled) {
@@ -266,7 +277,7 @@ export async function sendMonitorDownAlert(monitor, user, isReminder = false) {
     const fromEmail = process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev";
     const emailData = {
       from: `MCPMon <${fromEmail}>`,
-      to: monitor.alertEmail || user.email,
+      to: recipient || monitor.alertEmail || user.email,
       subject: isReminder
         ? `Reminder: ${monitor.name} Still Down`
         : `Alert: ${monitor.name} is Down`,
@@ -298,12 +309,14 @@ export async function sendMonitorDownAlert(monitor, user, isReminder = false) {
  * @param {Object} monitor - Monitor document
  * @param {Object} user - User document
  * @param {number} downtimeDuration - Duration of downtime in milliseconds
+ * @param {string|null} recipient - Address to send to instead of the monitor/account email
  * @returns {Promise<Object>} - Resend API response
  */
 export async function sendMonitorRecoveryAlert(
   monitor,
   user,
   downtimeDuration,
+  recipient = null,
 ) {
   try {
     // Check if user has email alerts enabled
@@ -358,7 +371,7 @@ export async function sendMonitorRecoveryAlert(
     const fromEmail = process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev";
     const emailData = {
       from: `MCPMon <${fromEmail}>`,
-      to: monitor.alertEmail || user.email,
+      to: recipient || monitor.alertEmail || user.email,
       subject: `Recovery: ${monitor.name} is Back Online`,
       html: htmlString,
     };
@@ -383,6 +396,169 @@ export async function sendMonitorRecoveryAlert(
   }
 }
 
+/**
+ * Send monitor flapping alert email
+ * @param {Object} monitor - Monitor document with flappingSince
+ * @param {Object} user - User document
+ * @param {Object} flap - { stateChanges, windowChecks } from the flap window
+ * @param {string|null} recipient - Address to send to instead of the monitor/account email
+ * @returns {Promise<Object>} - Resend API response
+ */
+export async function sendMonitorFlappingAlert(
+  monitor,
+  user,
+  { stateChanges, windowChecks },
+  recipient = null,
+) {
+  try {
+    // Check if user has email alerts enabled
+    if (!user.emailAlertsEnabled) {
+      console.log(
+        `[Email Service] Skipping flapping alert for ${monitor.name} - user has email alerts disabled`,
+      );
+      return null;
+    }
+
+    // Check if monitor has alerts enabled
+    if (!monitor.alertsEnabled) {
+      console.log(
+        `[Email Service] Skipping flapping alert for ${monitor.name} - monitor has alerts disabled`,
+      );
+      return null;
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const dashboardUrl = `${frontendUrl}/monitors/`;
+
+    // Format when flapping started
+    let flappingSince = null;
+    if (monitor.flappingSince) {
+      flappingSince = new Date(monitor.flappingSince).toLocaleString("en-US", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+    }
+
+    console.log(
+      `[Email Service] Rendering flapping alert for ${monitor.name}...`,
+    );
+
+    // Render email template
+    const emailComponent = MonitorFlappingEmail({
+      monitorName: monitor.name,
+      monitorUrl: monitor.url,
+      stateChanges,
+      windowChecks,
+      errorMessage: monitor.lastError,
+      flappingSince,
+      dashboardUrl,
+    });
+
+    const htmlString = await render(emailComponent);
+
+    // Send email using Resend
+    const client = getResendClient();
+    const fromEmail = process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev";
+    const emailData = {
+      from: `MCPMon <${fromEmail}>`,
+      to: recipient || monitor.alertEmail || user.email,
+      subject: `Alert: ${monitor.name} is Flapping`,
+      html: htmlString,
+    };
+
+    console.log(
+      `[Email Service] Sending flapping alert from ${emailData.from} to ${emailData.to}`,
+    );
+    const response = await client.emails.send(emailData);
+
+    console.log(
+      `✓ Monitor flapping alert sent for ${monitor.name} to ${emailData.to}`,
+      response,
+    );
+    return response;
+  } catch (error) {
+    console.error(
+      `✗ Failed to send monitor flapping alert for ${monitor.name}:`,
+      error,
+    );
+    // Don't throw - we don't want email failures to crash monitoring
+    return null;
+  }
+}
+
+/**
+ * Send tool catalog change alert email
+ * @param {Object} monitor - Monitor document
+ * @param {Object} user - User document
+ * @param {Object} changes - { version, added, removed, changed } from the tool diff
+ * @param {string} recipient - Optional recipient overriding the monitor/user email
+ * @returns {Promise<Object>} - Resend API response
+ */
+export async function sendToolsChangedAlert(
+  monitor,
+  user,
+  { version, added = [], removed = [], changed = [] },
+  recipient = null,
+) {
+  try {
+    // Check if user has email alerts enabled
+    if (!user.emailAlertsEnabled) {
+      console.log(
+        `[Email Service] Skipping tools changed alert for ${monitor.name} - user has email alerts disabled`,
+      );
+      return null;
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const dashboardUrl = `${frontendUrl}/monitors/${monitor._id}`;
+
+    console.log(
+      `[Email Service] Rendering tools changed alert for ${monitor.name}...`,
+    );
+
+    // Render email template
+    const emailComponent = ToolsChangedEmail({
+      monitorName: monitor.name,
+      monitorUrl: monitor.url,
+      version,
+      added,
+      removed,
+      changed,
+      dashboardUrl,
+    });
+
+    const htmlString = await render(emailComponent);
+
+    // Send email using Resend
+    const client = getResendClient();
+    const fromEmail = process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev";
+    const emailData = {
+      from: `MCPMon <${fromEmail}>`,
+      to: recipient || monitor.alertEmail || user.email,
+      subject: `Alert: Tools Changed on ${monitor.name}`,
+      html: htmlString,
+    };
+
+    console.log(
+      `[Email Service] Sending tools changed alert from ${emailData.from} to ${emailData.to}`,
+    );
+    const response = await client.emails.send(emailData);
+
+    console.log(
+      `✓ Tools changed alert sent for ${monitor.name} to ${emailData.to}`,
+      response,
+    );
+    return response;
+  } catch (error) {
+    console.error(
+      `✗ Failed to send tools changed alert for ${monitor.name}:`,
+      error,
+    );
+    // Don't throw - we don't want email failures to crash monitoring
+    return null;
+  }
+}
+
 /**
  * Send security alert email
  * @param {Object} params - Email parameters
@@ -394,6 +570,7 @@ export async function sendMonitorRecoveryAlert(
  * @param {number} params.unsafeCount - Number of unsafe tools
  * @param {Array} params.highSeverityFindings - Array of high severity findings
  * @param {Date} params.scanDate - Date of the scan
+ * @param {string} params.message - Optional intro text replacing the scan wording (e.g. for tool drift)
  * @returns {Promise<Object>} - Resend API response
  */
 export async function sendSecurityAlert({
@@ -405,6 +582,7 @@ export async function sendSecurityAlert({
   unsafeCount,
   highSeverityFindings,
   scanDate,
+  message,
 }) {
   try {
     console.log(
@@ -425,6 +603,7 @@ export async function sendSecurityAlert({
       unsafeCount,
       highSeverityFindings,
       scanDate,
+      message,
       dashboardUrl,
     });
 
@@ -459,3 +638,56 @@ export async function sendSecurityAlert({
     return null;
   }
 }
+
+/**
+ * Send the alert digest summarizing activity across the user's monitors
+ * @param {Object} user - User document
+ * @param {Object} digest - { periodLabel, summary, incidents, stateChanges, securityChanges }
+ * @param {string} recipient - Address to send to instead of the account email
+ * @returns {Promise<Object|null>} - Resend response or null on failure
+ */
+export async function sendDigestEmail(user, digest, recipient = user.email) {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const dashboardUrl = `${frontendUrl}/monitors/`;
+
+    console.log(`[Email Service] Rendering digest for ${recipient}...`);
+
+    // Render email template
+    const emailComponent = DigestEmail({
+      userName: user.name,
+      ...digest,
+      dashboardUrl,
+    });
+
+    const htmlString = await render(emailComponent);
+
+    // Send email using Resend
+    const client = getResendClient();
+    const fromEmail = process.env.RESEND_FROM_EMAIL || "onboarding@resend.dev";
+    const emailData = {
+      from: `MCPMon <${fromEmail}>`,
+      to: recipient,
+      subject: `Your MCPMon digest: ${digest.summary.down} down, ${digest.summary.recovered} recovered`,
+      html: htmlString,
+    };
+
+    console.log(
+      `[Email Service] Sending digest from ${emailData.from} to ${emailData.to}`,
+    );
+    const response = await client.emails.send(emailData);
+
+    // Resend reports rejected emails in the response instead of throwing
+    if (response.error) {
+      console.error(`✗ Failed to send digest to ${recipient}:`, response.error);
+      return null;
+    }
+
+    console.log(`✓ Digest sent to ${emailData.to}`, response);
+    return response;
+  } catch (error) {
+    console.error(`✗ Failed to send digest to ${recipient}:`, error);
+    // Don't throw - a failed digest is retried on the next run
+    return null;
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Escalation Service
+ * Walks open, unacknowledged incidents through their monitor's escalation policy
+ * Step delays count from the first alert; acknowledging the incident stops further steps
+ * A background worker fires due steps, and only the instance holding the lease runs it
+ */
+
+import Incident from "../models/Incident.js";
+import Monitor from "../models/Monitor.js";
+import EscalationPolicy from "../models/EscalationPolicy.js";
+import NotificationChannel from "../models/NotificationChannel.js";
+import Webhook from "../models/Webhook.js";
+import { notifyChannels } from "./notificationDispatcher.js";
+import { deliverWebhook, monitorPayload } from "./webhookService.js";
+import { runWithLease } from "./leaseManager.js";
+
+// How often the worker looks for due escalation steps
+const ESCALATION_POLL_MS = 60 * 1000;
+
+// Only the instance holding this lease fires escalation steps
+const ESCALATION_LEASE = "incident-escalations";
+const ESCALATION_LEASE_TTL_MS = 5 * 60 * 1000; // renewed while steps are sent
+
+let escalationInterval = null;
+let isEscalating = false;
+
+/**
+ * Send one escalation step to its channels and webhooks
+ * @param {Object} monitor - Monitor document
+ * @param {Object} incident - Incident document
+ * @param {Object} step - Escalation step
+ * @param {number} index - Step index (0-based)
+ */
+async function sendEscalationStep(monitor, incident, step, index) {
+  const [channels, webhooks] = await Promise.all([
+    NotificationChannel.find({
+      _id: { $in: step.channels },
+      userId: monitor.userId,
+      isActive: true,
+    }).select("+webhookUrl +apiKey"),
+    // Step webhooks still only receive the event if they subscribe to it
+    Webhook.find({
+      _id: { $in: step.webhooks },
+      userId: monitor.userId,
+      isActive: true,
+      events: "incident.escalated",
+    }).select("+secret"),
+  ]);
+
+  // The first step stands in for the down alert in the user's digest
+  await notifyChannels(
+    channels,
+    "monitor.down",
+    monitor,
+    { error: monitor.lastError },
+    { recordDigest: index === 0 },
+  );
+
+  await Promise.all(
+    webhooks.map((webhook) =>
+      deliverWebhook(webhook, "incident.escalated", {
+        monitor: monitorPayload(monitor),
+        incidentId: incident._id.toString(),
+        step: index + 1,
+        delayMinutes: step.delayMinutes,
+        error: monitor.lastError,
+        startedAt: incident.startedAt,
+      }).catch((error) => {
+        console.error(
+          `[Escalation Service] Failed to deliver escalation to webhook "${webhook.name}":`,
+          error.message,
+        );
+      }),
+    ),
+  );
+
+  console.log(
+    `📣 [Escalation Service] Step ${index + 1} sent for "${monitor.name}" (${channels.length} channel(s), ${webhooks.length} webhook(s))`,
+  );
+}
+
+/**
+ * Fire every step of the policy that is due for an incident
+ * Steps are claimed atomically so multiple instances never send them twice
+ * @param {Object} incident - Open Incident document with escalation set
+ * @param {Object} policy - EscalationPolicy document
+ * @param {Object} monitor - Monitor document
+ * @returns {Promise<number>} - Number of steps fired
+ */
+async function escalateIncident(incident, policy, monitor) {
+  const now = new Date();
+  const { startedAt, stepsFired } = incident.escalation;
+  const dueSteps = policy.getDueSteps(startedAt, stepsFired, now);
+
+  if (dueSteps.length === 0) {
+    return 0;
+  }
+
+  const stepNumbers = dueSteps.map(({ index }) => index + 1).join(", ");
+  const claimed = await Incident.findOneAndUpdate(
+    {
+      _id: incident._id,
+      status: "open",
+      acknowledgedAt: null,
+      "escalation.stepsFired": stepsFired,
+    },
+    {
+      $set: {
+        "escalation.stepsFired": stepsFired + dueSteps.length,
+        "escalation.lastEscalatedAt": now,
+      },
+      $push: {
+        timeline: {
+          type: "escalated",
+          message: `Escalated via "${policy.name}" (step ${stepNumbers} of ${policy.steps.length})`,
+          at: now,
+        },
+      },
+    },
+    { new: true },
+  );
+
+  if (!claimed) {
+    return 0;
+  }
+
+  for (const { step, index } of dueSteps) {
+    await sendEscalationStep(monitor, claimed, step, index);
+  }
+
+  return dueSteps.length;
+}
+
+/**
+ * Start escalating the monitor's open incident - replaces the initial down alert
+ * Fires the steps that are due immediately (usually the T+0 step)
+ * @param {Object} monitor - Monitor document with escalationPolicy and currentIncidentId
+ * @returns {Promise<boolean>} - True if escalation started
+ */
+export async function startEscalation(monitor) {
+  if (!monitor.escalationPolicy || !monitor.currentIncidentId) {
+    return false;
+  }
+
+  try {
+    const policy = await EscalationPolicy.findOne({
+      _id: monitor.escalationPolicy,
+      userId: monitor.userId,
+    });
+
+    if (!policy) {
+      return false;
+    }
+
+    const incident = await Incident.findOneAndUpdate(
+      {
+        _id: monitor.currentIncidentId,
+        status: "open",
+        "escalation.policyId": null,
+      },
+      {
+        $set: {
+          "escalation.policyId": policy._id,
+          "escalation.startedAt": new Date(),
+          "escalation.stepsFired": 0,
+        },
+      },
+      { new: true },
+    );
+
+    if (!incident) {
+      return false;
+    }
+
+    await escalateIncident(incident, policy, monitor);
+    return true;
+  } catch (error) {
+    console.error(
+      `[Escalation Service] Failed to start escalation for ${monitor.name}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
+/**
+ * Fire due steps for every open, unacknowledged incident under escalation
+ * @returns {Promise<number>} - Number of steps fired
+ */
+export async function processEscalations() {
+  const incidents = await Incident.find({
+    status: "open",
+    acknowledgedAt: null,
+    "escalation.policyId": { $ne: null },
+  }).select("monitorId escalation startedAt");
+
+  const policies = new Map(
+    (
+      await EscalationPolicy.find({
+        _id: { $in: incidents.map((incident) => incident.escalation.policyId) },
+      })
+    ).map((policy) => [policy._id.toString(), policy]),
+  );
+
+  let fired = 0;
+
+  for (const incident of incidents) {
+    const policy = policies.get(incident.escalation.policyId.toString());
+    if (!policy || incident.escalation.stepsFired >= policy.steps.length) {
+      continue;
+    }
+
+    try {
+      const monitor = await Monitor.findById(incident.monitorId);
+
+      // Planned downtime, muted and flapping monitors don't escalate
+      if (
+        !monitor ||
+        !monitor.alertsEnabled ||
+        monitor.inMaintenance ||
+        monitor.status === "flapping"
+      ) {
+        continue;
+      }
+
+      fired += await escalateIncident(incident, policy, monitor);
+    } catch (error) {
+      console.error(
+        `[Escalation Service] Failed to escalate incident ${incident._id}:`,
+        error.message,
+      );
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Start the background worker that fires due escalation steps
+ */
+export function startEscalationWorker() {
+  if (escalationInterval) {
+    clearInterval(escalationInterval);
+  }
+
+  escalationInterval = setInterval(async () => {
+    if (isEscalating) return;
+
+    try {
+      isEscalating = true;
+      const { acquired, result: fired } = await runWithLease(
+        ESCALATION_LEASE,
+        ESCALATION_LEASE_TTL_MS,
+        processEscalations,
+      );
+      if (acquired && fired > 0) {
+        console.log(`[Escalation Service] Fired ${fired} escalation step(s)`);
+      }
+    } catch (error) {
+      console.error("[Escalation Service] Worker failed:", error.message);
+    } finally {
+      isEscalating = false;
+    }
+  }, ESCALATION_POLL_MS);
+
+  console.log("✓ Escalation worker started");
+  return escalationInterval;
+}
+
+export default {
+  startEscalation,
+  processEscalations,
+  startEscalationWorker,
+};
@@ -0,0 +1,332 @@
+/**
+ * Incident Service
+ * Opens, updates and resolves incidents as monitors change state
+ * Functions used by checks log failures instead of throwing so checks are never interrupted
+ * Triage functions (acknowledge, notes, root cause) throw so the API can report errors
+ */
+
+import Incident, { MAX_ERROR_SAMPLES } from "../models/Incident.js";
+import { broadcastIncidentUpdate } from "./websocket.js";
+
+/**
+ * Broadcast an incident change to the owner's dashboards
+ * @param {Object} incident - Incident document
+ * @param {string} event - What happened (opened, acknowledged, note_added, root_cause_set, resolved)
+ */
+function broadcastIncident(incident, event) {
+  broadcastIncidentUpdate(incident.userId, {
+    event,
+    _id: incident._id,
+    monitorId: incident.monitorId,
+    status: incident.status,
+    startedAt: incident.startedAt,
+    resolvedAt: incident.resolvedAt,
+    acknowledgedAt: incident.acknowledgedAt,
+    acknowledgedBy: incident.acknowledgedBy,
+    rootCause: incident.rootCause,
+    notesCount: incident.notes.length,
+  });
+}
+
+/**
+ * Open a new incident for a monitor that just went offline
+ * Sets monitor.currentIncidentId - the caller is responsible for saving the monitor
+ * @param {Object} monitor - Monitor document
+ * @param {string} errorMessage - Error that caused the outage
+ * @returns {Promise<Object|null>} - Incident document or null on failure
+ */
+export async function openIncident(monitor, errorMessage) {
+  try {
+    const now = new Date();
+
+    const incident = await Incident.create({
+      monitorId: monitor._id,
+      userId: monitor.userId,
+      startedAt: now,
+      firstError: errorMessage,
+      errorSamples: [{ message: errorMessage, at: now }],
+      failedChecks: 1,
+      timeline: [
+        {
+          type: "opened",
+          message: `Monitor went offline: ${errorMessage}`,
+          at: now,
+        },
+      ],
+    });
+
+    monitor.currentIncidentId = incident._id;
+    broadcastIncident(incident, "opened");
+
+    console.log(
+      `🚨 Opened incident ${incident._id} for monitor "${monitor.name}"`,
+    );
+    return incident;
+  } catch (error) {
+    console.error(
+      `Failed to open incident for ${monitor.name}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Record on the monitor's incident that it started flapping
+ * Opens an incident if none is open, so the whole flapping period is one incident
+ * Sets monitor.currentIncidentId - the caller is responsible for saving the monitor
+ * @param {Object} monitor - Monitor document
+ * @param {string} message - Timeline message (e.g. state change rate)
+ */
+export async function recordIncidentFlapping(monitor, message) {
+  try {
+    const now = new Date();
+    const entry = { type: "flapping", message, at: now };
+
+    if (monitor.currentIncidentId) {
+      await Incident.updateOne(
+        { _id: monitor.currentIncidentId, status: "open" },
+        { $push: { timeline: entry } },
+      );
+      return;
+    }
+
+    const incident = await Incident.create({
+      monitorId: monitor._id,
+      userId: monitor.userId,
+      startedAt: now,
+      firstError: monitor.lastError,
+      failedChecks: 0,
+      timeline: [entry],
+    });
+
+    monitor.currentIncidentId = incident._id;
+    broadcastIncident(incident, "opened");
+
+    console.log(
+      `🚨 Opened incident ${incident._id} for flapping monitor "${monitor.name}"`,
+    );
+  } catch (error) {
+    console.error(
+      `Failed to record flapping for ${monitor.name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Record another failed check on the monitor's open incident
+ * @param {Object} monitor - Monitor document with currentIncidentId
+ * @param {string} errorMessage - Error from the failed check
+ */
+export async function recordIncidentError(monitor, errorMessage) {
+  if (!monitor.currentIncidentId) return;
+
+  try {
+    await Incident.updateOne(
+      { _id: monitor.currentIncidentId, status: "open" },
+      {
+        $inc: { failedChecks: 1 },
+        $push: {
+          errorSamples: {
+            $each: [{ message: errorMessage, at: new Date() }],
+            $slice: -MAX_ERROR_SAMPLES,
+          },
+        },
+      },
+    );
+  } catch (error) {
+    console.error(
+      `Failed to record incident error for ${monitor.name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Record an alert that was sent for the monitor's open incident
+ * @param {Object} monitor - Monitor document with currentIncidentId
+ * @param {string} type - Alert type (down, reminder, recovery, flapping)
+ * @param {string} channel - Channel used (email, sms, or a notification channel type)
+ * @param {boolean} success - Whether the alert was delivered
+ * @param {string} channelId - NotificationChannel used, if any - recoveries resolve
+ *   the on-call channels that were paged
+ */
+export async function recordIncidentAlert(
+  monitor,
+  type,
+  channel,
+  success,
+  channelId = null,
+) {
+  if (!monitor.currentIncidentId) return;
+
+  try {
+    const now = new Date();
+
+    await Incident.updateOne(
+      { _id: monitor.currentIncidentId },
+      {
+        $push: {
+          alerts: { type, channel, channelId, success, sentAt: now },
+          timeline: {
+            type: "alert",
+            message: `${type} alert via ${channel} ${success ? "sent" : "skipped"}`,
+            at: now,
+          },
+        },
+      },
+    );
+  } catch (error) {
+    console.error(
+      `Failed to record incident alert for ${monitor.name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Resolve the monitor's open incident after it recovered
+ * Clears monitor.currentIncidentId - the caller is responsible for saving the monitor
+ * @param {Object} monitor - Monitor document with currentIncidentId
+ * @returns {Promise<Object|null>} - Resolved incident or null
+ */
+export async function resolveIncident(monitor) {
+  if (!monitor.currentIncidentId) return null;
+
+  try {
+    const incident = await Incident.findById(monitor.currentIncidentId);
+    monitor.currentIncidentId = null;
+
+    if (!incident || incident.status !== "open") {
+      return null;
+    }
+
+    const now = new Date();
+    incident.status = "resolved";
+    incident.resolvedAt = now;
+    incident.duration = now - incident.startedAt;
+    incident.timeline.push({
+      type: "resolved",
+      message: "Monitor is back online",
+      at: now,
+    });
+    await incident.save();
+    broadcastIncident(incident, "resolved");
+
+    console.log(
+      `✅ Resolved incident ${incident._id} for monitor "${monitor.name}"`,
+    );
+    return incident;
+  } catch (error) {
+    console.error(
+      `Failed to resolve incident for ${monitor.name}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Check whether someone is already handling the monitor's open incident
+ * @param {Object} monitor - Monitor document with currentIncidentId
+ * @returns {Promise<boolean>} - True if the open incident has been acknowledged
+ */
+export async function isIncidentAcknowledged(monitor) {
+  if (!monitor.currentIncidentId) return false;
+
+  try {
+    const incident = await Incident.findById(monitor.currentIncidentId).select(
+      "acknowledgedAt",
+    );
+    return !!incident?.acknowledgedAt;
+  } catch (error) {
+    console.error(
+      `Failed to load incident for ${monitor.name}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
+/**
+ * Acknowledge an open incident - suppresses further reminders for it
+ * @param {Object} incident - Incident document
+ * @param {Object} user - User acknowledging the incident
+ * @returns {Promise<Object>} - Updated incident
+ */
+export async function acknowledgeIncident(incident, user) {
+  const now = new Date();
+
+  incident.acknowledgedAt = now;
+  incident.acknowledgedBy = user._id;
+  incident.timeline.push({
+    type: "acknowledged",
+    message: `Acknowledged by ${user.name || user.email}`,
+    at: now,
+  });
+  await incident.save();
+
+  broadcastIncident(incident, "acknowledged");
+  return incident;
+}
+
+/**
+ * Add a timestamped note to an incident
+ * @param {Object} incident - Incident document
+ * @param {Object} user - Note author
+ * @param {string} text - Note text
+ * @returns {Promise<Object>} - Updated incident
+ */
+export async function addIncidentNote(incident, user, text) {
+  const now = new Date();
+  const authorName = user.name || user.email;
+
+  incident.notes.push({
+    text,
+    author: user._id,
+    authorName,
+    createdAt: now,
+  });
+  incident.timeline.push({
+    type: "note",
+    message: `Note added by ${authorName}`,
+    at: now,
+  });
+  await incident.save();
+
+  broadcastIncident(incident, "note_added");
+  return incident;
+}
+
+/**
+ * Set (or replace) the root cause of an incident
+ * @param {Object} incident - Incident document
+ * @param {Object} user - User setting the root cause
+ * @param {string} rootCause - Root cause description
+ * @returns {Promise<Object>} - Updated incident
+ */
+export async function setIncidentRootCause(incident, user, rootCause) {
+  incident.rootCause = rootCause;
+  incident.timeline.push({
+    type: "root_cause",
+    message: `Root cause set by ${user.name || user.email}`,
+    at: new Date(),
+  });
+  await incident.save();
+
+  broadcastIncident(incident, "root_cause_set");
+  return incident;
+}
+
+export default {
+  openIncident,
+  recordIncidentFlapping,
+  recordIncidentError,
+  recordIncidentAlert,
+  resolveIncident,
+  isIncidentAcknowledged,
+  acknowledgeIncident,
+  addIncidentNote,
+  setIncidentRootCause,
+};
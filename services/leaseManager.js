@@ -0,0 +1,121 @@
+/**
+ * Lease Manager Service
+ * Mongo-backed leases so only one API instance runs a scheduled job at a time
+ * Leases expire on their own, so if the holder dies another instance takes over
+ */
+
+import os from "os";
+import crypto from "crypto";
+import Lease from "../models/Lease.js";
+
+// Unique identity of this process, used as the owner of leases and claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+/**
+ * Get the identity this instance uses for leases and monitor claims
+ * @returns {string} - Instance ID
+ */
+export function getInstanceId() {
+  return INSTANCE_ID;
+}
+
+/**
+ * Try to acquire (or renew) a lease
+ * @param {string} name - Lease name
+ * @param {number} ttlMs - How long the lease is valid without renewal
+ * @returns {Promise<boolean>} - True if this instance now holds the lease
+ */
+export async function acquireLease(name, ttlMs) {
+  const now = new Date();
+
+  try {
+    // Matches only if we already own it or the previous holder let it expire
+    // Otherwise the upsert collides with the existing _id and throws E11000
+    await Lease.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ owner: INSTANCE_ID }, { expiresAt: { $lte: now } }],
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          expiresAt: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true },
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a lease held by this instance
+ * @param {string} name - Lease name
+ */
+export async function releaseLease(name) {
+  try {
+    await Lease.deleteOne({ _id: name, owner: INSTANCE_ID });
+  } catch (error) {
+    console.error(
+      `[Lease Manager] Failed to release lease ${name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Run a job only if this instance can acquire the lease
+ * The lease is renewed while the job runs and released when it finishes
+ * @param {string} name - Lease name
+ * @param {number} ttlMs - Lease time to live
+ * @param {Function} job - Async function to run while holding the lease
+ * @returns {Promise<Object>} - { acquired: boolean, result?: * }
+ */
+export async function runWithLease(name, ttlMs, job) {
+  const acquired = await acquireLease(name, ttlMs);
+
+  if (!acquired) {
+    return { acquired: false };
+  }
+
+  // Keep renewing well before expiry so long jobs don't lose the lease
+  const renewInterval = setInterval(
+    () => {
+      acquireLease(name, ttlMs)
+        .then((renewed) => {
+          if (!renewed) {
+            console.warn(
+              `[Lease Manager] Lost lease ${name} while job was running`,
+            );
+          }
+        })
+        .catch((error) => {
+          console.error(
+            `[Lease Manager] Failed to renew lease ${name}:`,
+            error.message,
+          );
+        });
+    },
+    Math.max(ttlMs / 3, 1000),
+  );
+
+  try {
+    const result = await job();
+    return { acquired: true, result };
+  } finally {
+    clearInterval(renewInterval);
+    await releaseLease(name);
+  }
+}
+
+export default {
+  getInstanceId,
+  acquireLease,
+  releaseLease,
+  runWithLease,
+};
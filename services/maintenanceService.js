@@ -0,0 +1,98 @@
+/**
+ * Maintenance Service
+ * Resolves which scheduled maintenance windows apply to a monitor
+ * Checks keep running during maintenance, but alerts are suppressed and
+ * the checks are excluded from uptime calculations
+ */
+
+import MaintenanceWindow from "../models/MaintenanceWindow.js";
+
+// How far ahead upcoming maintenance is reported on public status
+const UPCOMING_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Compute an occurrence of a window, skipping windows whose stored recurrence
+ * can't be parsed so one malformed window doesn't hide the others
+ * @param {Object} window - MaintenanceWindow document
+ * @param {Function} resolve - Called with the window, returns an occurrence or null
+ * @returns {Object|null} - { startsAt, endsAt } or null
+ */
+function resolveOccurrence(window, resolve) {
+  try {
+    return resolve(window);
+  } catch (error) {
+    console.error(
+      `Skipping maintenance window "${window.name}" (${window._id}):`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Get the maintenance window a monitor is currently in, if any
+ * Failures are logged and treated as "not in maintenance" so alerts are never lost
+ * @param {Object} monitor - Monitor document
+ * @param {Date} at - Point in time to check (defaults to now)
+ * @returns {Promise<Object|null>} - { window, startsAt, endsAt } or null
+ */
+export async function getActiveMaintenance(monitor, at = new Date()) {
+  try {
+    const windows = await MaintenanceWindow.findForMonitor(monitor, at);
+
+    for (const window of windows) {
+      const occurrence = resolveOccurrence(window, () =>
+        window.getOccurrenceAt(at),
+      );
+      if (occurrence) {
+        return { window, ...occurrence };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error(
+      `Failed to resolve maintenance windows for ${monitor.name}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Get current and upcoming maintenance for a monitor, soonest first
+ * @param {Object} monitor - Monitor document (needs _id, userId and tags)
+ * @param {number} horizonMs - How far ahead to look
+ * @returns {Promise<Array>} - [{ _id, name, description, startsAt, endsAt, inProgress }]
+ */
+export async function getMaintenanceSchedule(
+  monitor,
+  horizonMs = UPCOMING_HORIZON_MS,
+) {
+  const now = new Date();
+  const windows = await MaintenanceWindow.findForMonitor(monitor, now);
+
+  return windows
+    .map((window) => {
+      const occurrence = resolveOccurrence(window, () =>
+        window.getNextOccurrence(now, horizonMs),
+      );
+      if (!occurrence) return null;
+
+      return {
+        _id: window._id,
+        name: window.name,
+        description: window.description,
+        startsAt: occurrence.startsAt,
+        endsAt: occurrence.endsAt,
+        inProgress: occurrence.startsAt <= now,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+export default {
+  getActiveMaintenance,
+  getMaintenanceSchedule,
+};
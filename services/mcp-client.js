@@ -5,6 +5,15 @@
 
 import * as sessionManager from "./sessionManager.js";
 
+// Most prompts/resources/templates kept per monitor - servers may expose thousands
+export const MAX_CATALOG_ITEMS = 500;
+
+// Most pages fetched per list - servers may return empty pages with a next cursor
+const MAX_CATALOG_PAGES = 20;
+
+// Longest prompt/resource discovery may take in one check, across every list and page
+export const CATALOG_BUDGET_SECONDS = 120;
+
 /**
  * Parse SSE (Server-Sent Events) response to extract JSON-RPC message
  * @param {string} sseText - Raw SSE response text
@@ -473,16 +482,241 @@ export async function discoverTools(monitor, sessionId) {
   }
 }
 
+/**
+ * Fetch every page of a list method (prompts/list, resources/list, ...)
+ * @param {Object} monitor - Monitor object with connection details
+ * @param {string} sessionId - MCP session ID
+ * @param {string} method - JSON-RPC list method
+ * @param {string} resultKey - Key of the item array in the result
+ * @param {number} deadline - Time (ms) by which every page must have arrived
+ * @returns {Promise<Array>} - Items, capped at MAX_CATALOG_ITEMS and MAX_CATALOG_PAGES
+ */
+async function listAll(monitor, sessionId, method, resultKey, deadline) {
+  const headers = buildAuthHeaders(monitor);
+  headers["Content-Type"] = "application/json";
+  headers["Accept"] = "text/event-stream, application/json";
+
+  if (sessionId) {
+    headers["Mcp-Session-Id"] = sessionId;
+  }
+
+  const items = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const listRequest = {
+      jsonrpc: "2.0",
+      id: 4,
+      method,
+      ...(cursor ? { params: { cursor } } : {}),
+    };
+
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw new Error(`Ran out of time after ${CATALOG_BUDGET_SECONDS}s`);
+    }
+
+    const response = await fetch(monitor.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(listRequest),
+      signal: AbortSignal.timeout(
+        Math.min(monitor.timeout * 1000, remainingMs),
+      ),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    // Check if response is SSE or JSON
+    const contentType = response.headers.get("content-type");
+    let data;
+
+    if (contentType && contentType.includes("text/event-stream")) {
+      // Read first message from SSE stream (don't wait for stream to end)
+      data = await readFirstSSEMessage(response);
+
+      if (!data) {
+        throw new Error("Failed to read SSE message");
+      }
+    } else {
+      // Parse JSON response
+      data = await response.json();
+    }
+
+    if (data.error) {
+      throw new Error(data.error.message || `${method} failed`);
+    }
+
+    items.push(...(data.result?.[resultKey] || []));
+    cursor = data.result?.nextCursor || null;
+    pages++;
+  } while (
+    cursor &&
+    items.length < MAX_CATALOG_ITEMS &&
+    pages < MAX_CATALOG_PAGES
+  );
+
+  return items.slice(0, MAX_CATALOG_ITEMS);
+}
+
+/**
+ * Discover prompts, resources and resource templates the server advertises
+ * Only lists what the capabilities include; a failing list is logged and returned
+ * as null, so it never marks the server offline and the previous list can be kept
+ * All lists share CATALOG_BUDGET_SECONDS
+ * @param {Object} monitor - Monitor object with connection details
+ * @param {string} sessionId - MCP session ID
+ * @param {Object} capabilities - Server capabilities from the initialize response
+ * @returns {Promise<Object>} - { prompts, resources, resourceTemplates } - each an Array, or null if its list failed
+ */
+export async function discoverCatalog(monitor, sessionId, capabilities) {
+  const lists = [
+    ["prompts", "prompts/list", "prompts", !!capabilities?.prompts],
+    ["resources", "resources/list", "resources", !!capabilities?.resources],
+    [
+      "resourceTemplates",
+      "resources/templates/list",
+      "resourceTemplates",
+      !!capabilities?.resources,
+    ],
+  ];
+
+  const catalog = {};
+  const deadline = Date.now() + CATALOG_BUDGET_SECONDS * 1000;
+
+  for (const [name, method, resultKey, advertised] of lists) {
+    catalog[name] = [];
+    if (!advertised) continue;
+
+    try {
+      catalog[name] = await listAll(
+        monitor,
+        sessionId,
+        method,
+        resultKey,
+        deadline,
+      );
+    } catch (error) {
+      console.warn(`[MCP Client] ${method} failed:`, error.message);
+      catalog[name] = null;
+    }
+  }
+
+  console.log(
+    `[MCP Client] Discovered ${catalog.prompts?.length ?? "?"} prompts, ${catalog.resources?.length ?? "?"} resources and ${catalog.resourceTemplates?.length ?? "?"} resource templates for monitor ${monitor._id}`,
+  );
+
+  return catalog;
+}
+
+/**
+ * Call a tool on the MCP server
+ * @param {Object} monitor - Monitor object with connection details
+ * @param {string} sessionId - MCP session ID
+ * @param {string} toolName - Name of the tool to call
+ * @param {Object} args - Tool arguments
+ * @param {number} timeoutSeconds - Timeout for the call
+ * @returns {Promise<Object>} - { success: boolean, result: Object, responseTime: number, error?: string }
+ */
+export async function callTool(
+  monitor,
+  sessionId,
+  toolName,
+  args = {},
+  timeoutSeconds = monitor.timeout,
+) {
+  const startTime = Date.now();
+
+  try {
+    const headers = buildAuthHeaders(monitor);
+    headers["Content-Type"] = "application/json";
+    headers["Accept"] = "text/event-stream, application/json";
+
+    if (sessionId) {
+      headers["Mcp-Session-Id"] = sessionId;
+    }
+
+    const toolsCallRequest = {
+      jsonrpc: "2.0",
+      id: 3,
+      method: "tools/call",
+      params: {
+        name: toolName,
+        arguments: args,
+      },
+    };
+
+    const response = await fetch(monitor.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(toolsCallRequest),
+      signal: AbortSignal.timeout(timeoutSeconds * 1000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    // Check if response is SSE or JSON
+    const contentType = response.headers.get("content-type");
+    let data;
+
+    if (contentType && contentType.includes("text/event-stream")) {
+      // Read first message from SSE stream (don't wait for stream to end)
+      data = await readFirstSSEMessage(response);
+
+      if (!data) {
+        throw new Error("Failed to read SSE message");
+      }
+    } else {
+      // Parse JSON response
+      data = await response.json();
+    }
+
+    if (data.error) {
+      throw new Error(data.error.message || "Tool call failed");
+    }
+
+    return {
+      success: true,
+      result: data.result || {},
+      responseTime: Date.now() - startTime,
+    };
+  } catch (error) {
+    console.error(
+      `[MCP Client] Tool call "${toolName}" failed:`,
+      error.message,
+    );
+    return {
+      success: false,
+      result: null,
+      responseTime: Date.now() - startTime,
+      error:
+        error.name === "TimeoutError"
+          ? `Timed out after ${timeoutSeconds}s`
+          : error.message,
+    };
+  }
+}
+
 /**
  * Test MCP connection with session management and tool discovery
  * @param {Object} monitor - Monitor object with connection details
- * @returns {Promise<Object>} - { success: boolean, responseTime: number, tools: Array, error?: string }
+ * toolsDiscovered is only true when tools/list succeeded - a server can be healthy
+ * while its tools/list fails, and its tools are then unknown rather than empty
+ * @returns {Promise<Object>} - { success: boolean, responseTime: number, tools: Array, toolsDiscovered: boolean, prompts, resources, resourceTemplates (Array, or null if its list failed), attempts: number, error?: string }
  */
 export async function testMCPConnectionWithTools(monitor) {
   const startTime = Date.now();
   let tools = [];
+  let toolsDiscovered = false;
   let sessionId = monitor.sessionId;
+  let capabilities = monitor.serverCapabilities;
   let sessionResult = null;
+  let attempts = 1;
 
   try {
     // Try to get cached session
@@ -491,6 +725,7 @@ export async function testMCPConnectionWithTools(monitor) {
     // Check if cached session exists and URL hasn't changed
     if (cachedSession && cachedSession.url === monitor.url) {
       sessionId = cachedSession.sessionId;
+      capabilities = cachedSession.capabilities || capabilities;
       console.log(
         `[MCP Client] Using cached session for monitor ${monitor._id}`,
       );
@@ -514,6 +749,7 @@ export async function testMCPConnectionWithTools(monitor) {
 
       if (sessionResult.success) {
         sessionId = sessionResult.sessionId;
+        capabilities = sessionResult.capabilities;
 
         // Cache the session with URL
         sessionManager.setSession(
@@ -535,6 +771,7 @@ export async function testMCPConnectionWithTools(monitor) {
           responseTime: Date.now() - startTime,
           error: sessionResult.error || "Failed to initialize MCP session",
           tools: [],
+          attempts,
         };
       }
     }
@@ -545,6 +782,7 @@ export async function testMCPConnectionWithTools(monitor) {
 
       if (toolsResult.success) {
         tools = toolsResult.tools;
+        toolsDiscovered = true;
       } else {
         console.warn(
           `[MCP Client] Tool discovery failed: ${toolsResult.error}`,
@@ -562,9 +800,11 @@ export async function testMCPConnectionWithTools(monitor) {
           sessionManager.clearSession(monitor._id);
 
           // Try to reinitialize
+          attempts += 1;
           const retryResult = await initializeMCPSession(monitor);
           if (retryResult.success) {
             sessionId = retryResult.sessionId;
+            capabilities = retryResult.capabilities;
             sessionManager.setSession(
               monitor._id,
               sessionId,
@@ -576,6 +816,7 @@ export async function testMCPConnectionWithTools(monitor) {
             const retryToolsResult = await discoverTools(monitor, sessionId);
             if (retryToolsResult.success) {
               tools = retryToolsResult.tools;
+              toolsDiscovered = true;
             } else {
               // Both tool discovery and retry failed - server is likely down
               console.error(
@@ -587,6 +828,7 @@ export async function testMCPConnectionWithTools(monitor) {
                 error:
                   retryToolsResult.error || "Tool discovery failed after retry",
                 tools: [],
+                attempts,
               };
             }
           } else {
@@ -599,6 +841,7 @@ export async function testMCPConnectionWithTools(monitor) {
               responseTime: Date.now() - startTime,
               error: retryResult.error || "Failed to reinitialize session",
               tools: [],
+              attempts,
             };
           }
         }
@@ -607,11 +850,20 @@ export async function testMCPConnectionWithTools(monitor) {
 
     const responseTime = Date.now() - startTime;
 
+    // Prompts and resources are discovered alongside tools, but don't count
+    // towards the response time or the health of the server
+    const catalog = monitor.toolsSyncEnabled
+      ? await discoverCatalog(monitor, sessionId, capabilities)
+      : { prompts: [], resources: [], resourceTemplates: [] };
+
     return {
       success: true,
       responseTime,
       tools,
+      toolsDiscovered,
+      ...catalog,
       sessionId,
+      attempts,
     };
   } catch (error) {
     const responseTime = Date.now() - startTime;
@@ -631,6 +883,7 @@ export async function testMCPConnectionWithTools(monitor) {
       responseTime,
       error: error.message,
       tools: [],
+      attempts,
     };
   }
 }
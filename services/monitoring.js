@@ -4,16 +4,141 @@
  */
 
 import Monitor from "../models/Monitor.js";
-import User from "../models/User.js";
-import { testMCPConnectionWithTools } from "./mcp-client.js";
-import { broadcastMonitorUpdate } from "./websocket.js";
+import CheckResult from "../models/CheckResult.js";
 import {
-  sendMonitorDownAlert,
-  sendMonitorRecoveryAlert,
-  shouldSendDailyReminder,
-} from "./emailService.js";
-import { sendMonitorDownSMS, sendMonitorRecoverySMS } from "./smsService.js";
+  testMCPConnectionWithTools,
+  CATALOG_BUDGET_SECONDS,
+} from "./mcp-client.js";
+import { broadcastMonitorUpdate } from "./websocket.js";
+import { shouldSendDailyReminder } from "./emailService.js";
 import { scanMonitor } from "./securityScanner.js";
+import { createWorkerPool } from "./workerPool.js";
+import {
+  openIncident,
+  recordIncidentFlapping,
+  recordIncidentError,
+  resolveIncident,
+  isIncidentAcknowledged,
+} from "./incidentService.js";
+import { getInstanceId } from "./leaseManager.js";
+import { getActiveMaintenance } from "./maintenanceService.js";
+import { dispatchNotification } from "./notificationDispatcher.js";
+import { startEscalation } from "./escalationService.js";
+import { runToolProbes, PROBE_BUDGET_SECONDS } from "./toolProbeService.js";
+import { recordToolSnapshot, checkToolDrift } from "./toolChangeService.js";
+
+// Shared pool that caps how many checks hit the network at once
+const checkPool = createWorkerPool({
+  concurrency: parseInt(process.env.MONITOR_CHECK_CONCURRENCY) || 50,
+  perKeyConcurrency:
+    parseInt(process.env.MONITOR_CHECK_PER_HOST_CONCURRENCY) || 5,
+});
+
+// Longest a single request to a server may take (the maximum monitor timeout)
+const MAX_REQUEST_SECONDS = 120;
+
+// How long a claimed check is reserved for this instance before others may take it
+// Must outlast the slowest check: initialize + tools/list and one reinitialize
+// retry of both, then the tool probes and catalog discovery (each capped in total),
+// plus a minute for saving the result and sending alerts
+const CHECK_CLAIM_TTL_MS =
+  (parseInt(process.env.MONITOR_CHECK_CLAIM_TTL_SECONDS) ||
+    4 * MAX_REQUEST_SECONDS +
+      PROBE_BUDGET_SECONDS +
+      CATALOG_BUDGET_SECONDS +
+      60) * 1000;
+
+/**
+ * Get the host a monitor's checks are limited by
+ * @param {Object} monitor - Monitor document
+ * @returns {string} - Host (with port) of the monitor URL
+ */
+function getMonitorHost(monitor) {
+  try {
+    return new URL(monitor.url).host;
+  } catch (error) {
+    return monitor.url;
+  }
+}
+
+/**
+ * Get queue depth, concurrency and lag metrics for the check pool
+ * @returns {Object} - Worker pool metrics
+ */
+export function getCheckPoolMetrics() {
+  return checkPool.getMetrics();
+}
+
+/**
+ * Persist the outcome of a single check as a time-series record
+ * Failures are logged but never interrupt the check itself
+ * @param {Object} monitor - Monitor document that was checked
+ * @param {Object} data - Check outcome (isUp, degraded, responseTime, statusCode, error, warning, attempts, toolCount, probeResults, inMaintenance)
+ */
+async function recordCheckResult(monitor, data) {
+  try {
+    await CheckResult.create({
+      monitorId: monitor._id,
+      userId: monitor.userId,
+      checkedAt: monitor.lastCheckedAt || new Date(),
+      isUp: data.isUp,
+      status: data.isUp ? (data.degraded ? "degraded" : "online") : "offline",
+      responseTime: data.responseTime,
+      statusCode: data.statusCode ?? null,
+      error: data.error || null,
+      warning: data.warning || null,
+      attempts: data.attempts ?? 1,
+      toolCount: data.toolCount || 0,
+      probeResults: data.probeResults || [],
+      inMaintenance: !!data.inMaintenance,
+    });
+  } catch (error) {
+    console.error(
+      `Failed to record check result for ${monitor.name}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Handle a monitor that just started flapping
+ * Sends a single flapping notification in place of the per-transition alerts,
+ * which stay suppressed until the monitor settles
+ * @param {Object} monitor - Monitor document with flappingSince set
+ */
+async function startFlapping(monitor) {
+  const windowChecks = monitor.recentCheckStates.length;
+  const stateChanges = Math.round(monitor.getFlapRate() * (windowChecks - 1));
+
+  console.log(
+    `🟠 Monitor "${monitor.name}" is FLAPPING (${stateChanges} state changes in ${windowChecks} checks)`,
+  );
+
+  // The whole flapping period is tracked as one incident
+  await recordIncidentFlapping(
+    monitor,
+    `Monitor is flapping: ${stateChanges} state changes in the last ${windowChecks} checks`,
+  );
+
+  monitor.alertsSentCount = 0;
+  monitor.lastAlertSentAt = null;
+
+  if (!monitor.alertsEnabled) {
+    return;
+  }
+
+  await dispatchNotification("monitor.flapping", monitor, {
+    stateChanges,
+    windowChecks,
+    error: monitor.lastError,
+    flappingSince: monitor.flappingSince,
+    incidentId: monitor.currentIncidentId,
+  });
+
+  // Counts as the outage's alert, so paged on-call incidents resolve when it settles
+  monitor.lastAlertSentAt = new Date();
+  monitor.alertsSentCount = 1;
+}
 
 /**
  * Check a single monitor's health
@@ -23,37 +148,105 @@ import { scanMonitor } from "./securityScanner.js";
 export async function checkSingleMonitor(monitor) {
   const startTime = Date.now();
 
+  // Checks during planned maintenance are recorded but don't alert or count
+  // towards uptime, failure streaks or new incidents
+  // Never rejects - a failed lookup counts as not in maintenance, so the check still runs
+  const maintenance = await getActiveMaintenance(monitor);
+  const inMaintenance = !!maintenance;
+  monitor.inMaintenance = inMaintenance;
+
   try {
     // Capture previous state for status transition detection
     const previousStatus = monitor.status;
-    const previousConsecutiveFailures = monitor.consecutiveFailures || 0;
+    const alertPolicy = monitor.getAlertPolicy();
 
     // Test the MCP server connection with tool discovery
     const result = await testMCPConnectionWithTools(monitor);
     const responseTime = result.responseTime || Date.now() - startTime;
 
+    // Synthetic tool calls only run against a server that passed the health check
+    let probeOutcome = null;
+    if (result.success && monitor.toolProbes?.some((probe) => probe.isActive)) {
+      probeOutcome = await runToolProbes(monitor, result.sessionId);
+      monitor.lastProbeResults = probeOutcome.results;
+
+      if (probeOutcome.downError) {
+        result.success = false;
+        result.error = probeOutcome.downError;
+      }
+    }
+
     // Determine if the check was successful
     const isUp = result.success;
+    const degradedError = isUp ? probeOutcome?.degradedError : null;
 
     // Update tools based on discovery result
     if (monitor.toolsSyncEnabled) {
       if (isUp) {
-        // Server is up - update tools (even if empty)
-        if (result.tools && result.tools.length > 0) {
-          monitor.tools = result.tools;
-          monitor.lastToolsSync = new Date();
+        // A list that failed (null) keeps what the last successful check found
+        ["prompts", "resources", "resourceTemplates"].forEach((list) => {
+          if (result[list]) {
+            monitor[list] = result[list];
+          }
+        });
+
+        // A failed tools/list leaves the tools unknown - keep the last known ones
+        // rather than recording them all as removed
+        if (!result.toolsDiscovered) {
           console.log(
-            `🔧 Discovered ${result.tools.length} tools for monitor "${monitor.name}"`,
+            `🔧 Tool discovery failed for monitor "${monitor.name}", keeping its last known tools`,
           );
         } else {
-          // Server is up but no tools discovered - clear tools array
-          monitor.tools = [];
-          monitor.lastToolsSync = new Date();
-          console.log(`🔧 No tools discovered for monitor "${monitor.name}"`);
+          // Server is up - update tools (even if empty)
+          if (result.tools && result.tools.length > 0) {
+            monitor.tools = result.tools;
+            monitor.lastToolsSync = new Date();
+            console.log(
+              `🔧 Discovered ${result.tools.length} tools for monitor "${monitor.name}"`,
+            );
+          } else {
+            // Server is up but no tools discovered - clear tools array
+            monitor.tools = [];
+            monitor.lastToolsSync = new Date();
+            console.log(`🔧 No tools discovered for monitor "${monitor.name}"`);
+          }
+
+          // Compared with the last stored version, so changes made while the
+          // server was offline are caught too
+          await recordToolSnapshot(monitor, result.tools || []);
+
+          // Compare with the approved baseline and scan the new tools right away
+          const drifted = await checkToolDrift(monitor, result.tools || []);
+          if (
+            drifted &&
+            monitor.scanOnToolDrift &&
+            monitor.securityScanEnabled
+          ) {
+            console.log(
+              `🔒 Triggering security scan for drifted tools of "${monitor.name}"`,
+            );
+
+            // Trigger scan asynchronously (don't wait for completion)
+            scanMonitor(monitor)
+              .then((scan) => {
+                console.log(
+                  `✓ Drift security scan completed for monitor "${monitor.name}" - Risk: ${scan.riskLevel}`,
+                );
+              })
+              .catch((error) => {
+                console.error(
+                  `✗ Drift security scan failed for monitor "${monitor.name}":`,
+                  error.message,
+                );
+              });
+          }
         }
       } else {
-        // Server is offline - clear tools array
+        // Server is offline - clear tools, prompts and resources
         monitor.tools = [];
+        monitor.prompts = [];
+        monitor.resources = [];
+        monitor.resourceTemplates = [];
         monitor.lastToolsSync = new Date();
         console.log(
           `🔧 Cleared tools for offline monitor "${monitor.name}"`,
@@ -70,7 +263,18 @@ export async function checkSingleMonitor(monitor) {
 
     // Update monitor document
     monitor.lastCheckedAt = new Date();
-    monitor.totalChecks += 1;
+    if (!inMaintenance) {
+      monitor.totalChecks += 1;
+    }
+
+    // Flap detection works on the raw check outcomes; planned downtime doesn't count
+    const flappingSince = monitor.flappingSince;
+    let flapState = flappingSince ? "flapping" : null;
+    if (!inMaintenance) {
+      flapState = monitor.recordFlapState(isUp);
+    }
+    const isFlapping = flapState === "started" || flapState === "flapping";
+    const settled = flapState === "settled";
 
     let statusChanged = false;
 
@@ -78,53 +282,60 @@ export async function checkSingleMonitor(monitor) {
       // Server is online
       const wasOffline = previousStatus === "offline";
 
-      monitor.status = "online";
       monitor.lastUptime = new Date();
       monitor.responseTime = responseTime;
-      monitor.consecutiveFailures = 0; // Reset consecutive failures
+      monitor.consecutiveSuccesses += 1;
+
+      // An offline monitor stays offline until it passes recoveryThreshold checks in a row
+      const recovering =
+        wasOffline &&
+        monitor.consecutiveSuccesses < alertPolicy.recoveryThreshold;
+
+      if (recovering) {
+        console.log(
+          `↻ Monitor "${monitor.name}" is recovering (${monitor.consecutiveSuccesses}/${alertPolicy.recoveryThreshold} successful checks)`,
+        );
+      } else {
+        // A server whose tool probes fail is reachable but degraded
+        monitor.status = degradedError ? "degraded" : "online";
+        monitor.consecutiveFailures = 0; // Reset consecutive failures
+        monitor.failingSince = null;
+      }
 
-      // Detect offline -> online transition (recovery)
-      if (wasOffline) {
+      // A flapping monitor keeps its status until it settles
+      if (isFlapping) {
+        monitor.status = "flapping";
+      }
+
+      // Detect offline -> online transition (recovery), or flapping settling online
+      if ((wasOffline && !recovering && !isFlapping) || settled) {
         statusChanged = true;
         monitor.lastStatusChangeAt = new Date();
 
         // Calculate downtime duration for recovery email
         const downtimeDuration =
-          monitor.lastStatusChangeAt - monitor.lastDowntime;
+          monitor.lastStatusChangeAt - (flappingSince || monitor.lastDowntime);
 
         // Send recovery alerts if enabled
-        if (monitor.alertsEnabled && monitor.notifyOnRecovery) {
-          try {
-            const user = await User.findById(monitor.userId);
-            if (user) {
-              // Send email alert
-              await sendMonitorRecoveryAlert(monitor, user, downtimeDuration);
-              console.log(
-                `📧 Recovery email sent for monitor "${monitor.name}"`,
-              );
-
-              // Send SMS alert
-              const smsResult = await sendMonitorRecoverySMS(
-                monitor,
-                user,
-                downtimeDuration,
-              );
-              if (smsResult) {
-                console.log(
-                  `📱 Recovery SMS sent for monitor "${monitor.name}"`,
-                );
-              } else {
-                console.log(
-                  `📱 Recovery SMS skipped for monitor "${monitor.name}" (check SMS Service logs)`,
-                );
-              }
-            }
-          } catch (alertError) {
-            console.error(
-              `Failed to send recovery alerts for ${monitor.name}:`,
-              alertError,
-            );
-          }
+        if (
+          monitor.alertsEnabled &&
+          monitor.notifyOnRecovery &&
+          !inMaintenance
+        ) {
+          await dispatchNotification("monitor.recovery", monitor, {
+            downtimeDuration,
+            responseTime,
+            incidentId: monitor.currentIncidentId,
+          });
+        } else if (monitor.currentIncidentId) {
+          // Recovery notices are off, but paged on-call incidents must still resolve
+          // (including those paged by escalation steps)
+          await dispatchNotification(
+            "monitor.recovery",
+            monitor,
+            { downtimeDuration },
+            { onCallOnly: true },
+          );
         }
 
         // Reset alert tracking on recovery
@@ -132,6 +343,11 @@ export async function checkSingleMonitor(monitor) {
         monitor.lastAlertSentAt = null;
       }
 
+      // Close the outage's incident (also covers monitors resumed while down)
+      if (monitor.currentIncidentId && !recovering && !isFlapping) {
+        await resolveIncident(monitor);
+      }
+
       // Trigger initial security scan for new monitors
       const isNewMonitor = previousStatus === "unknown";
       const hasNeverBeenScanned = !monitor.lastSecurityScan;
@@ -156,8 +372,13 @@ export async function checkSingleMonitor(monitor) {
           });
       }
 
-      // Handle warnings (e.g., HTTP errors like 4xx, 5xx)
-      if (result.warning) {
+      // Handle probe failures and warnings (e.g., HTTP errors like 4xx, 5xx)
+      if (degradedError) {
+        monitor.lastError = degradedError;
+        console.log(
+          `⚠ Monitor "${monitor.name}" is DEGRADED - ${degradedError} (${responseTime}ms)`,
+        );
+      } else if (result.warning) {
         monitor.lastError = result.warning;
         console.log(
           `⚠ Monitor "${monitor.name}" is UP but returned: ${result.warning} (${responseTime}ms)`,
@@ -168,100 +389,106 @@ export async function checkSingleMonitor(monitor) {
       }
     } else {
       // Server is offline
-      const wasOnline = previousStatus === "online";
+      const wasOnline =
+        previousStatus === "online" || previousStatus === "degraded";
 
-      monitor.status = "offline";
+      monitor.status = isFlapping ? "flapping" : "offline";
       monitor.responseTime = responseTime;
       monitor.lastError = result.error || "Connection failed";
-      monitor.failedChecks += 1;
-      monitor.consecutiveFailures += 1;
+      monitor.consecutiveSuccesses = 0;
+      if (!inMaintenance) {
+        monitor.failedChecks += 1;
+        monitor.consecutiveFailures += 1;
+        monitor.failingSince = monitor.failingSince || new Date();
+      }
 
-      // Detect online -> offline transition
-      if (wasOnline) {
+      // Detect online -> offline transition, or flapping settling offline
+      if (wasOnline || settled) {
         statusChanged = true;
         monitor.lastStatusChangeAt = new Date();
         monitor.lastDowntime = new Date();
       }
 
-      // Send initial downtime alert after 2-3 consecutive failures
-      const shouldSendInitialAlert =
-        monitor.consecutiveFailures >= 2 && previousConsecutiveFailures < 2;
-
-      if (shouldSendInitialAlert && monitor.alertsEnabled) {
-        try {
-          const user = await User.findById(monitor.userId);
-          if (user) {
-            // Send email alert
-            await sendMonitorDownAlert(monitor, user, false);
-            console.log(
-              `📧 Initial downtime email sent for monitor "${monitor.name}"`,
-            );
+      // Settling offline alerts like a fresh outage
+      if (settled) {
+        monitor.alertsSentCount = 0;
+        monitor.lastAlertSentAt = null;
+      }
 
-            // Send SMS alert
-            const smsResult = await sendMonitorDownSMS(monitor, user, false);
-            if (smsResult) {
-              console.log(
-                `📱 Initial downtime SMS sent for monitor "${monitor.name}"`,
-              );
-            } else {
-              console.log(
-                `📱 Initial downtime SMS skipped for monitor "${monitor.name}" (check SMS Service logs)`,
-              );
-            }
-
-            monitor.lastAlertSentAt = new Date();
-            monitor.alertsSentCount = 1;
-          }
-        } catch (alertError) {
-          console.error(
-            `Failed to send downtime alerts for ${monitor.name}:`,
-            alertError,
-          );
+      // Open an incident when the outage starts, otherwise add to the open one
+      // Planned downtime doesn't open incidents, but an outage already in progress keeps recording
+      if (!monitor.currentIncidentId) {
+        if (!inMaintenance) {
+          await openIncident(monitor, monitor.lastError);
         }
+      } else {
+        await recordIncidentError(monitor, monitor.lastError);
+      }
+
+      // Send the initial downtime alert once the failure streak reaches the policy's
+      // threshold and the outage has lasted at least the escalation delay
+      const outageMinutes = (Date.now() - monitor.failingSince) / (1000 * 60);
+      const shouldSendInitialAlert =
+        monitor.alertsSentCount === 0 &&
+        monitor.consecutiveFailures >= alertPolicy.failureThreshold &&
+        outageMinutes >= alertPolicy.escalationDelayMinutes;
+
+      if (
+        shouldSendInitialAlert &&
+        monitor.alertsEnabled &&
+        !inMaintenance &&
+        !isFlapping
+      ) {
+        // Monitors with an escalation policy notify through its steps instead,
+        // apart from webhooks, which always receive the down event
+        const escalated = await startEscalation(monitor);
+        await dispatchNotification(
+          "monitor.down",
+          monitor,
+          {
+            error: monitor.lastError,
+            consecutiveFailures: monitor.consecutiveFailures,
+            failingSince: monitor.failingSince,
+            incidentId: monitor.currentIncidentId,
+          },
+          { webhooksOnly: escalated },
+        );
+
+        monitor.lastAlertSentAt = new Date();
+        monitor.alertsSentCount = 1;
       }
 
       // Log failure
       console.log(
-        `✗ Monitor "${monitor.name}" is OFFLINE (${responseTime}ms) - ${monitor.lastError}`,
+        `✗ Monitor "${monitor.name}" is OFFLINE (${responseTime}ms) - ${monitor.lastError}${inMaintenance ? " [maintenance]" : ""}`,
       );
     }
 
-    // Check if daily reminder should be sent (for monitors still offline)
-    if (monitor.status === "offline" && shouldSendDailyReminder(monitor)) {
-      try {
-        const user = await User.findById(monitor.userId);
-        if (user) {
-          // Send email reminder
-          await sendMonitorDownAlert(monitor, user, true); // isReminder = true
-          console.log(
-            `📧 Daily reminder email sent for monitor "${monitor.name}" (alert #${monitor.alertsSentCount + 1})`,
-          );
-
-          // Send SMS reminder
-          const smsResult = await sendMonitorDownSMS(monitor, user, true); // isReminder = true
-          if (smsResult) {
-            console.log(
-              `📱 Daily reminder SMS sent for monitor "${monitor.name}" (alert #${monitor.alertsSentCount + 1})`,
-            );
-          } else {
-            console.log(
-              `📱 Daily reminder SMS skipped for monitor "${monitor.name}" (check SMS Service logs)`,
-            );
-          }
+    // One flapping notification replaces the per-transition alerts
+    if (flapState === "started") {
+      statusChanged = true;
+      monitor.lastStatusChangeAt = new Date();
+      await startFlapping(monitor);
+    }
 
-          monitor.lastAlertSentAt = new Date();
-          monitor.alertsSentCount += 1;
-        }
-      } catch (alertError) {
-        console.error(
-          `Failed to send reminder alerts for ${monitor.name}:`,
-          alertError,
-        );
-      }
+    // Check if daily reminder should be sent (for monitors still offline)
+    // Acknowledged incidents are being handled, so they don't get reminders
+    if (
+      monitor.status === "offline" &&
+      !inMaintenance &&
+      shouldSendDailyReminder(monitor) &&
+      !(await isIncidentAcknowledged(monitor))
+    ) {
+      await dispatchNotification("monitor.reminder", monitor, {
+        error: monitor.lastError,
+      });
+
+      monitor.lastAlertSentAt = new Date();
+      monitor.alertsSentCount += 1;
     }
 
     // Update average response time
-    if (isUp) {
+    if (isUp && !inMaintenance) {
       if (monitor.totalChecks === 1) {
         monitor.averageResponseTime = responseTime;
       } else {
@@ -279,6 +506,19 @@ export async function checkSingleMonitor(monitor) {
     // Save the updated monitor
     await monitor.save();
 
+    await recordCheckResult(monitor, {
+      isUp,
+      degraded: !!degradedError,
+      responseTime,
+      statusCode: result.statusCode,
+      error: isUp ? degradedError || null : monitor.lastError,
+      warning: result.warning,
+      attempts: result.attempts,
+      toolCount: result.tools?.length,
+      probeResults: probeOutcome?.results,
+      inMaintenance,
+    });
+
     const checkResult = {
       monitorId: monitor._id,
       name: monitor.name,
@@ -289,6 +529,7 @@ export async function checkSingleMonitor(monitor) {
       warning: result.warning,
       statusCode: result.statusCode,
       statusChanged,
+      inMaintenance,
     };
 
     // Broadcast update to WebSocket clients
@@ -304,6 +545,13 @@ export async function checkSingleMonitor(monitor) {
       lastCheckedAt: monitor.lastCheckedAt,
       lastError: monitor.lastError,
       consecutiveFailures: monitor.consecutiveFailures,
+      consecutiveSuccesses: monitor.consecutiveSuccesses,
+      currentIncidentId: monitor.currentIncidentId,
+      inMaintenance: monitor.inMaintenance,
+      prompts: monitor.prompts,
+      resources: monitor.resources,
+      resourceTemplates: monitor.resourceTemplates,
+      lastToolsSync: monitor.lastToolsSync,
     });
 
     return checkResult;
@@ -311,14 +559,18 @@ export async function checkSingleMonitor(monitor) {
     const responseTime = Date.now() - startTime;
     const previousStatus = monitor.status;
 
-    // Update monitor with error
+    // Update monitor with error (a flapping monitor keeps its status until it settles)
     monitor.lastCheckedAt = new Date();
-    monitor.totalChecks += 1;
-    monitor.status = "offline";
+    monitor.status = monitor.flappingSince ? "flapping" : "offline";
     monitor.responseTime = responseTime;
     monitor.lastError = error.message;
-    monitor.failedChecks += 1;
-    monitor.consecutiveFailures += 1;
+    monitor.consecutiveSuccesses = 0;
+    if (!inMaintenance) {
+      monitor.totalChecks += 1;
+      monitor.failedChecks += 1;
+      monitor.consecutiveFailures += 1;
+      monitor.failingSince = monitor.failingSince || new Date();
+    }
     monitor.uptimePercentage = monitor.calculateUptime();
 
     // Track status change for exception case
@@ -327,8 +579,23 @@ export async function checkSingleMonitor(monitor) {
       monitor.lastDowntime = new Date();
     }
 
+    if (!monitor.currentIncidentId) {
+      if (!inMaintenance) {
+        await openIncident(monitor, error.message);
+      }
+    } else {
+      await recordIncidentError(monitor, error.message);
+    }
+
     await monitor.save();
 
+    await recordCheckResult(monitor, {
+      isUp: false,
+      responseTime,
+      error: error.message,
+      inMaintenance,
+    });
+
     console.error(`✗ Monitor "${monitor.name}" check failed: ${error.message}`);
 
     const errorResult = {
@@ -338,6 +605,7 @@ export async function checkSingleMonitor(monitor) {
       responseTime,
       isUp: false,
       error: error.message,
+      inMaintenance,
     };
 
     // Broadcast error update to WebSocket clients
@@ -353,6 +621,13 @@ export async function checkSingleMonitor(monitor) {
       lastCheckedAt: monitor.lastCheckedAt,
       lastError: monitor.lastError,
       consecutiveFailures: monitor.consecutiveFailures,
+      consecutiveSuccesses: monitor.consecutiveSuccesses,
+      currentIncidentId: monitor.currentIncidentId,
+      inMaintenance: monitor.inMaintenance,
+      prompts: monitor.prompts,
+      resources: monitor.resources,
+      resourceTemplates: monitor.resourceTemplates,
+      lastToolsSync: monitor.lastToolsSync,
     });
 
     return errorResult;
@@ -360,14 +635,133 @@ export async function checkSingleMonitor(monitor) {
 }
 
 /**
- * Check all active monitors in parallel
+ * Claim monitors for this instance so no other API instance checks them concurrently
+ * @param {Array} monitorIds - Candidate monitor IDs
+ * @param {Object} filter - Extra conditions the monitor must still match when claimed
+ * @returns {Promise<Array>} - Monitor documents this instance successfully claimed
+ */
+async function claimMonitors(monitorIds, filter = {}) {
+  const owner = getInstanceId();
+
+  const claimed = await Promise.all(
+    monitorIds.map((monitorId) =>
+      Monitor.claimForCheck(monitorId, owner, CHECK_CLAIM_TTL_MS, filter),
+    ),
+  );
+
+  return claimed.filter(Boolean);
+}
+
+/**
+ * Run checks for a set of monitors through the check pool and summarize the outcome
+ * Checks can wait in the pool for longer than a claim lasts, so each claim is
+ * renewed when its check starts, and the check is skipped if the claim was lost
+ * @param {Array} monitors - Monitor documents (with authToken selected)
+ * @param {Object} options - { jitterMs: max random delay before each check }
+ * @returns {Promise<Object>} - Summary with successful and failed counts
+ */
+async function runChecks(monitors, { jitterMs = 0 } = {}) {
+  // Queue every check on the pool, which caps global and per-host concurrency
+  // Each check waits a random offset first so due checks don't all fire in the same second
+  const results = await Promise.allSettled(
+    monitors.map(async (monitor) => {
+      if (jitterMs > 0) {
+        const delay = Math.floor(Math.random() * jitterMs);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      try {
+        return await checkPool.run(getMonitorHost(monitor), async () => {
+          const renewed = await Monitor.renewCheckClaim(
+            monitor._id,
+            getInstanceId(),
+            CHECK_CLAIM_TTL_MS,
+          );
+          if (!renewed) {
+            console.log(
+              `Skipping ${monitor.name}: another instance took its check claim while it was queued`,
+            );
+            return null;
+          }
+          return checkSingleMonitor(monitor);
+        });
+      } finally {
+        await Monitor.releaseCheckClaim(monitor._id, getInstanceId()).catch(
+          (error) => {
+            console.error(
+              `Failed to release check claim for ${monitor.name}:`,
+              error.message,
+            );
+          },
+        );
+      }
+    }),
+  );
+
+  // Process results and count successes/failures
+  let successful = 0;
+  let failed = 0;
+  let skipped = 0;
+  const checkResults = [];
+
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      const checkResult = result.value;
+      if (!checkResult) {
+        skipped++;
+        return;
+      }
+      checkResults.push(checkResult);
+
+      if (checkResult.isUp) {
+        successful++;
+      } else {
+        failed++;
+      }
+    } else {
+      // Promise was rejected
+      failed++;
+      console.error(
+        `Failed to check monitor ${monitors[index].name}: ${result.reason}`,
+      );
+      checkResults.push({
+        monitorId: monitors[index]._id,
+        name: monitors[index].name,
+        status: "offline",
+        isUp: false,
+        error: result.reason?.message || "Unknown error",
+      });
+    }
+  });
+
+  // Log summary
+  console.log(`\n--- Check Summary ---`);
+  console.log(`Total monitors checked: ${monitors.length - skipped}`);
+  console.log(`Successful: ${successful}`);
+  console.log(`Failed: ${failed}`);
+  if (skipped > 0) {
+    console.log(`Skipped (claimed by another instance): ${skipped}`);
+  }
+  console.log(`-------------------\n`);
+
+  return {
+    successful,
+    failed,
+    total: monitors.length - skipped,
+    results: checkResults,
+  };
+}
+
+/**
+ * Check all active monitors in parallel, regardless of their check interval
  * @returns {Promise<Object>} - Summary with successful and failed counts
  */
 export async function checkAllMonitors() {
   try {
-    // Query all active monitors from the database (include authToken for decryption)
-    const monitors = await Monitor.find({ isActive: true }).select(
-      "+authToken",
+    // Query all active monitors, then claim them so other instances skip them
+    const candidates = await Monitor.find({ isActive: true }).select("_id");
+    const monitors = await claimMonitors(
+      candidates.map((monitor) => monitor._id),
+      { isActive: true },
     );
 
     if (monitors.length === 0) {
@@ -382,57 +776,46 @@ export async function checkAllMonitors() {
 
     console.log(`\nChecking ${monitors.length} active monitor(s)...`);
 
-    // Check all monitors in parallel using Promise.allSettled
-    const results = await Promise.allSettled(
-      monitors.map((monitor) => checkSingleMonitor(monitor)),
-    );
+    return await runChecks(monitors);
+  } catch (error) {
+    console.error("Error in checkAllMonitors:", error);
+    throw error;
+  }
+}
 
-    // Process results and count successes/failures
-    let successful = 0;
-    let failed = 0;
-    const checkResults = [];
+/**
+ * Check only the active monitors whose own checkInterval has elapsed
+ * @param {Object} options - Scheduling options
+ * @param {number} options.graceMs - How early a check may run (usually one scheduler tick)
+ * @param {number} options.jitterMs - Max random delay used to spread due checks
+ * @returns {Promise<Object>} - Summary with successful and failed counts
+ */
+export async function checkDueMonitors({ graceMs = 0, jitterMs = 0 } = {}) {
+  try {
+    // Claims re-apply the due filter, so a monitor another instance just
+    // checked (or is checking) is skipped here
+    const now = new Date();
+    const candidates = await Monitor.findDue(now, graceMs).select("_id");
+    const monitors = await claimMonitors(
+      candidates.map((monitor) => monitor._id),
+      Monitor.dueFilter(now, graceMs),
+    );
 
-    results.forEach((result, index) => {
-      if (result.status === "fulfilled") {
-        const checkResult = result.value;
-        checkResults.push(checkResult);
+    if (monitors.length === 0) {
+      console.log("No monitors due for a check");
+      return {
+        successful: 0,
+        failed: 0,
+        total: 0,
+        results: [],
+      };
+    }
 
-        if (checkResult.isUp) {
-          successful++;
-        } else {
-          failed++;
-        }
-      } else {
-        // Promise was rejected
-        failed++;
-        console.error(
-          `Failed to check monitor ${monitors[index].name}: ${result.reason}`,
-        );
-        checkResults.push({
-          monitorId: monitors[index]._id,
-          name: monitors[index].name,
-          status: "offline",
-          isUp: false,
-          error: result.reason?.message || "Unknown error",
-        });
-      }
-    });
+    console.log(`\nChecking ${monitors.length} due monitor(s)...`);
 
-    // Log summary
-    console.log(`\n--- Check Summary ---`);
-    console.log(`Total monitors checked: ${monitors.length}`);
-    console.log(`Successful: ${successful}`);
-    console.log(`Failed: ${failed}`);
-    console.log(`-------------------\n`);
-
-    return {
-      successful,
-      failed,
-      total: monitors.length,
-      results: checkResults,
-    };
+    return await runChecks(monitors, { jitterMs });
   } catch (error) {
-    console.error("Error in checkAllMonitors:", error);
+    console.error("Error in checkDueMonitors:", error);
     throw error;
   }
 }
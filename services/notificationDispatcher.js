@@ -0,0 +1,517 @@
+/**
+ * Notification Dispatcher
+ * Single entry point for monitor and security notifications
+ * The user's first matching routing rule picks the channels and replaces the
+ * default routing entirely; without a match the default routing applies (account
+ * email + SMS + the monitor's own channels + the user's webhooks subscribed to
+ * the event)
+ * Recoveries also go to every on-call channel paged for the incident, whichever
+ * rule or escalation step paged it, so on-call incidents always resolve
+ * During the user's quiet hours non-critical email/SMS is held for the digest
+ */
+
+import User from "../models/User.js";
+import NotificationChannel, {
+  DIRECT_CHANNEL_TYPES,
+  ON_CALL_CHANNEL_TYPES,
+} from "../models/NotificationChannel.js";
+import NotificationRule, {
+  EVENT_SEVERITIES,
+} from "../models/NotificationRule.js";
+import Webhook from "../models/Webhook.js";
+import {
+  sendMonitorDownAlert,
+  sendMonitorRecoveryAlert,
+  sendMonitorFlappingAlert,
+  sendToolsChangedAlert,
+  sendSecurityAlert,
+} from "./emailService.js";
+import {
+  sendMonitorDownSMS,
+  sendMonitorRecoverySMS,
+  sendMonitorFlappingSMS,
+  sendToolsChangedSMS,
+  sendSecurityAlertSMS,
+} from "./smsService.js";
+import { sendChannelAlert } from "./chatAlertService.js";
+import { deliverWebhook, buildEventPayload } from "./webhookService.js";
+import Incident from "../models/Incident.js";
+import { recordIncidentAlert } from "./incidentService.js";
+import { shouldHold, recordDigestEntry } from "./digestService.js";
+
+// Alert type shown in incident timelines and chat messages, per event
+const ALERT_TYPES = {
+  "monitor.down": "down",
+  "monitor.reminder": "reminder",
+  "monitor.recovery": "recovery",
+  "monitor.flapping": "flapping",
+  "security.alert": "security",
+  "tools.changed": "tools",
+};
+
+// Events only webhooks receive - the other channels have no message for them
+const WEBHOOK_ONLY_EVENTS = ["security.risk_changed"];
+
+/**
+ * Get the severity rules and quiet hours see for a notification
+ * @param {string} type - Event (see NOTIFICATION_EVENTS)
+ * @param {Object} data - Event data
+ * @returns {string} - Severity (see NOTIFICATION_SEVERITIES)
+ */
+function getSeverity(type, data) {
+  // Security events take the scan's risk level - a safe scan is informational
+  if (data.riskLevel) {
+    return data.riskLevel === "safe" ? "info" : data.riskLevel;
+  }
+  return EVENT_SEVERITIES[type];
+}
+
+/**
+ * Send an email for a notification
+ * @param {Object} channel - Email channel (document or default destination)
+ * @param {Object} notification - { type, monitor, user, data }
+ * @returns {Promise<boolean>} - True if sent
+ */
+async function sendEmail(channel, { type, monitor, user, data }) {
+  switch (type) {
+    case "monitor.down":
+    case "monitor.reminder":
+      return !!(await sendMonitorDownAlert(
+        monitor,
+        user,
+        type === "monitor.reminder",
+        channel.email,
+      ));
+    case "monitor.recovery":
+      return !!(await sendMonitorRecoveryAlert(
+        monitor,
+        user,
+        data.downtimeDuration,
+        channel.email,
+      ));
+    case "monitor.flapping":
+      return !!(await sendMonitorFlappingAlert(
+        monitor,
+        user,
+        data,
+        channel.email,
+      ));
+    case "tools.changed":
+      return !!(await sendToolsChangedAlert(
+        monitor,
+        user,
+        data,
+        channel.email,
+      ));
+    default:
+      return !!(await sendSecurityAlert({
+        email: channel.email || monitor.alertEmail || user.email,
+        monitorName: monitor.name,
+        monitorUrl: monitor.url,
+        riskLevel: data.riskLevel,
+        totalScanned: data.totalScanned,
+        unsafeCount: data.unsafeCount,
+        highSeverityFindings: data.highSeverityFindings,
+        scanDate: data.scanDate,
+        message: data.message,
+      }));
+  }
+}
+
+/**
+ * Send an SMS for a notification
+ * @param {Object} notification - { type, monitor, user, data }
+ * @returns {Promise<boolean>} - True if sent
+ */
+async function sendSMS({ type, monitor, user, data }) {
+  switch (type) {
+    case "monitor.down":
+    case "monitor.reminder":
+      return !!(await sendMonitorDownSMS(
+        monitor,
+        user,
+        type === "monitor.reminder",
+      ));
+    case "monitor.recovery":
+      return !!(await sendMonitorRecoverySMS(
+        monitor,
+        user,
+        data.downtimeDuration,
+      ));
+    case "monitor.flapping":
+      return !!(await sendMonitorFlappingSMS(
+        monitor,
+        user,
+        data.stateChanges,
+        data.windowChecks,
+      ));
+    case "tools.changed":
+      return !!(await sendToolsChangedSMS(monitor, user, data));
+    default:
+      return !!(await sendSecurityAlertSMS(
+        monitor,
+        user,
+        data.riskLevel,
+        data.unsafeCount,
+      ));
+  }
+}
+
+/**
+ * Send a notification to one channel
+ * Never throws - a failing channel must not stop the others
+ * @param {Object} channel - NotificationChannel document or default destination ({ type })
+ * @param {Object} notification - { type, monitor, user, data }
+ * @returns {Promise<boolean>} - True if sent
+ */
+async function sendToChannel(channel, notification) {
+  try {
+    if (channel.type === "webhook") {
+      const delivery = await deliverWebhook(
+        channel.webhook,
+        notification.type,
+        buildEventPayload(
+          notification.type,
+          notification.monitor,
+          notification.data,
+        ),
+      );
+      // Failed first attempts are retried by the webhook retry worker
+      return delivery.status === "success";
+    }
+
+    if (channel.type === "email" || channel.type === "sms") {
+      const sent =
+        channel.type === "email"
+          ? await sendEmail(channel, notification)
+          : await sendSMS(notification);
+
+      if (sent && channel._id) {
+        await NotificationChannel.updateOne(
+          { _id: channel._id },
+          { $set: { lastUsedAt: new Date(), lastError: null } },
+        );
+      }
+      return sent;
+    }
+
+    // Reminders repeat the down alert on chat and on-call platforms
+    const alertType = ALERT_TYPES[notification.type];
+    const { success } = await sendChannelAlert(channel, {
+      ...notification.data,
+      type: alertType === "reminder" ? "down" : alertType,
+      monitor: notification.monitor,
+    });
+    return success;
+  } catch (error) {
+    console.error(
+      `[Notification Dispatcher] Failed to send ${notification.type} to ${channel.type}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
+/**
+ * Build the default destinations used when no routing rule matches
+ * Reminders only go to email and SMS, and security alerts and tool changes never
+ * page on-call channels
+ * @param {Object} notification - { type, monitor }
+ * @returns {Promise<Array>} - Channels and default destinations
+ */
+async function getDefaultChannels({ type, monitor }) {
+  // Every webhook subscribed to the event, as if the user had routed it there
+  const webhooks = await Webhook.findSubscribed(
+    monitor.userId,
+    type,
+    monitor._id,
+  );
+  const channels = webhooks.map((webhook) => ({ type: "webhook", webhook }));
+
+  if (WEBHOOK_ONLY_EVENTS.includes(type)) {
+    return channels;
+  }
+
+  if (type === "security.alert") {
+    // Security alerts go to the monitor's alert email only
+    if (monitor.alertEmail) {
+      channels.push({ type: "email", email: monitor.alertEmail });
+    }
+  } else {
+    channels.push({ type: "email" }, { type: "sms" });
+  }
+
+  if (type !== "monitor.reminder" && monitor.notificationChannels?.length) {
+    const query = {
+      _id: { $in: monitor.notificationChannels },
+      userId: monitor.userId,
+      isActive: true,
+    };
+    if (type === "security.alert" || type === "tools.changed") {
+      query.type = { $nin: ON_CALL_CHANNEL_TYPES };
+    }
+
+    channels.push(
+      ...(await NotificationChannel.find(query).select("+webhookUrl +apiKey")),
+    );
+  }
+
+  return channels;
+}
+
+/**
+ * Load the on-call channels that were paged for the monitor's open incident
+ * @param {Object} monitor - Monitor document
+ * @returns {Promise<Array>} - Active PagerDuty/Opsgenie NotificationChannel documents
+ */
+async function getPagedOnCallChannels(monitor) {
+  if (!monitor.currentIncidentId) {
+    return [];
+  }
+
+  const incident = await Incident.findById(monitor.currentIncidentId).select(
+    "alerts",
+  );
+  const channelIds = (incident?.alerts || [])
+    .filter(
+      (alert) =>
+        alert.success &&
+        alert.channelId &&
+        ON_CALL_CHANNEL_TYPES.includes(alert.channel),
+    )
+    .map((alert) => alert.channelId);
+
+  if (channelIds.length === 0) {
+    return [];
+  }
+
+  return NotificationChannel.find({
+    _id: { $in: channelIds },
+    userId: monitor.userId,
+    type: { $in: ON_CALL_CHANNEL_TYPES },
+    isActive: true,
+  }).select("+apiKey");
+}
+
+/**
+ * Load the webhooks behind webhook channels and keep only those subscribed to the
+ * event and watching the monitor, so routing never bypasses a webhook's filters
+ * Non-webhook channels are dropped for events only webhooks receive
+ * @param {Array} channels - NotificationChannel documents or default destinations
+ * @param {string} type - Event (see NOTIFICATION_EVENTS)
+ * @param {Object} monitor - Monitor document
+ * @returns {Promise<Array>} - Channels, with webhook channels as { type, webhook }
+ */
+async function resolveWebhookChannels(channels, type, monitor) {
+  const webhookIds = channels
+    .filter((channel) => channel.type === "webhook" && !channel.webhook)
+    .map((channel) => channel.webhookId);
+
+  const webhooks = webhookIds.length
+    ? await Webhook.find({
+        _id: { $in: webhookIds },
+        userId: monitor.userId,
+      }).select("+secret")
+    : [];
+
+  return channels.flatMap((channel) => {
+    if (channel.type !== "webhook") {
+      return WEBHOOK_ONLY_EVENTS.includes(type) ? [] : [channel];
+    }
+
+    const webhook =
+      channel.webhook ||
+      webhooks.find((candidate) => candidate._id.equals(channel.webhookId));
+    const subscribed =
+      webhook?.isActive &&
+      webhook.events.includes(type) &&
+      (webhook.monitorIds.length === 0 ||
+        webhook.monitorIds.some((id) => id.equals(monitor._id)));
+
+    return subscribed ? [{ _id: channel._id, type: "webhook", webhook }] : [];
+  });
+}
+
+/**
+ * Send a notification to a set of channels and record each outcome on the open incident
+ * Email and SMS are held during the user's quiet hours unless the alert is critical
+ * Webhook channels only receive the events their webhook is subscribed to
+ * Never throws - notification failures must not interrupt checks or scans
+ * @param {Array} channels - NotificationChannel documents or default destinations
+ * @param {string} type - Event (see NOTIFICATION_EVENTS)
+ * @param {Object} monitor - Monitor document
+ * @param {Object} data - Event data (error, downtimeDuration, riskLevel, findings...)
+ * @param {Object} options - { recordDigest: add the event to the user's digest }
+ * @returns {Promise<Array>} - [{ channel, success, held }] for each channel attempted or held
+ */
+export async function notifyChannels(
+  channels,
+  type,
+  monitor,
+  data = {},
+  { recordDigest = true } = {},
+) {
+  try {
+    const user = await User.findById(monitor.userId);
+    if (!user) {
+      return [];
+    }
+
+    channels = await resolveWebhookChannels(channels, type, monitor);
+
+    const severity = getSeverity(type, data);
+    const heldChannels = shouldHold(user, type, severity)
+      ? channels.filter((channel) =>
+          DIRECT_CHANNEL_TYPES.includes(channel.type),
+        )
+      : [];
+    const held = heldChannels.length > 0;
+
+    // Where the held emails would have gone, so their digest goes there instead
+    const recipients = user.emailAlertsEnabled
+      ? [
+          ...new Set(
+            heldChannels
+              .filter((channel) => channel.type === "email")
+              .map(
+                (channel) => channel.email || monitor.alertEmail || user.email,
+              ),
+          ),
+        ]
+      : [];
+
+    if (held) {
+      console.log(
+        `🌙 [Notification Dispatcher] Holding email/SMS ${type} for "${monitor.name}" until quiet hours end`,
+      );
+    }
+
+    const notification = { type, monitor, user, data };
+    const results = await Promise.all(
+      channels
+        .filter((channel) => !heldChannels.includes(channel))
+        .map(async (channel) => ({
+          channel,
+          success: await sendToChannel(channel, notification),
+        })),
+    );
+
+    // Only monitor events belong to an outage's incident
+    if (type.startsWith("monitor.")) {
+      for (const { channel, success } of results) {
+        await recordIncidentAlert(
+          monitor,
+          ALERT_TYPES[type],
+          channel.type,
+          success,
+          channel._id,
+        );
+      }
+    }
+
+    // Risk changes reach the digest through recordSecurityChange
+    if (recordDigest && !WEBHOOK_ONLY_EVENTS.includes(type)) {
+      await recordDigestEntry(user, monitor, type, data, {
+        severity,
+        held,
+        recipients,
+      });
+    }
+
+    // Held channels count as handled - the digest delivers them
+    return [
+      ...results,
+      ...heldChannels.map((channel) => ({ channel, success: false, held })),
+    ];
+  } catch (error) {
+    console.error(
+      `[Notification Dispatcher] Failed to send ${type} for ${monitor.name}:`,
+      error.message,
+    );
+    return [];
+  }
+}
+
+/**
+ * Route a notification through the user's rules and send it to each chosen channel
+ * Never throws - notification failures must not interrupt checks or scans
+ * @param {string} type - Event (see NOTIFICATION_EVENTS)
+ * @param {Object} monitor - Monitor document
+ * @param {Object} data - Event data (error, downtimeDuration, riskLevel, findings...)
+ * @param {Object} options - { onCallOnly: only send to PagerDuty/Opsgenie channels
+ *   (for recoveries, the ones paged for the incident), webhooksOnly: only send to webhook channels, for alerts an escalation policy
+ *   delivers to everything else }
+ * @returns {Promise<Array>} - [{ channel, success, held }] for each channel attempted or held
+ */
+export async function dispatchNotification(
+  type,
+  monitor,
+  data = {},
+  { onCallOnly = false, webhooksOnly = false } = {},
+) {
+  try {
+    const notification = {
+      type,
+      monitor,
+      severity: getSeverity(type, data),
+      at: new Date(),
+    };
+
+    const rule = await NotificationRule.findMatching(
+      monitor.userId,
+      notification,
+    );
+
+    let channels = rule
+      ? await NotificationChannel.find({
+          _id: { $in: rule.channels },
+          userId: monitor.userId,
+          isActive: true,
+        }).select("+webhookUrl +apiKey")
+      : await getDefaultChannels(notification);
+
+    // Resolve every on-call channel that was paged, even if this recovery is
+    // routed differently from the outage
+    if (type === "monitor.recovery") {
+      const routed = onCallOnly ? [] : channels;
+      const paged = await getPagedOnCallChannels(monitor);
+      channels = [
+        ...routed,
+        ...paged.filter(
+          (channel) =>
+            !routed.some((candidate) => candidate._id?.equals(channel._id)),
+        ),
+      ];
+    }
+
+    if (onCallOnly) {
+      channels = channels.filter((channel) =>
+        ON_CALL_CHANNEL_TYPES.includes(channel.type),
+      );
+      if (channels.length === 0) {
+        return [];
+      }
+    } else if (webhooksOnly) {
+      channels = channels.filter((channel) => channel.type === "webhook");
+    }
+
+    console.log(
+      `[Notification Dispatcher] ${type} for "${monitor.name}" routed ${rule ? `by rule "${rule.name}"` : "by default"} to ${channels.length} channel(s)`,
+    );
+
+    return notifyChannels(channels, type, monitor, data, {
+      recordDigest: !webhooksOnly,
+    });
+  } catch (error) {
+    console.error(
+      `[Notification Dispatcher] Failed to dispatch ${type} for ${monitor.name}:`,
+      error.message,
+    );
+    return [];
+  }
+}
+
+export default {
+  notifyChannels,
+  dispatchNotification,
+};
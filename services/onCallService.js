@@ -0,0 +1,280 @@
+/**
+ * On-Call Service
+ * Opens and auto-resolves PagerDuty (Events API v2) and Opsgenie incidents for monitor outages
+ * Each outage uses a stable dedup key, so repeated triggers update one incident
+ * and the recovery resolves exactly that incident
+ * Security alerts routed here open one incident per monitor that stays open for review
+ */
+
+// API endpoints - override to point integrations at a local stub server
+const PAGERDUTY_EVENTS_URL =
+  process.env.PAGERDUTY_EVENTS_URL || "https://events.pagerduty.com/v2/enqueue";
+const OPSGENIE_API_URLS = {
+  us: process.env.OPSGENIE_API_URL || "https://api.opsgenie.com",
+  eu: process.env.OPSGENIE_EU_API_URL || "https://api.eu.opsgenie.com",
+};
+
+// Per-request timeout for on-call APIs
+const ON_CALL_TIMEOUT_MS = 10000;
+
+// Opsgenie rejects alert messages longer than this
+const OPSGENIE_MAX_MESSAGE_LENGTH = 130;
+
+// PagerDuty severity and Opsgenie priority per security risk level
+const SECURITY_SEVERITIES = {
+  critical: { severity: "critical", priority: "P1" },
+  high: { severity: "error", priority: "P2" },
+};
+
+/**
+ * Default HTTP client - POSTs JSON with fetch
+ * @param {string} url - Request URL
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} - { status, data }
+ */
+async function fetchJsonClient(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(ON_CALL_TIMEOUT_MS),
+  });
+
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Keep non-JSON responses as text
+  }
+
+  return { status: response.status, data };
+}
+
+let httpClient = fetchJsonClient;
+
+/**
+ * Replace the HTTP client used for on-call APIs (e.g. with a stub in tests)
+ * @param {Function|null} client - async (url, body, headers) => { status, data }, or null to restore the default
+ */
+export function setOnCallHttpClient(client) {
+  httpClient = client || fetchJsonClient;
+}
+
+/**
+ * Build the dedup key shared by every event for one monitor outage
+ * @param {Object} monitor - Monitor document
+ * @returns {string} - Dedup key / alias
+ */
+export function getDedupKey(monitor) {
+  return `mcpmon-${monitor._id}-${monitor.currentIncidentId || "outage"}`;
+}
+
+/**
+ * Build the platform-neutral content of an on-call alert
+ * @param {Object} alert - { type: down|flapping|security|tools|test, monitor, error, riskLevel, unsafeCount, stateChanges, windowChecks, version, added, removed, changed }
+ * @returns {Object} - { summary, description, severity, priority }
+ */
+function describeOnCallAlert(alert) {
+  const { type, monitor } = alert;
+
+  if (type === "test") {
+    return {
+      summary: "MCPMon test alert",
+      description: "MCPMon test alert",
+      severity: "info",
+      priority: "P5",
+    };
+  }
+
+  if (type === "security") {
+    const { severity, priority } = SECURITY_SEVERITIES[alert.riskLevel] || {
+      severity: "warning",
+      priority: "P3",
+    };
+    return {
+      summary: `${alert.riskLevel.toUpperCase()} security risk on ${monitor.name}`,
+      description: `${alert.unsafeCount ?? 0} unsafe tool(s) found in the latest security scan`,
+      severity,
+      priority,
+    };
+  }
+
+  if (type === "tools") {
+    return {
+      summary: `Tools changed on ${monitor.name}`,
+      description: `Catalog v${alert.version}: ${alert.added?.length ?? 0} added, ${alert.removed?.length ?? 0} removed, ${alert.changed?.length ?? 0} changed`,
+      severity: "warning",
+      priority: "P3",
+    };
+  }
+
+  if (type === "flapping") {
+    return {
+      summary: `${monitor.name} is flapping between online and offline`,
+      description: `${alert.stateChanges} state changes in the last ${alert.windowChecks} checks`,
+      severity: "warning",
+      priority: "P3",
+    };
+  }
+
+  return {
+    summary: `${monitor.name} is down: ${alert.error || "Connection failed"}`,
+    description: alert.error || "Connection failed",
+    severity: "critical",
+    priority: "P1",
+  };
+}
+
+/**
+ * Send the request and turn non-2xx responses into errors
+ * @param {string} platform - Platform name for error messages
+ * @param {string} url - Request URL
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} - Response data
+ */
+async function post(platform, url, body, headers) {
+  const { status, data } = await httpClient(url, body, headers);
+
+  if (status < 200 || status >= 300) {
+    const detail =
+      typeof data === "string" ? data : data?.message || JSON.stringify(data);
+    throw new Error(`${platform} returned ${status}: ${detail}`);
+  }
+
+  return data;
+}
+
+/**
+ * Trigger or resolve a PagerDuty incident via Events API v2
+ * @param {string} routingKey - Integration routing key
+ * @param {Object} alert - { type: down|flapping|recovery|security|test, monitor, error, dedupKey }
+ */
+async function sendPagerDutyEvent(routingKey, alert) {
+  const { type, monitor, dedupKey } = alert;
+
+  if (type === "recovery") {
+    await post("PagerDuty", PAGERDUTY_EVENTS_URL, {
+      routing_key: routingKey,
+      event_action: "resolve",
+      dedup_key: dedupKey,
+    });
+    return;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const { summary, severity } = describeOnCallAlert(alert);
+
+  await post("PagerDuty", PAGERDUTY_EVENTS_URL, {
+    routing_key: routingKey,
+    event_action: "trigger",
+    dedup_key: dedupKey,
+    payload: {
+      summary,
+      source: monitor?.url || "mcpmon",
+      severity,
+      timestamp: new Date().toISOString(),
+      component: monitor?.name,
+      group: "mcpmon",
+      custom_details: monitor
+        ? {
+            monitorId: monitor._id.toString(),
+            error: alert.error,
+            consecutiveFailures: monitor.consecutiveFailures,
+          }
+        : {},
+    },
+    links: monitor
+      ? [
+          {
+            href: `${frontendUrl}/monitors/${monitor._id}`,
+            text: "View in MCPMon",
+          },
+        ]
+      : [],
+  });
+}
+
+/**
+ * Create or close an Opsgenie alert
+ * @param {string} apiKey - Opsgenie API integration key
+ * @param {string} region - Opsgenie instance (us or eu)
+ * @param {Object} alert - { type: down|flapping|recovery|security|test, monitor, error, dedupKey }
+ */
+async function sendOpsgenieAlert(apiKey, region, alert) {
+  const { type, monitor, dedupKey } = alert;
+  const baseUrl = OPSGENIE_API_URLS[region] || OPSGENIE_API_URLS.us;
+  const headers = { Authorization: `GenieKey ${apiKey}` };
+
+  if (type === "recovery") {
+    await post(
+      "Opsgenie",
+      `${baseUrl}/v2/alerts/${encodeURIComponent(dedupKey)}/close?identifierType=alias`,
+      { source: "MCPMon", note: "Monitor is back online" },
+      headers,
+    );
+    return;
+  }
+
+  const { summary, description, priority } = describeOnCallAlert(alert);
+
+  await post(
+    "Opsgenie",
+    `${baseUrl}/v2/alerts`,
+    {
+      message: summary.slice(0, OPSGENIE_MAX_MESSAGE_LENGTH),
+      alias: dedupKey,
+      description,
+      source: "MCPMon",
+      entity: monitor?.name,
+      priority,
+      details: monitor
+        ? { monitorId: monitor._id.toString(), url: monitor.url }
+        : {},
+    },
+    headers,
+  );
+}
+
+/**
+ * Send a down, flapping, recovery, security, tools or test alert to an on-call channel
+ * Throws on failure - callers record the outcome on the channel
+ * @param {Object} channel - NotificationChannel document (with apiKey selected)
+ * @param {Object} alert - { type, monitor, error, riskLevel, unsafeCount }
+ */
+export async function sendOnCallAlert(channel, alert) {
+  let dedupKey;
+  if (alert.type === "test") {
+    dedupKey = `mcpmon-test-${channel._id}`;
+  } else if (alert.type === "security") {
+    dedupKey = `mcpmon-${alert.monitor._id}-security`;
+  } else if (alert.type === "tools") {
+    dedupKey = `mcpmon-${alert.monitor._id}-tools-v${alert.version}`;
+  } else {
+    dedupKey = getDedupKey(alert.monitor);
+  }
+
+  const apiKey = channel.getDecryptedApiKey();
+  const send = (event) =>
+    channel.type === "pagerduty"
+      ? sendPagerDutyEvent(apiKey, event)
+      : sendOpsgenieAlert(apiKey, channel.region, event);
+
+  await send({ ...alert, dedupKey });
+
+  // Don't leave test incidents open on the on-call schedule
+  if (alert.type === "test") {
+    await send({ ...alert, type: "recovery", dedupKey });
+  }
+}
+
+export default {
+  setOnCallHttpClient,
+  getDedupKey,
+  sendOnCallAlert,
+};
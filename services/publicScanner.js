@@ -1,48 +1,11 @@
-import axios from "axios";
+import { runAnalyzers, DEFAULT_ANALYZERS } from "./analyzers/index.js";
+import { prepareAuthConfig } from "./analyzers/remoteAnalyzer.js";
 
-/**
- * Get scanner configuration
- * @returns {Object} Scanner configuration
- */
-function getScannerConfig() {
-  return {
-    baseUrl: process.env.MCP_SCANNER_URL || "https://mcpscan.onrender.com",
-    apiKey: process.env.MCP_SCANNER_API_KEY,
-  };
-}
+// Moved to the remote analyzer, still exported here for existing callers
+export { prepareAuthConfig };
 
-// Default analyzers to use for scans
-const DEFAULT_ANALYZERS = ["yara"];
-
-/**
- * Prepare authentication configuration for the MCP server
- * Extracted from securityScanner.js for reuse in public scans
- * @param {Object} monitor - Monitor-like object with auth details
- * @returns {Object} Auth configuration for scanner API
- */
-export function prepareAuthConfig(monitor) {
-  if (!monitor.requiresAuth) {
-    return { type: "none" };
-  }
-
-  const decryptedToken = monitor.getDecryptedAuthToken();
-  const headerName = monitor.authHeader || "Authorization";
-
-  // If using standard Authorization header, send as bearer token
-  if (headerName === "Authorization") {
-    return {
-      type: "bearer",
-      bearer_token: decryptedToken,
-    };
-  }
-
-  // Otherwise send as API key with custom header
-  return {
-    type: "apikey",
-    api_key: decryptedToken,
-    api_key_header: headerName,
-  };
-}
+// Shorter than regular scans, since the visitor is waiting on the landing page
+const PUBLIC_SCAN_TIMEOUT_MS = 120000; // 2 minutes
 
 /**
  * Calculate risk level based on findings
@@ -62,6 +25,7 @@ export function calculateRiskLevel(results) {
   results.results.forEach((result) => {
     if (result.findings) {
       result.findings.forEach((finding) => {
+        if (finding.suppression) return;
         if (finding.severity === "HIGH") highCount++;
         else if (finding.severity === "MEDIUM") mediumCount++;
         else if (finding.severity === "LOW") lowCount++;
@@ -80,50 +44,38 @@ export function calculateRiskLevel(results) {
 /**
  * Perform a public security scan without database operations
  * This is for one-time scans from the landing page
- * @param {Object} tempMonitor - Temporary monitor-like object
+ * The selected analyzers run in parallel (see analyzers/index.js); the scan only
+ * fails if none of them completes
+ * @param {Object} tempMonitor - Temporary monitor-like object (with discovered tools)
  * @param {Array} analyzers - Array of analyzer names to use
- * @returns {Promise<Object>} Scan results with risk level
+ * @returns {Promise<Object>} Scan results with risk level and analyzer runs
  */
 export async function performPublicSecurityScan(
   tempMonitor,
   analyzers = DEFAULT_ANALYZERS
 ) {
-  const config = getScannerConfig();
-
-  if (!config.apiKey) {
-    throw new Error("MCP_SCANNER_API_KEY is not configured");
-  }
-
   try {
-    // Prepare authentication for the target MCP server
-    const auth = prepareAuthConfig(tempMonitor);
-
-    // Prepare request to scanner API
-    const scanRequest = {
-      server_url: tempMonitor.url,
-      auth,
-      analyzers,
-      output_format: "summary",
-    };
-
     console.log(
       `[PublicScanner] Starting public scan for URL: ${tempMonitor.url}`
     );
 
-    // Call MCP scanner API
-    const response = await axios.post(
-      `${config.baseUrl}/api/v1/scan/tools`,
-      scanRequest,
-      {
-        headers: {
-          "X-API-Key": config.apiKey,
-          "Content-Type": "application/json",
-        },
-        timeout: 120000, // 2 minutes timeout (shorter than regular scans)
-      }
-    );
-
-    const results = response.data;
+    // Public scans aren't tied to a monitor, so there are no other servers to
+    // compare with; signed-in visitors still get their custom rules
+    const { results, runs, partial } = await runAnalyzers(analyzers, {
+      monitor: tempMonitor,
+      tools: tempMonitor.tools || [],
+      otherTools: [],
+      userId: tempMonitor.userId || null,
+      timeoutMs: PUBLIC_SCAN_TIMEOUT_MS,
+    });
+
+    if (!results) {
+      throw new Error(
+        `No analyzer completed: ${runs
+          .map((run) => `${run.analyzer}: ${run.error}`)
+          .join("; ")}`
+      );
+    }
 
     // Calculate risk level
     const riskLevel = calculateRiskLevel(results);
@@ -133,6 +85,8 @@ export async function performPublicSecurityScan(
     return {
       ...results,
       riskLevel,
+      analyzerRuns: runs,
+      partial,
     };
   } catch (error) {
     console.error(
@@ -1,16 +1,28 @@
 /**
  * Scheduler Service
  * Manages periodic monitor checks using setInterval
+ * Each tick only checks monitors whose own checkInterval has elapsed
  */
 
-import { checkAllMonitors } from "./monitoring.js";
+import {
+  checkAllMonitors,
+  checkDueMonitors,
+  getCheckPoolMetrics,
+} from "./monitoring.js";
 
 let monitorCheckInterval = null;
+let isRunning = false;
+let lastRunTime = null;
+let lastRunDuration = null;
+let skippedTicks = 0;
+
+// Max random delay used to spread due checks across a tick (seconds)
+const JITTER_SECONDS = parseInt(process.env.SCHEDULER_JITTER_SECONDS) || 30;
 
 /**
  * Start the monitor check scheduler
- * Runs every 1 minute by default
- * @param {number} intervalMinutes - Interval in minutes (default: 1)
+ * Ticks every 1 minute by default and checks the monitors that are due
+ * @param {number} intervalMinutes - Tick interval in minutes (default: 1)
  */
 export function startScheduler(intervalMinutes = 1) {
   // Stop existing interval if running
@@ -21,38 +33,63 @@ export function startScheduler(intervalMinutes = 1) {
 
   const intervalMs = intervalMinutes * 60 * 1000;
 
+  // Keep jitter inside the tick so spread checks finish before the next one
+  const jitterMs = Math.min(JITTER_SECONDS * 1000, intervalMs / 2);
+
   console.log(`\n========================================`);
   console.log(`Starting Monitor Check Scheduler`);
-  console.log(`Interval: Every ${intervalMinutes} minute(s)`);
+  console.log(`Tick: Every ${intervalMinutes} minute(s)`);
+  console.log(`Jitter: Up to ${Math.round(jitterMs / 1000)} second(s)`);
   console.log(`Started at: ${new Date().toISOString()}`);
   console.log(`========================================\n`);
 
   // Create and start the interval
   monitorCheckInterval = setInterval(async () => {
+    // Skip this tick if the previous run's checks are still draining
+    if (isRunning) {
+      skippedTicks++;
+      const { active, queued } = getCheckPoolMetrics();
+      console.log(
+        `\n[${new Date().toISOString()}] ⏭ Previous run still draining (${active} active, ${queued} queued), skipping tick...`,
+      );
+      return;
+    }
+
     console.log(
-      `\n[${new Date().toISOString()}] 🔔 SCHEDULER TRIGGERED - Running scheduled monitor checks...`,
+      `\n[${new Date().toISOString()}] 🔔 SCHEDULER TRIGGERED - Running due monitor checks...`,
     );
 
     try {
-      const results = await checkAllMonitors();
+      isRunning = true;
+      lastRunTime = new Date();
+
+      // A monitor checked during this tick is due again checkInterval later,
+      // so allow one tick of grace to avoid drifting a full tick late
+      const results = await checkDueMonitors({ graceMs: intervalMs, jitterMs });
 
       console.log(`[${new Date().toISOString()}] Check completed:`, {
         total: results.total,
         successful: results.successful,
         failed: results.failed,
+        pool: getCheckPoolMetrics(),
       });
     } catch (error) {
       console.error(
         `[${new Date().toISOString()}] Scheduled check failed:`,
         error,
       );
+    } finally {
+      isRunning = false;
+      lastRunDuration = Date.now() - lastRunTime.getTime();
     }
   }, intervalMs);
 
   console.log("✓ Monitor check scheduler started successfully");
   console.log(`✓ Interval set: ${intervalMs}ms (${intervalMinutes} minute(s))`);
   console.log(`✓ Next execution in ${intervalMinutes} minute(s)`);
-  console.log(`✓ Scheduler will run every ${intervalMinutes} minute(s)\n`);
+  console.log(
+    `✓ Scheduler will tick every ${intervalMinutes} minute(s) and check monitors per their checkInterval\n`,
+  );
 
   return monitorCheckInterval;
 }
@@ -74,12 +111,16 @@ export function stopScheduler() {
 }
 
 /**
- * Get scheduler status
+ * Get scheduler status, including check pool queue depth and lag
  */
 export function getSchedulerStatus() {
   return {
-    isRunning: monitorCheckInterval !== null,
-    interval: monitorCheckInterval,
+    isScheduled: monitorCheckInterval !== null,
+    isRunning,
+    lastRunTime,
+    lastRunDuration,
+    skippedTicks,
+    pool: getCheckPoolMetrics(),
   };
 }
 
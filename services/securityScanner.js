@@ -1,42 +1,47 @@
-import axios from "axios";
 import Monitor from "../models/Monitor.js";
 import SecurityScan from "../models/SecurityScan.js";
-import { sendSecurityAlert } from "./emailService.js";
+import FindingSuppression from "../models/FindingSuppression.js";
 import { broadcastSecurityUpdate } from "./websocket.js";
+import { dispatchNotification } from "./notificationDispatcher.js";
+import { recordSecurityChange } from "./digestService.js";
+import { runAnalyzers, DEFAULT_ANALYZERS } from "./analyzers/index.js";
+import { summarizeResults } from "./analyzers/results.js";
+import { calculateRiskLevel } from "./publicScanner.js";
 
-// Function to get scanner configuration (allows for runtime retrieval)
-function getScannerConfig() {
-  return {
-    baseUrl: process.env.MCP_SCANNER_URL || "https://mcpscan.onrender.com",
-    apiKey: process.env.MCP_SCANNER_API_KEY,
-  };
-}
+// Remote analyzers may take a while on large servers
+const SCAN_TIMEOUT_MS = 300000; // 5 minutes
+
+// Risk levels in ascending order
+const RISK_LEVELS = ["safe", "low", "medium", "high", "critical"];
 
-// Default analyzers to use for scans
-const DEFAULT_ANALYZERS = ["yara"];
+/**
+ * Get the tools of the user's other monitors, to detect tool shadowing
+ * @param {Object} monitor - Monitor document
+ * @returns {Promise<Array>} - [{ name, server }]
+ */
+async function getOtherServerTools(monitor) {
+  const others = await Monitor.find({
+    userId: monitor.userId,
+    _id: { $ne: monitor._id },
+  }).select("name tools.name");
+
+  return others.flatMap((other) =>
+    (other.tools || []).map((tool) => ({
+      name: tool.name,
+      server: other.name,
+    })),
+  );
+}
 
 /**
  * Scan a monitor's MCP server for security vulnerabilities
+ * The selected analyzers run in parallel (see analyzers/index.js); the scan only
+ * fails if none of them completes
  * @param {Object} monitor - Monitor document from database
  * @param {Array} analyzers - Array of analyzer names to use
  * @returns {Object} Security scan document
  */
 export async function scanMonitor(monitor, analyzers = DEFAULT_ANALYZERS) {
-  const config = getScannerConfig();
-
-  if (!config.apiKey) {
-    const errorMsg =
-      "MCP_SCANNER_API_KEY is not configured in environment variables";
-    console.error(`[SecurityScanner] ${errorMsg}`);
-    console.error(
-      "[SecurityScanner] Available env keys:",
-      Object.keys(process.env)
-        .filter((k) => k.includes("MCP"))
-        .join(", "),
-    );
-    throw new Error(errorMsg);
-  }
-
   // Create initial scan record
   const scan = new SecurityScan({
     monitorId: monitor._id,
@@ -50,38 +55,34 @@ export async function scanMonitor(monitor, analyzers = DEFAULT_ANALYZERS) {
   try {
     await scan.save();
 
-    // Prepare authentication for the target MCP server
-    const auth = prepareAuthConfig(monitor);
-
-    // Prepare request to scanner API
-    const scanRequest = {
-      server_url: monitor.url,
-      auth,
-      analyzers,
-      output_format: "summary",
-    };
-
     console.log(
-      `[SecurityScanner] Starting scan for monitor: ${monitor.name} (${monitor._id})`,
-    );
-    console.log(`[SecurityScanner] Scanner URL: ${config.baseUrl}`);
-
-    // Call MCP scanner API
-    const response = await axios.post(
-      `${config.baseUrl}/api/v1/scan/tools`,
-      scanRequest,
-      {
-        headers: {
-          "X-API-Key": config.apiKey,
-          "Content-Type": "application/json",
-        },
-        timeout: 300000, // 5 minutes timeout
-      },
+      `[SecurityScanner] Starting scan for monitor: ${monitor.name} (${monitor._id}) with ${analyzers.join(", ")}`,
     );
 
-    // Process and save results
-    const results = response.data;
-    scan.results = results;
+    const { results, runs, partial } = await runAnalyzers(analyzers, {
+      monitor,
+      tools: monitor.tools || [],
+      otherTools: await getOtherServerTools(monitor),
+      userId: monitor.userId,
+      timeoutMs: SCAN_TIMEOUT_MS,
+    });
+    scan.analyzerRuns = runs;
+    scan.partial = partial;
+    scan.analyzers = runs
+      .filter((run) => run.status !== "skipped")
+      .map((run) => run.analyzer);
+
+    if (!results) {
+      throw new Error(
+        `No analyzer completed: ${runs.map((run) => `${run.analyzer}: ${run.error}`).join("; ")}`,
+      );
+    }
+
+    // Process and save results, keeping findings the user suppressed
+    const suppressions = await FindingSuppression.getActiveForMonitor(
+      monitor._id,
+    );
+    scan.results = applySuppressions(results, suppressions, scan.scannedAt);
     scan.status = "completed";
     scan.completedAt = new Date();
     scan.duration = scan.completedAt - scan.scannedAt;
@@ -90,28 +91,11 @@ export async function scanMonitor(monitor, analyzers = DEFAULT_ANALYZERS) {
     scan.riskLevel = scan.calculateRiskLevel();
 
     await scan.save();
+    await reopenFixedFindings(scan, suppressions);
 
     // Update monitor's security status
-    const previousStatus = monitor.securityStatus;
-    monitor.securityStatus = scan.riskLevel;
     monitor.lastSecurityScan = new Date();
-
-    // Reset alert counters if security status improved from high/critical
-    if (
-      (previousStatus === "high" || previousStatus === "critical") &&
-      (scan.riskLevel === "safe" ||
-        scan.riskLevel === "low" ||
-        scan.riskLevel === "medium")
-    ) {
-      monitor.securityAlertDayCount = 0;
-      monitor.securityAlertLastSentAt = null;
-      monitor.securityAlertFirstDetectedAt = null;
-      console.log(
-        `[SecurityScanner] Security status improved for ${monitor.name}, reset alert counters`,
-      );
-    }
-
-    await monitor.save();
+    await updateSecurityStatus(monitor, scan);
 
     console.log(
       `[SecurityScanner] Scan completed for monitor: ${monitor.name} - Risk: ${scan.riskLevel}`,
@@ -152,44 +136,193 @@ export async function scanMonitor(monitor, analyzers = DEFAULT_ANALYZERS) {
 }
 
 /**
- * Prepare authentication configuration for the MCP server
+ * Mark the findings that match an active suppression
+ * Suppressed findings are kept with their triage for the audit trail, but don't
+ * count towards the risk level; tools with findings are only unsafe if a HIGH or
+ * MEDIUM finding is left. A fixed suppression only applies to scans run before
+ * the finding was marked fixed
+ * @param {Object} results - Results in the SecurityScan.results format
+ * @param {Array} suppressions - Active FindingSuppression documents
+ * @param {Date} scannedAt - When the results were scanned
+ * @returns {Object} - Results with evidence, fingerprint and suppression set on every finding
+ */
+export function applySuppressions(results, suppressions, scannedAt) {
+  const byFingerprint = new Map(
+    suppressions.map((suppression) => [suppression.fingerprint, suppression]),
+  );
+
+  const toolResults = (results.results || []).map((result) => {
+    const findings = (result.findings || []).map((finding) => {
+      const evidence = FindingSuppression.getEvidence(finding.details);
+      const fingerprint = FindingSuppression.buildFingerprint(
+        result.tool_name,
+        {
+          rule: finding.details?.rule,
+          summary: finding.summary,
+          severity: finding.severity,
+          evidence,
+        },
+      );
+      const suppression = byFingerprint.get(fingerprint);
+
+      return {
+        ...finding,
+        evidence,
+        fingerprint,
+        suppression: suppression?.appliesTo(scannedAt)
+          ? {
+              suppressionId: suppression._id,
+              status: suppression.status,
+              reason: suppression.reason,
+              expiresAt: suppression.expiresAt,
+            }
+          : null,
+      };
+    });
+
+    return {
+      ...result,
+      findings,
+      is_safe:
+        findings.length > 0
+          ? !findings.some(
+              (finding) =>
+                !finding.suppression &&
+                (finding.severity === "HIGH" || finding.severity === "MEDIUM"),
+            )
+          : result.is_safe,
+    };
+  });
+
+  return summarizeResults(results.server_url, toolResults);
+}
+
+/**
+ * Reopen the fixed suppressions whose finding came back in a scan, so they show
+ * as revoked instead of looking fixed
+ * @param {Object} scan - Completed SecurityScan document
+ * @param {Array} suppressions - Active FindingSuppression documents
+ */
+async function reopenFixedFindings(scan, suppressions) {
+  const found = new Set(
+    scan.results.results.flatMap((result) =>
+      result.findings
+        .filter((finding) => !finding.suppression)
+        .map((finding) => finding.fingerprint),
+    ),
+  );
+
+  for (const suppression of suppressions) {
+    if (suppression.status !== "fixed" || !found.has(suppression.fingerprint)) {
+      continue;
+    }
+
+    suppression.recordChange("reopened", { scanId: scan._id });
+    await suppression.save();
+    console.log(
+      `[SecurityScanner] Fixed finding came back on ${suppression.toolName} (${suppression.rule || suppression.summary}), reopened it`,
+    );
+  }
+}
+
+/**
+ * Set the monitor's security status from a scan's risk level
+ * Resets the alert counters when it drops below high, and reports changes
+ * A partial scan can raise the status but never lower it, as the findings of its
+ * failed analyzers are missing
  * @param {Object} monitor - Monitor document
- * @returns {Object} Auth configuration for scanner API
+ * @param {Object} scan - SecurityScan document, or { _id, partial, riskLevel, results } of a re-evaluated one
  */
-function prepareAuthConfig(monitor) {
-  if (!monitor.requiresAuth) {
-    return { type: "none" };
+async function updateSecurityStatus(monitor, scan) {
+  const previousStatus = monitor.securityStatus;
+
+  if (
+    scan.partial &&
+    RISK_LEVELS.indexOf(scan.riskLevel) < RISK_LEVELS.indexOf(previousStatus)
+  ) {
+    console.log(
+      `[SecurityScanner] Partial scan for ${monitor.name} found ${scan.riskLevel} risk, keeping ${previousStatus}`,
+    );
+    await monitor.save();
+    return;
   }
 
-  const decryptedToken = monitor.getDecryptedAuthToken();
-  const headerName = monitor.authHeader || "Authorization";
+  monitor.securityStatus = scan.riskLevel;
+
+  // Reset alert counters if security status improved from high/critical
+  if (
+    (previousStatus === "high" || previousStatus === "critical") &&
+    (scan.riskLevel === "safe" ||
+      scan.riskLevel === "low" ||
+      scan.riskLevel === "medium")
+  ) {
+    monitor.securityAlertDayCount = 0;
+    monitor.securityAlertLastSentAt = null;
+    monitor.securityAlertFirstDetectedAt = null;
+    console.log(
+      `[SecurityScanner] Security status improved for ${monitor.name}, reset alert counters`,
+    );
+  }
 
-  // If using standard Authorization header, send as bearer token
-  if (headerName === "Authorization") {
-    return {
-      type: "bearer",
-      bearer_token: decryptedToken,
-    };
+  await monitor.save();
+
+  if (previousStatus !== scan.riskLevel) {
+    await dispatchNotification("security.risk_changed", monitor, {
+      previousRiskLevel: previousStatus,
+      riskLevel: scan.riskLevel,
+      scanId: scan._id.toString(),
+      unsafeCount: scan.results?.unsafe_count ?? 0,
+    });
+    await recordSecurityChange(monitor, previousStatus, scan.riskLevel);
+  }
+}
+
+/**
+ * Re-apply the monitor's suppressions to its latest scan and update its security
+ * status, so triaging a finding takes effect without waiting for the next scan
+ * The scan itself is left as it was completed, with the triage it was scanned with
+ * @param {Object} monitor - Monitor document
+ * @returns {Promise<string>} - The monitor's security status
+ */
+export async function reevaluateSecurityStatus(monitor) {
+  const scan = await SecurityScan.getLatestForMonitor(monitor._id);
+  if (!scan?.results) {
+    return monitor.securityStatus;
   }
 
-  // Otherwise send as API key with custom header
-  return {
-    type: "apikey",
-    api_key: decryptedToken,
-    api_key_header: headerName,
-  };
+  const suppressions = await FindingSuppression.getActiveForMonitor(
+    monitor._id,
+  );
+  const results = applySuppressions(
+    scan.toObject().results,
+    suppressions,
+    scan.scannedAt,
+  );
+  const riskLevel = calculateRiskLevel(results);
+
+  await updateSecurityStatus(monitor, {
+    _id: scan._id,
+    partial: scan.partial,
+    riskLevel,
+    results,
+  });
+
+  console.log(
+    `[SecurityScanner] Re-evaluated latest scan for monitor: ${monitor.name} - Risk: ${riskLevel}`,
+  );
+  return monitor.securityStatus;
 }
 
 /**
  * Handle security alert when high-risk findings are detected
- * Sends one email per day for up to 3 days
+ * Sends one alert per day for up to 3 days, routed by the notification dispatcher
  * @param {Object} monitor - Monitor document
  * @param {Object} scan - SecurityScan document
  */
 async function handleSecurityAlert(monitor, scan) {
   try {
-    // Only send alerts if enabled and email is configured
-    if (!monitor.alertsEnabled || !monitor.alertEmail) {
+    // Only send alerts if enabled
+    if (!monitor.alertsEnabled) {
       return;
     }
 
@@ -233,7 +366,7 @@ async function handleSecurityAlert(monitor, scan) {
       scan.results.results.forEach((result) => {
         if (result.findings) {
           const highFindings = result.findings.filter(
-            (f) => f.severity === "HIGH",
+            (f) => f.severity === "HIGH" && !f.suppression,
           );
           highFindings.forEach((finding) => {
             highSeverityFindings.push({
@@ -246,11 +379,8 @@ async function handleSecurityAlert(monitor, scan) {
       });
     }
 
-    // Send security alert email
-    await sendSecurityAlert({
-      email: monitor.alertEmail,
-      monitorName: monitor.name,
-      monitorUrl: monitor.url,
+    // Route the alert through the user's notification rules
+    const results = await dispatchNotification("security.alert", monitor, {
       riskLevel: scan.riskLevel,
       totalScanned: scan.results.total_scanned,
       unsafeCount: scan.results.unsafe_count,
@@ -258,6 +388,11 @@ async function handleSecurityAlert(monitor, scan) {
       scanDate: scan.scannedAt,
     });
 
+    // Nowhere to send it (no matching channels and no alert email)
+    if (results.length === 0) {
+      return;
+    }
+
     // Update alert tracking
     if (!monitor.securityAlertFirstDetectedAt) {
       monitor.securityAlertFirstDetectedAt = now;
@@ -267,7 +402,7 @@ async function handleSecurityAlert(monitor, scan) {
     await monitor.save();
 
     console.log(
-      `[SecurityScanner] Alert sent to ${monitor.alertEmail} for monitor: ${monitor.name} (Day ${monitor.securityAlertDayCount}/3)`,
+      `[SecurityScanner] Alert sent to ${results.length} channel(s) for monitor: ${monitor.name} (Day ${monitor.securityAlertDayCount}/3)`,
     );
   } catch (error) {
     console.error(
@@ -351,6 +486,12 @@ export function needsSecurityScan(monitor) {
     return false;
   }
 
+  // Without tools every analyzer is skipped and the scan would only fail, so
+  // wait until a check discovers some
+  if (!monitor.tools || monitor.tools.length === 0) {
+    return false;
+  }
+
   // If never scanned, needs scan
   if (!monitor.lastSecurityScan) {
     return true;
@@ -421,6 +562,8 @@ export async function scanAllMonitors() {
 
 export default {
   scanMonitor,
+  applySuppressions,
+  reevaluateSecurityStatus,
   getLatestScan,
   getScanHistory,
   getUserSecurityStats,
@@ -1,5 +1,10 @@
 import cron from 'node-cron';
 import { scanAllMonitors } from './securityScanner.js';
+import { runWithLease } from './leaseManager.js';
+
+// Only the instance holding this lease runs scheduled scans
+const SECURITY_SCAN_LEASE = 'security-scan-scheduler';
+const SECURITY_SCAN_LEASE_TTL_MS = 15 * 60 * 1000; // renewed while scans run
 
 let securityScanJob = null;
 let isRunning = false;
@@ -30,7 +35,17 @@ export function startSecurityScheduler() {
 
       console.log(`[SecurityScheduler] Starting scheduled security scans at ${lastRunTime.toISOString()}`);
 
-      const summary = await scanAllMonitors();
+      const { acquired, result: summary } = await runWithLease(
+        SECURITY_SCAN_LEASE,
+        SECURITY_SCAN_LEASE_TTL_MS,
+        scanAllMonitors
+      );
+
+      if (!acquired) {
+        console.log('[SecurityScheduler] Another instance holds the scan lease, skipping...');
+        return;
+      }
+
       lastRunSummary = summary;
 
       console.log('[SecurityScheduler] Scheduled security scans completed:', summary);
@@ -76,7 +91,16 @@ export async function runImmediateSecurityScan() {
 
     console.log(`[SecurityScheduler] Running immediate security scan at ${lastRunTime.toISOString()}`);
 
-    const summary = await scanAllMonitors();
+    const { acquired, result: summary } = await runWithLease(
+      SECURITY_SCAN_LEASE,
+      SECURITY_SCAN_LEASE_TTL_MS,
+      scanAllMonitors
+    );
+
+    if (!acquired) {
+      throw new Error('Security scan is already running on another instance');
+    }
+
     lastRunSummary = summary;
 
     console.log('[SecurityScheduler] Immediate security scan completed:', summary);
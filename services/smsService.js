@@ -322,3 +322,210 @@ export async function sendMonitorRecoverySMS(monitor, user, downtimeDuration) {
     return null;
   }
 }
+
+/**
+ * Send monitor flapping SMS alert
+ * @param {Object} monitor - Monitor document
+ * @param {Object} user - User document
+ * @param {number} stateChanges - State changes in the flap window
+ * @param {number} windowChecks - Checks in the flap window
+ * @returns {Promise<Object>} - Twilio API response
+ */
+export async function sendMonitorFlappingSMS(
+  monitor,
+  user,
+  stateChanges,
+  windowChecks,
+) {
+  try {
+    console.log(
+      `[SMS Service] Attempting to send flapping alert for ${monitor.name} - user: ${user.email}, smsEnabled: ${user.smsAlertsEnabled}, phone: ${user.phone}`,
+    );
+
+    // Check if user can receive SMS alerts
+    if (!user.smsAlertsEnabled || !user.phone || !user.isPhoneVerified) {
+      console.log(
+        `[SMS Service] Skipping flapping alert for ${monitor.name} - SMS alerts disabled or phone not verified`,
+      );
+      return null;
+    }
+
+    // Check if monitor has alerts enabled
+    if (!monitor.alertsEnabled) {
+      console.log(
+        `[SMS Service] Skipping flapping alert for ${monitor.name} - monitor has alerts disabled`,
+      );
+      return null;
+    }
+
+    // Build SMS message (simple and straightforward)
+    const message = `🟠 ALERT: ${monitor.name} is FLAPPING (${stateChanges} state changes in ${windowChecks} checks)\n${monitor.url}`;
+
+    // Format phone number
+    const formattedPhone = formatPhoneNumber(user.phone);
+    if (!formattedPhone) {
+      console.error(
+        `[SMS Service] Invalid phone number format for user ${user.email}: ${user.phone}`,
+      );
+      return null;
+    }
+
+    // Send SMS using Twilio
+    const client = getTwilioClient();
+    const fromPhone = process.env.TWILIO_PHONE_NUMBER;
+
+    if (!fromPhone) {
+      throw new Error("TWILIO_PHONE_NUMBER environment variable is not set");
+    }
+
+    const response = await client.messages.create({
+      body: message,
+      from: fromPhone,
+      to: formattedPhone,
+    });
+
+    console.log(
+      `✓ Monitor flapping SMS sent for ${monitor.name} to ${formattedPhone} (SID: ${response.sid}, Status: ${response.status})`,
+    );
+    return response;
+  } catch (error) {
+    console.error(
+      `✗ Failed to send monitor flapping SMS for ${monitor.name}:`,
+      error.message,
+    );
+    // Don't throw - we don't want SMS failures to crash monitoring
+    return null;
+  }
+}
+
+/**
+ * Send tool catalog change SMS alert
+ * @param {Object} monitor - Monitor document
+ * @param {Object} user - User document
+ * @param {Object} changes - { added, removed, changed } from the tool diff
+ * @returns {Promise<Object>} - Twilio API response
+ */
+export async function sendToolsChangedSMS(
+  monitor,
+  user,
+  { added = [], removed = [], changed = [] },
+) {
+  try {
+    console.log(
+      `[SMS Service] Attempting to send tools changed alert for ${monitor.name} - user: ${user.email}, smsEnabled: ${user.smsAlertsEnabled}, phone: ${user.phone}`,
+    );
+
+    // Check if user can receive SMS alerts
+    if (!user.smsAlertsEnabled || !user.phone || !user.isPhoneVerified) {
+      console.log(
+        `[SMS Service] Skipping tools changed alert for ${monitor.name} - SMS alerts disabled or phone not verified`,
+      );
+      return null;
+    }
+
+    // Build SMS message (simple and straightforward)
+    const message = `🔀 TOOLS CHANGED on ${monitor.name}: ${added.length} added, ${removed.length} removed, ${changed.length} changed\n${monitor.url}`;
+
+    // Format phone number
+    const formattedPhone = formatPhoneNumber(user.phone);
+    if (!formattedPhone) {
+      console.error(
+        `[SMS Service] Invalid phone number format for user ${user.email}: ${user.phone}`,
+      );
+      return null;
+    }
+
+    // Send SMS using Twilio
+    const client = getTwilioClient();
+    const fromPhone = process.env.TWILIO_PHONE_NUMBER;
+
+    if (!fromPhone) {
+      throw new Error("TWILIO_PHONE_NUMBER environment variable is not set");
+    }
+
+    const response = await client.messages.create({
+      body: message,
+      from: fromPhone,
+      to: formattedPhone,
+    });
+
+    console.log(
+      `✓ Tools changed SMS sent for ${monitor.name} to ${formattedPhone} (SID: ${response.sid}, Status: ${response.status})`,
+    );
+    return response;
+  } catch (error) {
+    console.error(
+      `✗ Failed to send tools changed SMS for ${monitor.name}:`,
+      error.message,
+    );
+    // Don't throw - we don't want SMS failures to crash monitoring
+    return null;
+  }
+}
+
+/**
+ * Send security alert SMS
+ * @param {Object} monitor - Monitor document
+ * @param {Object} user - User document
+ * @param {string} riskLevel - Risk level of the latest scan
+ * @param {number} unsafeCount - Number of unsafe tools
+ * @returns {Promise<Object>} - Twilio API response
+ */
+export async function sendSecurityAlertSMS(
+  monitor,
+  user,
+  riskLevel,
+  unsafeCount,
+) {
+  try {
+    console.log(
+      `[SMS Service] Attempting to send security alert for ${monitor.name} - user: ${user.email}, smsEnabled: ${user.smsAlertsEnabled}, phone: ${user.phone}`,
+    );
+
+    // Check if user can receive SMS alerts
+    if (!user.smsAlertsEnabled || !user.phone || !user.isPhoneVerified) {
+      console.log(
+        `[SMS Service] Skipping security alert for ${monitor.name} - SMS alerts disabled or phone not verified`,
+      );
+      return null;
+    }
+
+    // Build SMS message (simple and straightforward)
+    const message = `🛡️ SECURITY: ${riskLevel.toUpperCase()} risk on ${monitor.name} (${unsafeCount} unsafe tools)\n${monitor.url}`;
+
+    // Format phone number
+    const formattedPhone = formatPhoneNumber(user.phone);
+    if (!formattedPhone) {
+      console.error(
+        `[SMS Service] Invalid phone number format for user ${user.email}: ${user.phone}`,
+      );
+      return null;
+    }
+
+    // Send SMS using Twilio
+    const client = getTwilioClient();
+    const fromPhone = process.env.TWILIO_PHONE_NUMBER;
+
+    if (!fromPhone) {
+      throw new Error("TWILIO_PHONE_NUMBER environment variable is not set");
+    }
+
+    const response = await client.messages.create({
+      body: message,
+      from: fromPhone,
+      to: formattedPhone,
+    });
+
+    console.log(
+      `✓ Security alert SMS sent for ${monitor.name} to ${formattedPhone} (SID: ${response.sid}, Status: ${response.status})`,
+    );
+    return response;
+  } catch (error) {
+    console.error(
+      `✗ Failed to send security alert SMS for ${monitor.name}:`,
+      error.message,
+    );
+    // Don't throw - we don't want SMS failures to crash scanning
+    return null;
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * Tool Change Service
+ * Keeps a versioned history of each monitor's tool catalog
+ * A new version is stored whenever a healthy check sees a different catalog, with
+ * the diff against the previous version (added/removed tools, changed descriptions
+ * and input schemas), and the change is sent to the user's webhooks and alert channels
+ * Users can also approve a catalog as the monitor's baseline; any later catalog that
+ * differs from it flags the monitor as drifted and raises a security alert
+ */
+
+import crypto from "crypto";
+import ToolSnapshot from "../models/ToolSnapshot.js";
+import { dispatchNotification } from "./notificationDispatcher.js";
+
+// Drift state of a monitor whose tools match the baseline
+const noDrift = () => ({
+  detected: false,
+  detectedAt: null,
+  hash: null,
+  added: [],
+  removed: [],
+  changed: [],
+});
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal schemas always
+ * produce the same string regardless of the server's key order
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Keep only the parts of a tool that define its behavior for the model
+ * @param {Object} tool - Tool from tools/list
+ * @returns {Object} - { name, description, inputSchema }
+ */
+function normalizeTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description || "",
+    inputSchema: tool.inputSchema ?? null,
+  };
+}
+
+/**
+ * Hash a tool's name, description and input schema
+ * @param {Object} tool - Tool from tools/list
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashTool(tool) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(normalizeTool(tool)))
+    .digest("hex");
+}
+
+/**
+ * Hash a whole tool catalog, independent of the order tools are listed in
+ * @param {Array} tools - Tools from tools/list
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashCatalog(tools) {
+  return crypto
+    .createHash("sha256")
+    .update(tools.map(hashTool).sort().join("\n"))
+    .digest("hex");
+}
+
+/**
+ * Compare two tool catalogs by name, description and input schema
+ * @param {Array} previousTools - Tools of the previous version
+ * @param {Array} currentTools - Tools seen by this check
+ * @returns {Object} - { added, removed, changed } - added/removed are tool names,
+ *   changed holds { name, descriptionChanged, inputSchemaChanged, previousDescription, description }
+ */
+export function diffTools(previousTools, currentTools) {
+  const previous = new Map(
+    previousTools.map((tool) => [tool.name, normalizeTool(tool)]),
+  );
+  const current = new Map(
+    currentTools.map((tool) => [tool.name, normalizeTool(tool)]),
+  );
+
+  const changed = [];
+  for (const [name, tool] of current) {
+    const before = previous.get(name);
+    if (!before) continue;
+
+    const descriptionChanged = before.description !== tool.description;
+    const inputSchemaChanged =
+      canonicalJson(before.inputSchema) !== canonicalJson(tool.inputSchema);
+
+    if (descriptionChanged || inputSchemaChanged) {
+      changed.push({
+        name,
+        descriptionChanged,
+        inputSchemaChanged,
+        previousDescription: descriptionChanged ? before.description : null,
+        description: descriptionChanged ? tool.description : null,
+      });
+    }
+  }
+
+  return {
+    added: [...current.keys()].filter((name) => !previous.has(name)),
+    removed: [...previous.keys()].filter((name) => !current.has(name)),
+    changed,
+  };
+}
+
+/**
+ * Send a catalog change to the user's webhooks and alert channels
+ * @param {Object} monitor - Monitor document
+ * @param {Object} snapshot - New ToolSnapshot version
+ */
+async function notifyToolChanges(monitor, snapshot) {
+  if (!monitor.alertsEnabled) {
+    return;
+  }
+
+  const { version, added, removed } = snapshot;
+  const changed = snapshot.changed.map((change) => change.toObject());
+
+  await dispatchNotification("tools.changed", monitor, {
+    version,
+    added,
+    removed,
+    changed,
+  });
+}
+
+/**
+ * Record the tool catalog seen by a healthy check
+ * Stores a new version (and alerts) only when the catalog differs from the latest one;
+ * the first version is the starting point and never alerts
+ * Never throws - change tracking must not interrupt checks
+ * @param {Object} monitor - Monitor document
+ * @param {Array} tools - Tools from tools/list
+ * @returns {Promise<Object|null>} - The new ToolSnapshot, or null if nothing changed
+ */
+export async function recordToolSnapshot(monitor, tools) {
+  try {
+    const hash = hashCatalog(tools);
+    const latest = await ToolSnapshot.getLatest(monitor._id);
+
+    if (latest && latest.hash === hash) {
+      await ToolSnapshot.updateOne(
+        { _id: latest._id },
+        { $set: { lastSeenAt: new Date() } },
+      );
+      return null;
+    }
+
+    const changes = latest
+      ? diffTools(latest.tools, tools)
+      : { added: [], removed: [], changed: [] };
+
+    const snapshot = await ToolSnapshot.create({
+      monitorId: monitor._id,
+      userId: monitor.userId,
+      version: (latest?.version || 0) + 1,
+      hash,
+      tools: tools.map(normalizeTool),
+      ...changes,
+    });
+
+    if (latest) {
+      await ToolSnapshot.updateOne(
+        { _id: latest._id },
+        { $set: { supersededAt: snapshot.createdAt } },
+      );
+    }
+
+    if (snapshot.hasChanges()) {
+      console.log(
+        `🔀 [Tool Changes] Tools of "${monitor.name}" changed (v${snapshot.version}): ${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`,
+      );
+      await notifyToolChanges(monitor, snapshot);
+    }
+
+    return snapshot;
+  } catch (error) {
+    // Another instance already stored this version
+    if (error.code === 11000) {
+      return null;
+    }
+
+    console.error(
+      `[Tool Changes] Failed to record tools for ${monitor.name}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Approve a tool catalog as the monitor's baseline and clear any drift
+ * Changes the monitor in place - the caller saves it
+ * @param {Object} monitor - Monitor document
+ * @param {Array} tools - Tools to approve
+ * @param {string} userId - User approving the baseline
+ */
+export function pinToolBaseline(monitor, tools, userId) {
+  monitor.toolBaseline = {
+    tools: tools.map((tool) => ({ name: tool.name, hash: hashTool(tool) })),
+    hash: hashCatalog(tools),
+    approvedAt: new Date(),
+    approvedBy: userId,
+  };
+  monitor.toolDrift = noDrift();
+}
+
+/**
+ * Compare a tool catalog with the monitor's approved baseline
+ * @param {Object} monitor - Monitor document
+ * @param {Array} tools - Tools seen by this check
+ * @returns {Object|null} - { added, removed, changed } tool names, or null without a baseline
+ */
+export function getToolDrift(monitor, tools) {
+  if (!monitor.toolBaseline?.hash) {
+    return null;
+  }
+
+  const baseline = new Map(
+    monitor.toolBaseline.tools.map((tool) => [tool.name, tool.hash]),
+  );
+  const current = new Map(tools.map((tool) => [tool.name, hashTool(tool)]));
+
+  return {
+    added: [...current.keys()].filter((name) => !baseline.has(name)),
+    removed: [...baseline.keys()].filter((name) => !current.has(name)),
+    changed: [...current.keys()].filter(
+      (name) => baseline.has(name) && baseline.get(name) !== current.get(name),
+    ),
+  };
+}
+
+/**
+ * Send a security alert for tools that drifted from the approved baseline
+ * @param {Object} monitor - Monitor document
+ * @param {Array} tools - Tools seen by this check
+ * @param {Object} drift - { added, removed, changed } tool names
+ */
+async function alertToolDrift(monitor, tools, { added, removed, changed }) {
+  if (!monitor.alertsEnabled) {
+    return;
+  }
+
+  const finding = (summary) => (tool) => ({
+    tool,
+    summary,
+    analyzer: "baseline",
+  });
+
+  await dispatchNotification("security.alert", monitor, {
+    riskLevel: "high",
+    totalScanned: tools.length,
+    unsafeCount: added.length + removed.length + changed.length,
+    highSeverityFindings: [
+      ...added.map(finding("Tool added since the approved baseline")),
+      ...changed.map(
+        finding(
+          "Description or input schema changed since the approved baseline",
+        ),
+      ),
+      ...removed.map(finding("Tool removed since the approved baseline")),
+    ],
+    scanDate: new Date(),
+    message:
+      "The tools your MCP server exposes no longer match the baseline you approved. Review the changes and approve the new catalog if they're expected.",
+  });
+}
+
+/**
+ * Check a healthy check's tools against the approved baseline
+ * Alerts once per drifted catalog, and clears the drift when the tools match again
+ * Changes the monitor in place - the caller saves it
+ * Never throws - drift detection must not interrupt checks
+ * @param {Object} monitor - Monitor document
+ * @param {Array} tools - Tools seen by this check
+ * @returns {Promise<boolean>} - True if new drift was detected (and alerted)
+ */
+export async function checkToolDrift(monitor, tools) {
+  try {
+    const drift = getToolDrift(monitor, tools);
+    if (!drift) {
+      return false;
+    }
+
+    const hash = hashCatalog(tools);
+
+    if (hash === monitor.toolBaseline.hash) {
+      if (monitor.toolDrift?.detected) {
+        console.log(
+          `📌 [Tool Changes] Tools of "${monitor.name}" match the approved baseline again`,
+        );
+        monitor.toolDrift = noDrift();
+      }
+      return false;
+    }
+
+    // Already alerted for this exact catalog
+    if (monitor.toolDrift?.detected && monitor.toolDrift.hash === hash) {
+      return false;
+    }
+
+    monitor.toolDrift = {
+      detected: true,
+      detectedAt: monitor.toolDrift?.detectedAt || new Date(),
+      hash,
+      ...drift,
+    };
+
+    console.log(
+      `📌 [Tool Changes] Tools of "${monitor.name}" drifted from the approved baseline: ${drift.added.length} added, ${drift.removed.length} removed, ${drift.changed.length} changed`,
+    );
+    await alertToolDrift(monitor, tools, drift);
+    return true;
+  } catch (error) {
+    console.error(
+      `[Tool Changes] Failed to check tool drift for ${monitor.name}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
+export default {
+  hashTool,
+  hashCatalog,
+  diffTools,
+  recordToolSnapshot,
+  pinToolBaseline,
+  getToolDrift,
+  checkToolDrift,
+};
@@ -0,0 +1,174 @@
+/**
+ * Tool Probe Service
+ * Runs a monitor's synthetic tools/call probes after a healthy check
+ * Each probe calls one tool and checks the result against its assertions; a failing
+ * probe marks the monitor degraded or down depending on its failureMode
+ */
+
+import { callTool } from "./mcp-client.js";
+
+// Longest all of a monitor's probes may take together in one check - later
+// probes get whatever is left, so a check can't outlast its claim
+export const PROBE_BUDGET_SECONDS = 120;
+
+/**
+ * Get the text content of a tools/call result
+ * @param {Object} result - tools/call result
+ * @returns {string} - Text content items joined by newlines
+ */
+function getResultText(result) {
+  return (result.content || [])
+    .filter((item) => item.type === "text" && typeof item.text === "string")
+    .map((item) => item.text)
+    .join("\n");
+}
+
+/**
+ * Read a value from an object by a JSONPath-style path
+ * Supports dot properties and numeric indexes, e.g. "$.content[0].text"
+ * @param {*} root - Object to read from
+ * @param {string} path - Path, with or without the leading "$"
+ * @returns {*} - Value at the path, or undefined if it doesn't exist
+ */
+export function getPathValue(root, path) {
+  const segments = path
+    .replace(/^\$\.?/, "")
+    .split(/\.|\[(\d+)\]/)
+    .filter((segment) => segment !== undefined && segment !== "");
+
+  let value = root;
+  for (const segment of segments) {
+    if (value === null || typeof value !== "object") {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Check one assertion against a tools/call result
+ * JSON paths are evaluated against the result, with text content that parses
+ * as JSON also available under "$.json"
+ * @param {Object} assertion - { type, path, value }
+ * @param {Object} result - tools/call result
+ * @returns {string|null} - Failure message or null if the assertion holds
+ */
+export function evaluateAssertion(assertion, result) {
+  const text = getResultText(result);
+
+  switch (assertion.type) {
+    case "contains":
+      return text.includes(assertion.value)
+        ? null
+        : `Result does not contain "${assertion.value}"`;
+    case "jsonPathEquals": {
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        json = undefined;
+      }
+
+      const actual = getPathValue({ ...result, json }, assertion.path);
+      return JSON.stringify(actual) === JSON.stringify(assertion.value)
+        ? null
+        : `${assertion.path} is ${actual === undefined ? "missing" : JSON.stringify(actual)}, expected ${JSON.stringify(assertion.value)}`;
+    }
+    case "isErrorFalse":
+      return result.isError === true
+        ? `Tool returned an error${text ? `: ${text.slice(0, 200)}` : ""}`
+        : null;
+    default:
+      return `Unknown assertion type "${assertion.type}"`;
+  }
+}
+
+/**
+ * Run one probe and evaluate its assertions
+ * @param {Object} monitor - Monitor document
+ * @param {string} sessionId - MCP session ID from the health check
+ * @param {Object} probe - Tool probe
+ * @param {number} timeoutSeconds - Timeout for the call
+ * @returns {Promise<Object>} - { name, toolName, success, error, responseTime, checkedAt }
+ */
+async function runProbe(monitor, sessionId, probe, timeoutSeconds) {
+  const call = await callTool(
+    monitor,
+    sessionId,
+    probe.toolName,
+    probe.arguments || {},
+    timeoutSeconds,
+  );
+
+  let error = call.success ? null : call.error;
+  if (call.success) {
+    for (const assertion of probe.assertions || []) {
+      error = evaluateAssertion(assertion, call.result);
+      if (error) break;
+    }
+  }
+
+  return {
+    name: probe.name,
+    toolName: probe.toolName,
+    success: !error,
+    error,
+    responseTime: call.responseTime,
+    checkedAt: new Date(),
+  };
+}
+
+/**
+ * Run every active probe of a monitor, one after another, within PROBE_BUDGET_SECONDS
+ * Probes left without time fail as if they had timed out
+ * @param {Object} monitor - Monitor document with toolProbes
+ * @param {string} sessionId - MCP session ID from the health check
+ * @returns {Promise<Object>} - { results, downError, degradedError } - errors are null when no probe of that failureMode failed
+ */
+export async function runToolProbes(monitor, sessionId) {
+  const results = [];
+  let downError = null;
+  let degradedError = null;
+  const deadline = Date.now() + PROBE_BUDGET_SECONDS * 1000;
+
+  for (const probe of monitor.toolProbes.filter((probe) => probe.isActive)) {
+    const remainingSeconds = Math.floor((deadline - Date.now()) / 1000);
+    const result =
+      remainingSeconds >= 1
+        ? await runProbe(
+            monitor,
+            sessionId,
+            probe,
+            Math.min(probe.timeout || monitor.timeout, remainingSeconds),
+          )
+        : {
+            name: probe.name,
+            toolName: probe.toolName,
+            success: false,
+            error: `Not run: the check's ${PROBE_BUDGET_SECONDS}s probe time was used up`,
+            responseTime: 0,
+            checkedAt: new Date(),
+          };
+    results.push(result);
+
+    if (!result.success) {
+      const message = `Tool probe "${probe.name}" failed: ${result.error}`;
+      console.log(`🧪 [Tool Probe] ${monitor.name}: ${message}`);
+
+      if (probe.failureMode === "down") {
+        downError = downError || message;
+      } else {
+        degradedError = degradedError || message;
+      }
+    }
+  }
+
+  return { results, downError, degradedError };
+}
+
+export default {
+  getPathValue,
+  evaluateAssertion,
+  runToolProbes,
+};
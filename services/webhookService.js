@@ -0,0 +1,277 @@
+/**
+ * Webhook Service
+ * Delivers signed JSON events to user-defined webhook endpoints
+ * Failed deliveries are retried with exponential backoff by a background worker
+ */
+
+import crypto from "crypto";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { checkOutboundUrl, sendOutboundRequest } from "../utils/outboundUrl.js";
+
+// Delay before each retry - a delivery gets 1 + RETRY_DELAYS_MS.length attempts
+const RETRY_DELAYS_MS = [30, 120, 600, 1800, 7200].map((s) => s * 1000);
+
+// Per-attempt request timeout
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// How long a claimed retry is reserved before another worker may pick it up
+const RETRY_CLAIM_MS = 5 * 60 * 1000;
+
+// How often the retry worker looks for due deliveries
+const RETRY_POLL_MS = 30 * 1000;
+
+let retryInterval = null;
+let isRetrying = false;
+
+/**
+ * Generate a new signing secret for a webhook
+ * @returns {string} - Secret (shown to the user once)
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Sign a payload - receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>")
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix timestamp (seconds) sent in the signature header
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Hex encoded signature
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Make a single delivery attempt and record its outcome
+ * @param {Object} webhook - Webhook document (with secret selected)
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - Updated delivery
+ */
+async function attemptDelivery(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signPayload(webhook.getDecryptedSecret(), timestamp, body);
+  const startTime = Date.now();
+
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    // Checked again on every attempt - the host may resolve differently now
+    // The request itself only connects to addresses that pass the same check
+    const refusal = await checkOutboundUrl(webhook.url);
+    if (refusal) {
+      throw new Error(refusal);
+    }
+
+    const response = await sendOutboundRequest(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "MCPMon-Webhooks/1.0",
+        "X-MCPMon-Event": delivery.event,
+        "X-MCPMon-Delivery": delivery._id.toString(),
+        "X-MCPMon-Signature": `t=${timestamp},v1=${signature}`,
+      },
+      body,
+      timeoutMs: DELIVERY_TIMEOUT_MS,
+    });
+
+    // Only the status code is kept - redirects aren't followed, as they could
+    // lead to a private address
+    attempt.statusCode = response.status;
+
+    if (!response.ok) {
+      attempt.error = `Endpoint returned ${response.status}: ${response.statusText}`;
+    }
+  } catch (error) {
+    attempt.error =
+      error.name === "TimeoutError"
+        ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms`
+        : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startTime;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = "success";
+    delivery.nextRetryAt = null;
+    delivery.completedAt = new Date();
+  } else if (delivery.attempts.length > RETRY_DELAYS_MS.length) {
+    delivery.status = "failed";
+    delivery.nextRetryAt = null;
+    delivery.completedAt = new Date();
+  } else {
+    delivery.status = "pending";
+    delivery.nextRetryAt = new Date(
+      Date.now() + RETRY_DELAYS_MS[delivery.attempts.length - 1],
+    );
+  }
+
+  await delivery.save();
+
+  // Only final outcomes change the webhook's status
+  if (delivery.status !== "pending") {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      {
+        $set: {
+          lastDeliveryAt: delivery.completedAt,
+          lastDeliveryStatus: delivery.status,
+        },
+      },
+    );
+  }
+
+  if (attempt.error) {
+    console.warn(
+      `[Webhook Service] ${delivery.event} delivery to "${webhook.name}" failed (attempt ${delivery.attempts.length}): ${attempt.error}`,
+    );
+  } else {
+    console.log(
+      `✓ [Webhook Service] ${delivery.event} delivered to "${webhook.name}" (${attempt.statusCode})`,
+    );
+  }
+
+  return delivery;
+}
+
+/**
+ * Create a delivery for one webhook and make the first attempt
+ * @param {Object} webhook - Webhook document (with secret selected)
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} - Delivery after its first attempt
+ */
+export async function deliverWebhook(webhook, event, data) {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event,
+  });
+
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+
+  return attemptDelivery(webhook, delivery);
+}
+
+/**
+ * Build the monitor section shared by monitor event payloads
+ * @param {Object} monitor - Monitor document
+ * @returns {Object} - Monitor summary
+ */
+export function monitorPayload(monitor) {
+  return {
+    id: monitor._id.toString(),
+    name: monitor.name,
+    url: monitor.url,
+    status: monitor.status,
+  };
+}
+
+/**
+ * Build the data a webhook receives for a dispatched notification
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {Object} monitor - Monitor document
+ * @param {Object} data - Event data passed to the notification dispatcher
+ * @returns {Object} - Webhook event data
+ */
+export function buildEventPayload(event, monitor, data) {
+  // Tool changes list the changed tools' names, with the details under changes
+  if (event === "tools.changed") {
+    return {
+      monitor: monitorPayload(monitor),
+      ...data,
+      changed: data.changed.map((change) => change.name),
+      changes: data.changed,
+    };
+  }
+
+  return { monitor: monitorPayload(monitor), ...data };
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed
+ * Each delivery is claimed atomically so multiple instances never send it twice
+ * @returns {Promise<number>} - Number of deliveries retried
+ */
+export async function retryDueDeliveries() {
+  let retried = 0;
+
+  while (true) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: "pending", nextRetryAt: { $lte: now } },
+      { $set: { nextRetryAt: new Date(now.getTime() + RETRY_CLAIM_MS) } },
+      { new: true, sort: { nextRetryAt: 1 } },
+    );
+
+    if (!delivery) break;
+
+    const webhook = await Webhook.findById(delivery.webhookId).select(
+      "+secret",
+    );
+
+    if (!webhook || !webhook.isActive) {
+      delivery.status = "failed";
+      delivery.nextRetryAt = null;
+      delivery.completedAt = new Date();
+      delivery.attempts.push({ error: "Webhook was deleted or disabled" });
+      await delivery.save();
+      continue;
+    }
+
+    await attemptDelivery(webhook, delivery);
+    retried++;
+  }
+
+  return retried;
+}
+
+/**
+ * Start the background worker that retries failed deliveries
+ */
+export function startWebhookRetryWorker() {
+  if (retryInterval) {
+    clearInterval(retryInterval);
+  }
+
+  retryInterval = setInterval(async () => {
+    if (isRetrying) return;
+
+    try {
+      isRetrying = true;
+      const retried = await retryDueDeliveries();
+      if (retried > 0) {
+        console.log(`[Webhook Service] Retried ${retried} delivery(ies)`);
+      }
+    } catch (error) {
+      console.error("[Webhook Service] Retry worker failed:", error.message);
+    } finally {
+      isRetrying = false;
+    }
+  }, RETRY_POLL_MS);
+
+  console.log("✓ Webhook retry worker started");
+  return retryInterval;
+}
+
+export default {
+  generateWebhookSecret,
+  signPayload,
+  deliverWebhook,
+  monitorPayload,
+  buildEventPayload,
+  retryDueDeliveries,
+  startWebhookRetryWorker,
+};
@@ -198,6 +198,41 @@ export function broadcastSecurityUpdate(userId, securityData) {
   }
 }
 
+/**
+ * Broadcast incident update (opened, acknowledged, note added, resolved...) to a user's clients
+ * @param {String} userId - User ID to send update to
+ * @param {Object} incidentData - Incident data to broadcast
+ */
+export function broadcastIncidentUpdate(userId, incidentData) {
+  if (!wss) {
+    console.warn("WebSocket server not initialized");
+    return;
+  }
+
+  const message = JSON.stringify({
+    type: "incident_update",
+    data: incidentData,
+    timestamp: new Date().toISOString(),
+  });
+
+  let sentCount = 0;
+  wss.clients.forEach((client) => {
+    if (
+      client.userId === userId.toString() &&
+      client.readyState === 1 // WebSocket.OPEN
+    ) {
+      client.send(message);
+      sentCount++;
+    }
+  });
+
+  if (sentCount > 0) {
+    console.log(
+      `Broadcasted incident update to ${sentCount} client(s) for user ${userId}`,
+    );
+  }
+}
+
 /**
  * Get connected client count
  * @returns {Number} Number of connected clients
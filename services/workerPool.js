@@ -0,0 +1,136 @@
+/**
+ * Worker Pool Service
+ * Runs async tasks with a global concurrency cap and a per-key (per-host) cap
+ */
+
+/**
+ * Create a bounded worker pool
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Max tasks running at once across all keys
+ * @param {number} options.perKeyConcurrency - Max tasks running at once for a single key
+ * @returns {Object} - { run, getMetrics, isIdle }
+ */
+export function createWorkerPool({
+  concurrency = 50,
+  perKeyConcurrency = 5,
+} = {}) {
+  // Pending jobs in FIFO order: { key, task, enqueuedAt, resolve, reject }
+  const queue = [];
+  // Running task count per key
+  const activeByKey = new Map();
+  let active = 0;
+
+  const metrics = {
+    completed: 0,
+    failed: 0,
+    lastLagMs: 0,
+    maxLagMs: 0,
+    totalLagMs: 0,
+  };
+
+  /**
+   * Start as many queued jobs as the global and per-key limits allow
+   */
+  function dispatch() {
+    let i = 0;
+    while (i < queue.length && active < concurrency) {
+      const job = queue[i];
+      const keyActive = activeByKey.get(job.key) || 0;
+
+      // Key is saturated - leave the job queued and look further down the queue
+      if (keyActive >= perKeyConcurrency) {
+        i++;
+        continue;
+      }
+
+      queue.splice(i, 1);
+      start(job, keyActive);
+    }
+  }
+
+  /**
+   * Run a single job and free its slot when done
+   * @param {Object} job - Queued job
+   * @param {number} keyActive - Running count for the job's key before starting
+   */
+  function start(job, keyActive) {
+    active++;
+    activeByKey.set(job.key, keyActive + 1);
+
+    // Lag is how long the job waited in the queue for a free slot
+    const lagMs = Date.now() - job.enqueuedAt;
+    metrics.lastLagMs = lagMs;
+    metrics.maxLagMs = Math.max(metrics.maxLagMs, lagMs);
+    metrics.totalLagMs += lagMs;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(
+        (value) => {
+          metrics.completed++;
+          job.resolve(value);
+        },
+        (error) => {
+          metrics.failed++;
+          job.reject(error);
+        },
+      )
+      .finally(() => {
+        active--;
+        const remaining = activeByKey.get(job.key) - 1;
+        if (remaining > 0) {
+          activeByKey.set(job.key, remaining);
+        } else {
+          activeByKey.delete(job.key);
+        }
+        dispatch();
+      });
+  }
+
+  /**
+   * Queue a task and resolve with its result once it has run
+   * @param {string} key - Grouping key for the per-key limit (e.g. host)
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Resolves/rejects with the task's outcome
+   */
+  function run(key, task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ key, task, enqueuedAt: Date.now(), resolve, reject });
+      dispatch();
+    });
+  }
+
+  /**
+   * Get current pool metrics
+   * @returns {Object} - Queue depth, running tasks and queue lag statistics
+   */
+  function getMetrics() {
+    const started = metrics.completed + metrics.failed + active;
+    return {
+      concurrency,
+      perKeyConcurrency,
+      active,
+      queued: queue.length,
+      activeKeys: activeByKey.size,
+      completed: metrics.completed,
+      failed: metrics.failed,
+      lag: {
+        lastMs: metrics.lastLagMs,
+        maxMs: metrics.maxLagMs,
+        avgMs: started > 0 ? Math.round(metrics.totalLagMs / started) : 0,
+      },
+    };
+  }
+
+  /**
+   * Check whether the pool has no running or queued work
+   * @returns {boolean}
+   */
+  function isIdle() {
+    return active === 0 && queue.length === 0;
+  }
+
+  return { run, getMetrics, isIdle };
+}
+
+export default { createWorkerPool };
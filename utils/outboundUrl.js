@@ -0,0 +1,232 @@
+/**
+ * Outbound URL checks for requests the server makes to user-supplied URLs
+ * (webhooks), so users can't reach loopback, private or link-local addresses
+ * such as the cloud metadata endpoint
+ */
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+const BLOCKED_ADDRESS_MESSAGE =
+  "URL must point to a public address, not a local or private network";
+
+// IPv4 ranges that must never be reached - [network, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local (cloud metadata)
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 3], // Multicast and reserved
+];
+
+// IPv6 ranges that must never be reached - [network, prefix length]
+// IPv4-mapped addresses (::ffff:a.b.c.d) are checked as IPv4 instead
+const BLOCKED_IPV6_RANGES = [
+  ["::", 96], // Unspecified, loopback and IPv4-compatible (::a.b.c.d)
+  ["64:ff9b::", 96], // NAT64, translated to any IPv4 address
+  ["64:ff9b:1::", 48], // Local-use NAT64
+  ["2002::", 16], // 6to4, tunnelled to any IPv4 address
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+];
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit number
+ * @param {string} address - IPv4 address
+ * @returns {number} - Address as a number
+ */
+function ipv4ToNumber(address) {
+  return (
+    address
+      .split(".")
+      .reduce((value, octet) => (value << 8) + parseInt(octet, 10), 0) >>> 0
+  );
+}
+
+/**
+ * Convert an IPv6 address (compressed, or with a trailing dotted IPv4 part) to
+ * an unsigned 128-bit number
+ * @param {string} address - IPv6 address
+ * @returns {bigint} - Address as a number
+ */
+function ipv6ToNumber(address) {
+  const toGroups = (part) =>
+    part
+      ? part.split(":").flatMap((group) => {
+          if (!group.includes(".")) return [parseInt(group, 16)];
+          const value = ipv4ToNumber(group);
+          return [value >>> 16, value & 0xffff];
+        })
+      : [];
+
+  const [head, tail] = address.replace(/%.*$/, "").split("::");
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const groups = [
+    ...headGroups,
+    ...new Array(8 - headGroups.length - tailGroups.length).fill(0),
+    ...tailGroups,
+  ];
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(group), 0n);
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if requests to it must be refused
+ */
+export function isBlockedAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return BLOCKED_IPV4_RANGES.some(([network, prefix]) => {
+      const mask = (~0 << (32 - prefix)) >>> 0;
+      return (value & mask) >>> 0 === (ipv4ToNumber(network) & mask) >>> 0;
+    });
+  }
+
+  if (net.isIPv6(address)) {
+    const value = ipv6ToNumber(address.toLowerCase());
+
+    // IPv4-mapped (::ffff:a.b.c.d, or ::ffff:7f00:1 as URL parsing normalizes it)
+    if (value >> 32n === 0xffffn) {
+      const ipv4 = Number(value & 0xffffffffn);
+      return isBlockedAddress(
+        [ipv4 >>> 24, (ipv4 >>> 16) & 255, (ipv4 >>> 8) & 255, ipv4 & 255].join(
+          ".",
+        ),
+      );
+    }
+
+    return BLOCKED_IPV6_RANGES.some(([network, prefix]) => {
+      const shift = BigInt(128 - prefix);
+      return value >> shift === ipv6ToNumber(network) >> shift;
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Resolve a host like dns.lookup, but fail if any of its addresses is blocked
+ * Used as the lookup of outbound requests, so the addresses that are checked are
+ * the ones connected to - the host can't resolve to a private address in between
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (
+      addresses.length === 0 ||
+      addresses.some((entry) => isBlockedAddress(entry.address))
+    ) {
+      return callback(new Error(BLOCKED_ADDRESS_MESSAGE));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a URL is HTTP(S) and that every address its host resolves to is public
+ * @param {string} url - URL to check
+ * @returns {Promise<string|null>} - Reason the URL is refused, or null if it's allowed
+ */
+export async function checkOutboundUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "Please provide a valid HTTP/HTTPS URL";
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return "Please provide a valid HTTP/HTTPS URL";
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true })).map(
+          (entry) => entry.address,
+        );
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    return BLOCKED_ADDRESS_MESSAGE;
+  }
+
+  return null;
+}
+
+/**
+ * Send a request to a checked URL, connecting only to public addresses
+ * Redirects are never followed, and the response body is never read
+ * @param {string} url - URL that passed checkOutboundUrl
+ * @param {Object} options - { method, headers, body, timeoutMs }
+ * @returns {Promise<Object>} - { ok, status, statusText }
+ */
+export function sendOutboundRequest(
+  url,
+  { method = "POST", headers = {}, body = "", timeoutMs },
+) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === "https:" ? https : http;
+    const request = client.request(url, {
+      method,
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: lookupPublicAddress,
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.name = "TimeoutError";
+      request.destroy(error);
+    }, timeoutMs);
+
+    request.on("response", (response) => {
+      clearTimeout(timer);
+      response.destroy();
+      resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        statusText: response.statusMessage,
+      });
+    });
+    request.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    request.end(body);
+  });
+}
+
+export default {
+  isBlockedAddress,
+  lookupPublicAddress,
+  checkOutboundUrl,
+  sendOutboundRequest,
+};
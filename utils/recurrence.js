@@ -0,0 +1,288 @@
+/**
+ * Recurrence helpers for scheduled maintenance windows
+ * Supports 5-field cron expressions and a subset of iCalendar RRULEs,
+ * evaluated in an IANA timezone (e.g. "Europe/Berlin")
+ * Also covers daily "HH:MM" windows such as quiet hours
+ */
+
+const MINUTE = 60 * 1000;
+
+// Allowed range for each cron field, in cron order
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+// "HH:MM" time of day, 24-hour clock
+export const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl formatters are expensive to build, so keep one per timezone
+const formatters = new Map();
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True if valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { month, day, weekday, hour, minute }
+ */
+export function getZonedParts(date, timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      month: "numeric",
+      day: "numeric",
+      weekday: "short",
+      hour: "numeric",
+      minute: "numeric",
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: WEEKDAYS[parts.weekday],
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+  };
+}
+
+/**
+ * Convert an "HH:MM" time of day to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes since midnight
+ */
+export function parseTimeOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a wall-clock time falls inside a daily window
+ * Windows that end before they start wrap past midnight (e.g. 22:00-07:00)
+ * @param {Object} parts - Wall-clock parts from getZonedParts
+ * @param {string} start - "HH:MM", inclusive
+ * @param {string} end - "HH:MM", exclusive
+ * @returns {boolean} - True if inside the window
+ */
+export function isInDailyWindow(parts, start, end) {
+  const minute = parts.hour * 60 + parts.minute;
+  const startMinute = parseTimeOfDay(start);
+  const endMinute = parseTimeOfDay(end);
+
+  return startMinute < endMinute
+    ? minute >= startMinute && minute < endMinute
+    : minute >= startMinute || minute < endMinute;
+}
+
+/**
+ * Parse one cron field (e.g. "*", "1-5", "*\/15", "0,30") into the set of values it allows
+ * @param {string} field - Field text
+ * @param {Object} range - { name, min, max }
+ * @returns {Set<number>} - Allowed values
+ */
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${field}"`);
+    }
+
+    let [start, end] = [min, max];
+    if (match[1] !== "*") {
+      [start, end = start] = match[1].split("-").map(Number);
+      // A bare value with a step (e.g. "5/10") runs from that value to the max
+      if (match[2] && !match[1].includes("-")) end = max;
+    }
+    const step = match[2] ? parseInt(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field "${field}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Convert a supported RRULE to the equivalent cron expression
+ * Supports FREQ=DAILY|WEEKLY|MONTHLY with BYDAY, BYMONTHDAY, BYHOUR and BYMINUTE
+ * @param {string} rule - RRULE text, with or without the "RRULE:" prefix
+ * @returns {string} - Cron expression
+ */
+export function rruleToCron(rule) {
+  const params = {};
+  for (const pair of rule.replace(/^RRULE:/i, "").split(";")) {
+    const [key, value] = pair.split("=");
+    if (key && value) params[key.trim().toUpperCase()] = value.trim();
+  }
+
+  if (params.INTERVAL && params.INTERVAL !== "1") {
+    throw new Error("RRULE INTERVAL other than 1 is not supported");
+  }
+
+  const minute = params.BYMINUTE || "0";
+  const hour = params.BYHOUR || "0";
+  const dayOfMonth = params.BYMONTHDAY || "*";
+  let dayOfWeek = "*";
+
+  if (params.BYDAY) {
+    dayOfWeek = params.BYDAY.split(",")
+      .map((day) => {
+        const value = RRULE_DAYS[day.trim().toUpperCase()];
+        if (value === undefined) {
+          throw new Error(`Unsupported RRULE BYDAY value "${day}"`);
+        }
+        return value;
+      })
+      .join(",");
+  }
+
+  switch (params.FREQ) {
+    case "DAILY":
+    case "WEEKLY":
+      if (params.FREQ === "WEEKLY" && !params.BYDAY) {
+        throw new Error("Weekly RRULE requires BYDAY");
+      }
+      return `${minute} ${hour} * * ${dayOfWeek}`;
+    case "MONTHLY":
+      if (!params.BYMONTHDAY) {
+        throw new Error("Monthly RRULE requires BYMONTHDAY");
+      }
+      return `${minute} ${hour} ${dayOfMonth} * *`;
+    default:
+      throw new Error("RRULE FREQ must be DAILY, WEEKLY or MONTHLY");
+  }
+}
+
+/**
+ * Parse a cron expression or RRULE into a schedule
+ * @param {string} expression - "m h dom mon dow" cron expression or RRULE
+ * @returns {Object} - Parsed schedule for nextOccurrence
+ * @throws {Error} - If the expression is invalid or unsupported
+ */
+export function parseRecurrence(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Recurrence is required");
+  }
+
+  let cron = expression.trim();
+  if (/^(RRULE:)?FREQ=/i.test(cron)) {
+    cron = rruleToCron(cron);
+  }
+
+  const fields = cron.split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error("Cron expression must have 5 fields (m h dom mon dow)");
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map(
+    (field, index) => parseCronField(field, CRON_FIELDS[index]),
+  );
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*",
+  };
+}
+
+/**
+ * Check whether a local date matches the schedule's day fields
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} parts - Zoned date parts
+ * @returns {boolean} - True if the day matches
+ */
+function matchesDay(schedule, parts) {
+  if (!schedule.month.has(parts.month)) return false;
+
+  const domMatch = schedule.dayOfMonth.has(parts.day);
+  const dowMatch = schedule.dayOfWeek.has(parts.weekday);
+
+  if (schedule.anyDayOfMonth) return dowMatch;
+  if (schedule.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Find the first time at or after `from` that matches the schedule
+ * Skips whole days and hours that can't match, so long horizons stay cheap
+ * @param {Object} schedule - Parsed schedule from parseRecurrence
+ * @param {Date} from - Earliest allowed occurrence
+ * @param {string} timezone - Timezone the schedule is written in
+ * @param {number} horizonMs - How far ahead to search
+ * @returns {Date|null} - Next occurrence or null if none within the horizon
+ */
+export function nextOccurrence(schedule, from, timezone, horizonMs) {
+  const limit = from.getTime() + horizonMs;
+  let time = Math.ceil(from.getTime() / MINUTE) * MINUTE;
+
+  while (time <= limit) {
+    const parts = getZonedParts(new Date(time), timezone);
+
+    if (!matchesDay(schedule, parts)) {
+      // Days around DST changes are 23 or 25 hours long, so jump to an hour
+      // before the local midnight and reach it in hour steps
+      const minutesLeft = 24 * 60 - (parts.hour * 60 + parts.minute);
+      time +=
+        (minutesLeft > 60 ? minutesLeft - 60 : 60 - parts.minute) * MINUTE;
+    } else if (!schedule.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE;
+    } else if (!schedule.minute.has(parts.minute)) {
+      time += MINUTE;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+}
+
+export default {
+  isValidTimezone,
+  getZonedParts,
+  parseTimeOfDay,
+  isInDailyWindow,
+  rruleToCron,
+  parseRecurrence,
+  nextOccurrence,
+};
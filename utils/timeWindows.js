@@ -0,0 +1,68 @@
+/**
+ * Time window helpers for stats and charts built from check history
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Selectable windows for monitor statistics
+export const STATS_WINDOWS = {
+  "1h": HOUR,
+  "24h": DAY,
+  "7d": 7 * DAY,
+  "30d": 30 * DAY,
+};
+
+/**
+ * Resolve a window key (e.g. "24h") to its time range ending now
+ * @param {string} key - Window key
+ * @param {Object} windows - Allowed windows map (key -> milliseconds)
+ * @returns {Object|null} - { key, durationMs, from, to } or null if the key is not allowed
+ */
+export function resolveWindow(key, windows = STATS_WINDOWS) {
+  if (!Object.prototype.hasOwnProperty.call(windows, key)) {
+    return null;
+  }
+
+  const to = new Date();
+  const durationMs = windows[key];
+
+  return {
+    key,
+    durationMs,
+    from: new Date(to.getTime() - durationMs),
+    to,
+  };
+}
+
+// Selectable ranges for dashboard charts
+export const CHART_RANGES = {
+  "1h": HOUR,
+  "6h": 6 * HOUR,
+  "24h": DAY,
+  "7d": 7 * DAY,
+  "30d": 30 * DAY,
+  "90d": 90 * DAY,
+};
+
+// Bucket size per range, keeping every chart around 60-170 points
+const CHART_BUCKETS = [
+  { maxRangeMs: HOUR, unit: "minute", binSize: 1, bucketMs: 60 * 1000 },
+  { maxRangeMs: 6 * HOUR, unit: "minute", binSize: 5, bucketMs: 5 * 60 * 1000 },
+  { maxRangeMs: DAY, unit: "minute", binSize: 15, bucketMs: 15 * 60 * 1000 },
+  { maxRangeMs: 7 * DAY, unit: "hour", binSize: 1, bucketMs: HOUR },
+  { maxRangeMs: 30 * DAY, unit: "hour", binSize: 6, bucketMs: 6 * HOUR },
+  { maxRangeMs: Infinity, unit: "day", binSize: 1, bucketMs: DAY },
+];
+
+/**
+ * Pick the chart bucket size for a range
+ * @param {number} durationMs - Range length in milliseconds
+ * @returns {Object} - { unit, binSize, bucketMs } usable with $dateTrunc
+ */
+export function getChartBucket(durationMs) {
+  const { unit, binSize, bucketMs } = CHART_BUCKETS.find(
+    (bucket) => durationMs <= bucket.maxRangeMs,
+  );
+  return { unit, binSize, bucketMs };
+}